@@ -1,36 +1,62 @@
 // AI Integration Module for Decision OS Pro
 // Handles actual API calls to OpenAI, Anthropic, and Google Gemini
+// Uses the global fetch available in Node 18+
 
-import fetch from 'node-fetch';
+import fs from 'node:fs/promises';
 
 // AI Provider Configurations
-const AI_PROVIDERS = {
+// Pricing is USD per 1K tokens (input / output)
+export const AI_PROVIDERS = {
   openai: {
     url: 'https://api.openai.com/v1/chat/completions',
     models: {
-      'gpt-4-turbo-preview': { name: 'GPT-4 Turbo', maxTokens: 4096 },
-      'gpt-4': { name: 'GPT-4', maxTokens: 4096 },
-      'gpt-3.5-turbo': { name: 'GPT-3.5 Turbo', maxTokens: 4096 }
+      'gpt-4-turbo-preview': { name: 'GPT-4 Turbo', maxTokens: 4096, pricing: { input: 0.01, output: 0.03 } },
+      'gpt-4': { name: 'GPT-4', maxTokens: 4096, pricing: { input: 0.03, output: 0.06 } },
+      'gpt-3.5-turbo': { name: 'GPT-3.5 Turbo', maxTokens: 4096, pricing: { input: 0.0005, output: 0.0015 } }
     }
   },
   anthropic: {
     url: 'https://api.anthropic.com/v1/messages',
     models: {
-      'claude-3-opus-20240229': { name: 'Claude 3 Opus', maxTokens: 4096 },
-      'claude-3-sonnet-20240229': { name: 'Claude 3 Sonnet', maxTokens: 4096 },
-      'claude-3-haiku-20240307': { name: 'Claude 3 Haiku', maxTokens: 4096 }
+      'claude-3-opus-20240229': { name: 'Claude 3 Opus', maxTokens: 4096, pricing: { input: 0.015, output: 0.075 } },
+      'claude-3-sonnet-20240229': { name: 'Claude 3 Sonnet', maxTokens: 4096, pricing: { input: 0.003, output: 0.015 } },
+      'claude-3-haiku-20240307': { name: 'Claude 3 Haiku', maxTokens: 4096, pricing: { input: 0.00025, output: 0.00125 } }
     }
   },
   gemini: {
     url: 'https://generativelanguage.googleapis.com/v1beta/models',
     models: {
-      'gemini-pro': { name: 'Gemini Pro', maxTokens: 4096 }
+      'gemini-pro': { name: 'Gemini Pro', maxTokens: 4096, pricing: { input: 0.0005, output: 0.0015 } }
+    }
+  },
+  // Offline provider for demos and tests; see callMock
+  mock: {
+    url: null,
+    models: {
+      'mock-advisor': { name: 'Mock Advisor', maxTokens: 4096, pricing: { input: 0, output: 0 } }
     }
   }
 };
 
+export function getProviderForModel(model) {
+  return Object.keys(AI_PROVIDERS).find(provider => AI_PROVIDERS[provider].models[model]) || null;
+}
+
+// Each provider reports usage differently; normalize to input/output/total
+export function normalizeUsage(usage = {}) {
+  const input = usage.prompt_tokens ?? usage.input_tokens ?? usage.promptTokenCount ?? 0;
+  const output = usage.completion_tokens ?? usage.output_tokens ?? usage.candidatesTokenCount ?? 0;
+  return { input, output, total: input + output };
+}
+
+export function estimateCost(provider, model, tokens) {
+  const pricing = AI_PROVIDERS[provider]?.models[model]?.pricing;
+  if (!pricing) return 0;
+  return (tokens.input / 1000) * pricing.input + (tokens.output / 1000) * pricing.output;
+}
+
 // Executive Agent System Prompts for ClearHive
-const AGENT_PROMPTS = {
+export const AGENT_PROMPTS = {
   ceo: `You are the CEO of ClearHive Health, a behavioral health aftercare coordination platform. Your name is Michael Giresi.
 Your focus: Revenue growth, customer acquisition, clinical partnerships, and overall strategic direction.
 Key metrics you care about: ARR, pilot conversions, customer NPS, provider network growth.
@@ -68,50 +94,233 @@ Your perspective: Strong founder-market fit, addressing real pain point, need to
 Investment thesis: Behavioral health infrastructure play with network effects potential.`
 };
 
+// Message Formats
+// Conversations are kept in a provider-neutral shape. Besides the usual
+// { role, content } turns, tool use adds:
+//   { role: 'assistant', content, toolCalls: [{ id, name, arguments }] }
+//   { role: 'tool', toolCallId, name, content }
+// and each provider converts them to its native function-calling format.
+// Tools are { name, description, parameters } with a JSON Schema.
+
+function toOpenAIMessages(messages) {
+  return messages.map(msg => {
+    if (msg.toolCalls) {
+      return {
+        role: 'assistant',
+        content: msg.content || null,
+        tool_calls: msg.toolCalls.map(call => ({
+          id: call.id,
+          type: 'function',
+          function: { name: call.name, arguments: JSON.stringify(call.arguments) }
+        }))
+      };
+    }
+    if (msg.role === 'tool') {
+      return { role: 'tool', tool_call_id: msg.toolCallId, content: msg.content };
+    }
+    return { role: msg.role, content: msg.content };
+  });
+}
+
+function openAITools(tools, toolChoice) {
+  if (!tools?.length) return {};
+  return {
+    tools: tools.map(({ name, description, parameters }) => ({
+      type: 'function',
+      function: { name, description, parameters }
+    })),
+    ...(toolChoice && { tool_choice: toolChoice })
+  };
+}
+
+// Anthropic takes the system prompt separately from the conversation, and
+// tool results go back as user turns (consecutive results share one turn)
+function splitSystemMessage(messages) {
+  const converted = [];
+  
+  for (const msg of messages.filter(m => m.role !== 'system')) {
+    if (msg.toolCalls) {
+      converted.push({
+        role: 'assistant',
+        content: [
+          ...(msg.content ? [{ type: 'text', text: msg.content }] : []),
+          ...msg.toolCalls.map(call => ({ type: 'tool_use', id: call.id, name: call.name, input: call.arguments }))
+        ]
+      });
+    } else if (msg.role === 'tool') {
+      const result = { type: 'tool_result', tool_use_id: msg.toolCallId, content: msg.content };
+      const previous = converted[converted.length - 1];
+      if (previous?.role === 'user' && Array.isArray(previous.content)) previous.content.push(result);
+      else converted.push({ role: 'user', content: [result] });
+    } else {
+      converted.push({ role: msg.role, content: msg.content });
+    }
+  }
+  
+  return {
+    system: messages.find(m => m.role === 'system')?.content || '',
+    messages: converted
+  };
+}
+
+function anthropicTools(tools, toolChoice) {
+  if (!tools?.length) return {};
+  return {
+    tools: tools.map(({ name, description, parameters }) => ({ name, description, input_schema: parameters })),
+    ...(toolChoice && { tool_choice: { type: toolChoice } })
+  };
+}
+
+// Gemini wants tool results as objects. Ours are JSON, but results replayed
+// from elsewhere may be plain text, which is passed through as is.
+function parseToolResult(content) {
+  try {
+    return JSON.parse(content);
+  } catch (error) {
+    return content;
+  }
+}
+
+function toGeminiContents(messages) {
+  const contents = [];
+  
+  for (const msg of messages) {
+    if (msg.toolCalls) {
+      contents.push({
+        role: 'model',
+        parts: [
+          ...(msg.content ? [{ text: msg.content }] : []),
+          ...msg.toolCalls.map(call => ({ functionCall: { name: call.name, args: call.arguments } }))
+        ]
+      });
+    } else if (msg.role === 'tool') {
+      const part = { functionResponse: { name: msg.name, response: { name: msg.name, content: parseToolResult(msg.content) } } };
+      const previous = contents[contents.length - 1];
+      if (previous?.role === 'function') previous.parts.push(part);
+      else contents.push({ role: 'function', parts: [part] });
+    } else {
+      contents.push({
+        role: msg.role === 'assistant' ? 'model' : 'user',
+        parts: [{ text: msg.content }]
+      });
+    }
+  }
+  return contents;
+}
+
+function geminiTools(tools, toolChoice) {
+  if (!tools?.length) return {};
+  return {
+    tools: [{ functionDeclarations: tools.map(({ name, description, parameters }) => ({ name, description, parameters })) }],
+    ...(toolChoice && { toolConfig: { functionCallingConfig: { mode: toolChoice.toUpperCase() } } })
+  };
+}
+
+// Models occasionally emit arguments that aren't valid JSON; null tells
+// the agent to report that back instead of running the tool
+function parseToolArguments(text) {
+  if (!text) return {};
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return null;
+  }
+}
+
+// Gemini doesn't assign call ids, so number them within the response
+function geminiToolCalls(parts = []) {
+  return parts
+    .filter(part => part.functionCall)
+    .map((part, index) => ({ id: `gemini-call-${index}`, name: part.functionCall.name, arguments: part.functionCall.args || {} }));
+}
+
+// fetch rejects on network failures and aborts. Mark those retryable so
+// the agent treats them like a 503 rather than a rejected request.
+async function providerFetch(url, init) {
+  try {
+    return await fetch(url, init);
+  } catch (error) {
+    error.retryable = true;
+    throw error;
+  }
+}
+
+function failedCall(error) {
+  return error.retryable ? { error: error.message, retryable: true } : { error: error.message };
+}
+
+// Check the status before reading the body: error pages from gateways and
+// proxies are often not JSON. A 200 with an unreadable body is reported
+// as a 502 so it gets retried.
+async function readProviderJSON(response, label) {
+  if (!response.ok) {
+    return { error: await readErrorMessage(response, `${label} API error`), status: response.status };
+  }
+  try {
+    return { data: await response.json() };
+  } catch (error) {
+    return { error: `${label} sent an unreadable response: ${error.message}`, status: 502 };
+  }
+}
+
+// Turn an OpenAI chat completion response into the common result shape.
+// The mock provider feeds its 'malformed' bodies through here as well.
+async function readOpenAIResponse(response) {
+  const { data, ...failure } = await readProviderJSON(response, 'OpenAI');
+  if (!data) return failure;
+  
+  const message = data.choices[0].message;
+  return {
+    content: message.content || '',
+    toolCalls: message.tool_calls?.map(call => ({
+      id: call.id,
+      name: call.function.name,
+      arguments: parseToolArguments(call.function.arguments)
+    })),
+    usage: data.usage,
+    model: data.model
+  };
+}
+
 // API Call Functions
-export async function callOpenAI(apiKey, messages, model = 'gpt-4-turbo-preview', temperature = 0.7) {
+// Options: signal (AbortSignal), tools, and toolChoice ('auto' | 'none').
+// When the model asks for tools the result carries `toolCalls`.
+export async function callOpenAI(apiKey, messages, model = 'gpt-4-turbo-preview', temperature = 0.7, { signal, tools, toolChoice } = {}) {
   if (!apiKey) return { error: 'OpenAI API key not configured' };
   
   try {
-    const response = await fetch(AI_PROVIDERS.openai.url, {
+    const response = await providerFetch(AI_PROVIDERS.openai.url, {
       method: 'POST',
+      signal,
       headers: {
         'Authorization': `Bearer ${apiKey}`,
         'Content-Type': 'application/json'
       },
       body: JSON.stringify({
         model,
-        messages,
+        messages: toOpenAIMessages(messages),
         temperature,
-        max_tokens: AI_PROVIDERS.openai.models[model].maxTokens
+        max_tokens: AI_PROVIDERS.openai.models[model].maxTokens,
+        ...openAITools(tools, toolChoice)
       })
     });
     
-    const data = await response.json();
-    if (!response.ok) {
-      return { error: data.error?.message || 'OpenAI API error' };
-    }
-    
-    return {
-      content: data.choices[0].message.content,
-      usage: data.usage,
-      model: data.model
-    };
+    return await readOpenAIResponse(response);
   } catch (error) {
-    return { error: error.message };
+    return failedCall(error);
   }
 }
 
-export async function callAnthropic(apiKey, messages, model = 'claude-3-sonnet-20240229', temperature = 0.7) {
+export async function callAnthropic(apiKey, messages, model = 'claude-3-sonnet-20240229', temperature = 0.7, { signal, tools, toolChoice } = {}) {
   if (!apiKey) return { error: 'Anthropic API key not configured' };
   
   try {
     // Convert messages to Anthropic format
-    const systemMessage = messages.find(m => m.role === 'system')?.content || '';
-    const userMessages = messages.filter(m => m.role !== 'system');
+    const { system, messages: userMessages } = splitSystemMessage(messages);
     
-    const response = await fetch(AI_PROVIDERS.anthropic.url, {
+    const response = await providerFetch(AI_PROVIDERS.anthropic.url, {
       method: 'POST',
+      signal,
       headers: {
         'x-api-key': apiKey,
         'anthropic-version': '2023-06-01',
@@ -119,84 +328,853 @@ export async function callAnthropic(apiKey, messages, model = 'claude-3-sonnet-2
       },
       body: JSON.stringify({
         model,
-        system: systemMessage,
+        system,
         messages: userMessages,
         temperature,
-        max_tokens: AI_PROVIDERS.anthropic.models[model].maxTokens
+        max_tokens: AI_PROVIDERS.anthropic.models[model].maxTokens,
+        ...anthropicTools(tools, toolChoice)
       })
     });
     
-    const data = await response.json();
-    if (!response.ok) {
-      return { error: data.error?.message || 'Anthropic API error' };
-    }
+    const { data, ...failure } = await readProviderJSON(response, 'Anthropic');
+    if (!data) return failure;
+    
+    const toolCalls = data.content
+      .filter(block => block.type === 'tool_use')
+      .map(block => ({ id: block.id, name: block.name, arguments: block.input }));
     
     return {
-      content: data.content[0].text,
+      content: data.content.filter(block => block.type === 'text').map(block => block.text).join(''),
+      toolCalls: toolCalls.length ? toolCalls : undefined,
       usage: data.usage,
       model: data.model
     };
   } catch (error) {
-    return { error: error.message };
+    return failedCall(error);
   }
 }
 
-export async function callGemini(apiKey, messages, model = 'gemini-pro', temperature = 0.7) {
+export async function callGemini(apiKey, messages, model = 'gemini-pro', temperature = 0.7, { signal, tools, toolChoice } = {}) {
   if (!apiKey) return { error: 'Gemini API key not configured' };
   
   try {
     // Convert messages to Gemini format
-    const contents = messages.map(msg => ({
-      role: msg.role === 'assistant' ? 'model' : 'user',
-      parts: [{ text: msg.content }]
-    }));
+    const contents = toGeminiContents(messages);
     
-    const response = await fetch(
+    const response = await providerFetch(
       `${AI_PROVIDERS.gemini.url}/${model}:generateContent?key=${apiKey}`,
       {
         method: 'POST',
+        signal,
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
           contents,
           generationConfig: {
             temperature,
             maxOutputTokens: AI_PROVIDERS.gemini.models[model].maxTokens
-          }
+          },
+          ...geminiTools(tools, toolChoice)
         })
       }
     );
     
-    const data = await response.json();
-    if (!response.ok) {
-      return { error: data.error?.message || 'Gemini API error' };
-    }
+    const { data, ...failure } = await readProviderJSON(response, 'Gemini');
+    if (!data) return failure;
     
+    const parts = data.candidates[0].content.parts;
+    const toolCalls = geminiToolCalls(parts);
     return {
-      content: data.candidates[0].content.parts[0].text,
+      content: parts.map(part => part.text || '').join(''),
+      toolCalls: toolCalls.length ? toolCalls : undefined,
       usage: data.usageMetadata,
       model: model
     };
   } catch (error) {
-    return { error: error.message };
+    return failedCall(error);
+  }
+}
+
+// Check a key with the cheapest authenticated request each provider offers.
+// A 429 still proves the key is valid.
+export async function testApiKey(provider, apiKey, { signal } = {}) {
+  const requests = {
+    openai: () => fetch('https://api.openai.com/v1/models', {
+      headers: { 'Authorization': `Bearer ${apiKey}` },
+      signal
+    }),
+    anthropic: () => fetch('https://api.anthropic.com/v1/messages', {
+      method: 'POST',
+      headers: {
+        'x-api-key': apiKey,
+        'anthropic-version': '2023-06-01',
+        'content-type': 'application/json'
+      },
+      body: JSON.stringify({
+        model: 'claude-3-haiku-20240307',
+        messages: [{ role: 'user', content: 'Hi' }],
+        max_tokens: 1
+      }),
+      signal
+    }),
+    gemini: () => fetch(`https://generativelanguage.googleapis.com/v1beta/models?key=${encodeURIComponent(apiKey)}`, { signal })
+  };
+  if (!requests[provider]) return { valid: false, error: `Cannot test keys for ${provider}` };
+  
+  try {
+    const response = await requests[provider]();
+    if (response.ok || response.status === 429) return { valid: true, status: response.status };
+    return { valid: false, status: response.status, error: await readErrorMessage(response, 'Key was rejected') };
+  } catch (error) {
+    return { valid: false, error: error.message };
+  }
+}
+
+// Streaming Call Functions
+// Same result shape as the call functions above, but each text delta is
+// passed to onToken as it arrives. Tool calls are assembled from their
+// streamed fragments and returned once the stream ends.
+
+// Yields { event, data } for each Server-Sent Event in a fetch response
+async function* readServerEvents(response) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  
+  for await (const chunk of response.body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    const blocks = buffer.split(/\r?\n\r?\n/);
+    buffer = blocks.pop();
+    
+    for (const block of blocks) {
+      let event = 'message';
+      const data = [];
+      for (const line of block.split(/\r?\n/)) {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        else if (line.startsWith('data:')) data.push(line.slice(5).trimStart());
+      }
+      if (data.length) yield { event, data: data.join('\n') };
+    }
+  }
+}
+
+async function readErrorMessage(response, fallback) {
+  const data = await response.json().catch(() => ({}));
+  return data.error?.message || fallback;
+}
+
+export async function streamOpenAI(apiKey, messages, model = 'gpt-4-turbo-preview', temperature = 0.7, onToken = () => {}, { signal, tools, toolChoice } = {}) {
+  if (!apiKey) return { error: 'OpenAI API key not configured' };
+  
+  try {
+    const response = await providerFetch(AI_PROVIDERS.openai.url, {
+      method: 'POST',
+      signal,
+      headers: {
+        'Authorization': `Bearer ${apiKey}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        model,
+        messages: toOpenAIMessages(messages),
+        temperature,
+        max_tokens: AI_PROVIDERS.openai.models[model].maxTokens,
+        stream: true,
+        stream_options: { include_usage: true },
+        ...openAITools(tools, toolChoice)
+      })
+    });
+    
+    if (!response.ok) {
+      return { error: await readErrorMessage(response, 'OpenAI API error'), status: response.status };
+    }
+    
+    let content = '';
+    let usage;
+    let responseModel = model;
+    const calls = [];
+    
+    for await (const { data } of readServerEvents(response)) {
+      if (data === '[DONE]') break;
+      const chunk = JSON.parse(data);
+      const delta = chunk.choices?.[0]?.delta;
+      if (delta?.content) {
+        content += delta.content;
+        onToken(delta.content);
+      }
+      // Tool call ids and names arrive once; arguments arrive in pieces
+      for (const fragment of delta?.tool_calls || []) {
+        const call = calls[fragment.index] || (calls[fragment.index] = { id: fragment.id, name: '', args: '' });
+        if (fragment.function?.name) call.name += fragment.function.name;
+        if (fragment.function?.arguments) call.args += fragment.function.arguments;
+      }
+      // Usage arrives on a final chunk with no choices
+      if (chunk.usage) usage = chunk.usage;
+      if (chunk.model) responseModel = chunk.model;
+    }
+    
+    return {
+      content,
+      toolCalls: calls.length ? calls.map(c => ({ id: c.id, name: c.name, arguments: parseToolArguments(c.args) })) : undefined,
+      usage,
+      model: responseModel
+    };
+  } catch (error) {
+    return failedCall(error);
+  }
+}
+
+export async function streamAnthropic(apiKey, messages, model = 'claude-3-sonnet-20240229', temperature = 0.7, onToken = () => {}, { signal, tools, toolChoice } = {}) {
+  if (!apiKey) return { error: 'Anthropic API key not configured' };
+  
+  try {
+    const { system, messages: userMessages } = splitSystemMessage(messages);
+    
+    const response = await providerFetch(AI_PROVIDERS.anthropic.url, {
+      method: 'POST',
+      signal,
+      headers: {
+        'x-api-key': apiKey,
+        'anthropic-version': '2023-06-01',
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        model,
+        system,
+        messages: userMessages,
+        temperature,
+        max_tokens: AI_PROVIDERS.anthropic.models[model].maxTokens,
+        stream: true,
+        ...anthropicTools(tools, toolChoice)
+      })
+    });
+    
+    if (!response.ok) {
+      return { error: await readErrorMessage(response, 'Anthropic API error'), status: response.status };
+    }
+    
+    let content = '';
+    const usage = { input_tokens: 0, output_tokens: 0 };
+    let responseModel = model;
+    const calls = new Map(); // content block index -> tool_use being assembled
+    
+    // Input tokens come with message_start, output tokens with message_delta
+    for await (const { event, data } of readServerEvents(response)) {
+      const payload = JSON.parse(data);
+      if (event === 'message_start') {
+        usage.input_tokens = payload.message.usage?.input_tokens || 0;
+        responseModel = payload.message.model || model;
+      } else if (event === 'content_block_start' && payload.content_block?.type === 'tool_use') {
+        calls.set(payload.index, { id: payload.content_block.id, name: payload.content_block.name, args: '' });
+      } else if (event === 'content_block_delta' && payload.delta?.type === 'text_delta') {
+        content += payload.delta.text;
+        onToken(payload.delta.text);
+      } else if (event === 'content_block_delta' && payload.delta?.type === 'input_json_delta') {
+        calls.get(payload.index).args += payload.delta.partial_json;
+      } else if (event === 'message_delta') {
+        usage.output_tokens = payload.usage?.output_tokens || usage.output_tokens;
+      } else if (event === 'error') {
+        return { error: payload.error?.message || 'Anthropic stream error' };
+      }
+    }
+    
+    return {
+      content,
+      toolCalls: calls.size ? [...calls.values()].map(c => ({ id: c.id, name: c.name, arguments: parseToolArguments(c.args) })) : undefined,
+      usage,
+      model: responseModel
+    };
+  } catch (error) {
+    return failedCall(error);
   }
 }
 
+export async function streamGemini(apiKey, messages, model = 'gemini-pro', temperature = 0.7, onToken = () => {}, { signal, tools, toolChoice } = {}) {
+  if (!apiKey) return { error: 'Gemini API key not configured' };
+  
+  try {
+    const response = await providerFetch(
+      `${AI_PROVIDERS.gemini.url}/${model}:streamGenerateContent?alt=sse&key=${apiKey}`,
+      {
+        method: 'POST',
+        signal,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          contents: toGeminiContents(messages),
+          generationConfig: {
+            temperature,
+            maxOutputTokens: AI_PROVIDERS.gemini.models[model].maxTokens
+          },
+          ...geminiTools(tools, toolChoice)
+        })
+      }
+    );
+    
+    if (!response.ok) {
+      return { error: await readErrorMessage(response, 'Gemini API error'), status: response.status };
+    }
+    
+    let content = '';
+    let usage;
+    const callParts = [];
+    
+    // Each event is a partial GenerateContentResponse; usage is cumulative
+    // and function calls arrive whole
+    for await (const { data } of readServerEvents(response)) {
+      const chunk = JSON.parse(data);
+      const parts = chunk.candidates?.[0]?.content?.parts || [];
+      const text = parts.map(p => p.text || '').join('');
+      if (text) {
+        content += text;
+        onToken(text);
+      }
+      callParts.push(...parts.filter(p => p.functionCall));
+      if (chunk.usageMetadata) usage = chunk.usageMetadata;
+    }
+    
+    return {
+      content,
+      toolCalls: callParts.length ? geminiToolCalls(callParts) : undefined,
+      usage,
+      model
+    };
+  } catch (error) {
+    return failedCall(error);
+  }
+}
+
+// Mock Provider
+// Answers without a network so sessions can be demoed and tested offline.
+// Replies are deterministic for a given system prompt and question, and
+// usage is estimated at ~4 characters per token. Options:
+//   script     - MockScript of fixtures to replay before generating replies
+//   failure    - inject on every call: 'timeout', '429', '500' or 'malformed'
+//   latencyMs  - delay before answering (spread across tokens when streaming)
+//   timeoutMs  - how long a 'timeout' failure hangs before erroring
+//   signal     - AbortSignal that cuts latency and hangs short
+//   schema     - response schema to answer with matching JSON
+
+const MOCK_OPENERS = [
+  'From where I sit',
+  'Looking at this through my lens',
+  'My read',
+  'Short version'
+];
+
+const MOCK_CLOSERS = [
+  'I would want to revisit this once the pilot data is in.',
+  'Happy to go deeper on any of these.',
+  'Let us pressure-test this against the runway before committing.',
+  'This is my recommendation unless the numbers move.'
+];
+
+// Resolves early (without throwing) if the signal aborts
+function sleep(ms, signal) {
+  return new Promise(resolve => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      resolve();
+    }, { once: true });
+  });
+}
+
+function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / 4);
+}
+
+// FNV-1a; stable across runs so the same question gets the same answer
+function hashText(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash;
+}
+
+// Pull a labelled line ("Your focus: ...") out of a persona prompt
+function personaLine(systemPrompt, labels) {
+  for (const label of labels) {
+    const match = systemPrompt.match(new RegExp(`^${label}:\\s*(.+)$`, 'mi'));
+    if (match) return match[1].trim().replace(/\.$/, '');
+  }
+  return null;
+}
+
+function composeMockReply(role, messages) {
+  const systemPrompt = messages.find(m => m.role === 'system')?.content || AGENT_PROMPTS[role] || AGENT_PROMPTS.advisor;
+  const question = [...messages].reverse().find(m => m.role === 'user')?.content || '';
+  const seed = hashText(`${systemPrompt}\n${question}`);
+  
+  const focus = (personaLine(systemPrompt, ['Your focus', 'Your role', 'Expertise']) || 'overall strategy')
+    .split(/,\s*(?:and\s+)?/)
+    .filter(Boolean);
+  const metrics = personaLine(systemPrompt, ['Key metrics you care about', 'Key metrics', 'Key concerns', 'Expertise']);
+  const perspective = personaLine(systemPrompt, ['Your perspective', 'Personality']);
+  const topic = question.replace(/\s+/g, ' ').trim().slice(0, 120);
+  
+  const points = [0, 1, 2].map(i => focus[(seed + i) % focus.length]);
+  const toolsUsed = [...new Set(messages.filter(m => m.role === 'tool').map(m => m.name))];
+  return [
+    `${MOCK_OPENERS[seed % MOCK_OPENERS.length]} (${role}) on "${topic}":`,
+    ...[...new Set(points)].map((point, i) => `${i + 1}. Anchor the decision on ${point.replace(/^[A-Z](?=[a-z])/, c => c.toLowerCase())}.`),
+    toolsUsed.length && `I checked our live data (${toolsUsed.join(', ')}) before answering.`,
+    metrics && `Metrics I would track: ${metrics}.`,
+    perspective && `${perspective}.`,
+    MOCK_CLOSERS[(seed >>> 8) % MOCK_CLOSERS.length]
+  ].filter(Boolean).join('\n');
+}
+
+// Fill a response schema from the same persona material as the prose reply
+function composeMockStructured(role, messages, schema) {
+  const prose = composeMockReply(role, messages).split('\n');
+  const lines = prose.slice(1).filter(line => /^\d+\./.test(line)).map(line => line.replace(/^\d+\.\s*/, ''));
+  const due = new Date(Date.now() + 30 * 86400000).toISOString().slice(0, 10);
+  
+  const fill = (node, key, index) => {
+    switch (node.type) {
+      case 'object':
+        return Object.fromEntries(Object.entries(node.properties || {}).map(([name, child]) => [name, fill(child, name, index)]));
+      case 'array':
+        return lines.slice(0, 2).map((_, i) => fill(node.items || { type: 'string' }, key, index + i));
+      case 'number':
+        return index + 1;
+      case 'boolean':
+        return index % 2 === 0;
+      default:
+        if (node.enum) return node.enum[(hashText(role) + index) % node.enum.length];
+        if (node.format === 'date') return due;
+        if (key === 'owner') return role.toUpperCase();
+        if (key === 'summary') return prose[0];
+        return lines[index % lines.length] || prose[0];
+    }
+  };
+  return JSON.stringify(fill(schema, 'response', 0), null, 2);
+}
+
+// Fixtures replayed in order. Each entry may narrow itself with `role`
+// (agent id) and `match` (substring of the question), and either give
+// `content` (optionally `usage`), `toolCalls` ([{ name, arguments }]) or a
+// `failure` to inject for that turn. Entries are consumed once unless
+// `repeat` is set.
+export class MockScript {
+  constructor(entries = []) {
+    this.entries = entries.map(entry => ({ ...entry, used: false }));
+  }
+  
+  // Accepts a fixture array or a recorded session transcript ({ messages })
+  static async load(file) {
+    const data = JSON.parse(await fs.readFile(file, 'utf-8'));
+    return Array.isArray(data) ? new MockScript(data) : MockScript.fromTranscript(data.messages || []);
+  }
+  
+  static fromTranscript(messages) {
+    return new MockScript(messages
+      .filter(m => m.role === 'agent' && m.content)
+      .map(m => ({ role: m.agentId, content: m.content })));
+  }
+  
+  next(role, question) {
+    const entry = this.entries.find(e => !e.used &&
+      (!e.role || e.role === role) &&
+      (!e.match || question.includes(e.match)));
+    if (entry && !entry.repeat) entry.used = true;
+    return entry || null;
+  }
+  
+  get remaining() {
+    return this.entries.filter(e => !e.used).length;
+  }
+}
+
+async function mockFailure(failure, options) {
+  switch (failure) {
+    case 'timeout':
+      await sleep(options.timeoutMs ?? 30000, options.signal);
+      return { error: 'Mock provider timed out', status: 408 };
+    case '429':
+      return { error: 'Rate limit exceeded (mock)', status: 429 };
+    case '500':
+      return { error: 'Mock provider internal error', status: 500 };
+    case 'malformed':
+      // A body cut off mid-stream, read the way a real reply would be
+      return readOpenAIResponse(new Response('{"choices":[{"message":{"content":"Anchor the', {
+        status: 200,
+        headers: { 'Content-Type': 'application/json' }
+      }));
+    default:
+      return { error: `Unknown mock failure: ${failure}` };
+  }
+}
+
+export async function callMock(role, messages, model = 'mock-advisor', options = {}) {
+  const question = [...messages].reverse().find(m => m.role === 'user')?.content || '';
+  const fixture = options.script?.next(role, question);
+  const failure = fixture?.failure || options.failure;
+  
+  if (options.latencyMs) await sleep(options.latencyMs, options.signal);
+  if (failure) return mockFailure(failure, options);
+  
+  const usage = {
+    prompt_tokens: messages.reduce((sum, m) => sum + estimateTokens(m.content), 0),
+    completion_tokens: 0
+  };
+  
+  if (fixture?.toolCalls && options.tools?.length && options.toolChoice !== 'none') {
+    return {
+      content: '',
+      toolCalls: fixture.toolCalls.map((call, index) => ({ id: `mock-call-${index}`, arguments: {}, ...call })),
+      usage: { ...usage, completion_tokens: estimateTokens(JSON.stringify(fixture.toolCalls)) },
+      model
+    };
+  }
+  
+  const content = fixture?.content ?? (options.schema
+    ? composeMockStructured(role, messages, options.schema)
+    : composeMockReply(role, messages));
+  return {
+    content,
+    usage: fixture?.usage || { ...usage, completion_tokens: estimateTokens(content) },
+    model
+  };
+}
+
+export async function streamMock(role, messages, model = 'mock-advisor', options = {}, onToken = () => {}) {
+  const response = await callMock(role, messages, model, { ...options, latencyMs: 0 });
+  if (response.error || response.toolCalls) return response;
+  
+  const chunks = response.content.match(/\S+\s*/g) || [];
+  for (const chunk of chunks) {
+    if (options.signal?.aborted) return { error: 'This operation was aborted' };
+    if (options.latencyMs) await sleep(options.latencyMs / chunks.length, options.signal);
+    onToken(chunk);
+  }
+  return response;
+}
+
+// Conversation Memory
+// Keeps an agent's recent turns verbatim within a token budget. When the
+// budget is exceeded the oldest turns are folded into a running summary
+// by a cheap model. Pinned facts are always sent and never evicted.
+export const DEFAULT_MEMORY_OPTIONS = {
+  budgetTokens: 3000,
+  keepRecentTurns: 4 // messages kept verbatim however long they are
+};
+
+export class ConversationMemory {
+  constructor(options = {}) {
+    this.budgetTokens = options.budgetTokens ?? DEFAULT_MEMORY_OPTIONS.budgetTokens;
+    this.keepRecentTurns = options.keepRecentTurns ?? DEFAULT_MEMORY_OPTIONS.keepRecentTurns;
+    this.turns = [];
+    this.summary = '';
+    this.pinned = [];
+    this.summarizedTurns = 0;
+    this.lastError = null;
+    this.updatedAt = new Date();
+  }
+  
+  // Rebuild from a persisted record (or wrap an existing instance)
+  static from(record, options = {}) {
+    if (record instanceof ConversationMemory) return record;
+    const memory = new ConversationMemory(options);
+    if (record) {
+      Object.assign(memory, {
+        turns: record.turns || [],
+        summary: record.summary || '',
+        pinned: record.pinned || [],
+        summarizedTurns: record.summarizedTurns || 0,
+        lastError: record.lastError || null,
+        updatedAt: record.updatedAt ? new Date(record.updatedAt) : new Date()
+      });
+    }
+    return memory;
+  }
+  
+  // Appended to the system prompt so every provider sees it
+  context() {
+    return [
+      this.pinned.length && `Pinned facts (always true for this session):\n${this.pinned.map(p => `- ${p.text}`).join('\n')}`,
+      this.summary && `Summary of our earlier conversation:\n${this.summary}`
+    ].filter(Boolean).join('\n\n');
+  }
+  
+  get tokens() {
+    return estimateTokens(this.context()) + this.turns.reduce((sum, turn) => sum + estimateTokens(turn.content), 0);
+  }
+  
+  add(userMessage, reply) {
+    this.turns.push({ role: 'user', content: userMessage }, { role: 'assistant', content: reply });
+    this.updatedAt = new Date();
+  }
+  
+  // summarize(previousSummary, turns) resolves to a provider response.
+  // Turns are evicted in user/assistant pairs until the recent ones fit in
+  // half the budget; on failure nothing is dropped and we try again later.
+  async compact(summarize) {
+    if (this.tokens <= this.budgetTokens) return null;
+    
+    let evict = 0;
+    const recentTokens = () => this.turns.slice(evict).reduce((sum, turn) => sum + estimateTokens(turn.content), 0);
+    while (this.turns.length - evict > this.keepRecentTurns && recentTokens() > this.budgetTokens / 2) {
+      evict += 2;
+    }
+    if (!evict) return null;
+    
+    const response = await summarize(this.summary, this.turns.slice(0, evict));
+    if (response.error) {
+      this.lastError = response.error;
+      return response;
+    }
+    
+    this.summary = response.content.trim();
+    this.turns = this.turns.slice(evict);
+    this.summarizedTurns += evict;
+    this.lastError = null;
+    this.updatedAt = new Date();
+    return response;
+  }
+  
+  setSummary(summary) {
+    this.summary = summary;
+    this.updatedAt = new Date();
+  }
+  
+  pin(text) {
+    const fact = { id: `pin-${Date.now().toString(36)}-${this.pinned.length}`, text, pinnedAt: new Date() };
+    this.pinned.push(fact);
+    this.updatedAt = new Date();
+    return fact;
+  }
+  
+  unpin(id) {
+    const index = this.pinned.findIndex(p => p.id === id);
+    if (index === -1) return false;
+    this.pinned.splice(index, 1);
+    this.updatedAt = new Date();
+    return true;
+  }
+  
+  // Forget the conversation but keep pinned facts
+  clear() {
+    this.turns = [];
+    this.summary = '';
+    this.summarizedTurns = 0;
+    this.updatedAt = new Date();
+  }
+  
+  snapshot() {
+    return {
+      budgetTokens: this.budgetTokens,
+      tokens: this.tokens,
+      summary: this.summary,
+      pinned: this.pinned,
+      turns: this.turns,
+      summarizedTurns: this.summarizedTurns,
+      lastError: this.lastError,
+      updatedAt: this.updatedAt
+    };
+  }
+}
+
+const SUMMARY_PROMPT = `You maintain the running memory of an advisory conversation.
+Merge the previous summary and the new turns into one updated summary.
+Keep decisions made, numbers quoted, commitments, owners and open questions; drop pleasantries.
+Reply with the summary only, as short bullet points, in under 250 words.`;
+
+// Retry policy for transient provider failures. Timeouts, rate limits,
+// 5xx responses and network errors are retried on the same model with exponential backoff;
+// anything else moves straight on to the next model in the fallback chain.
+export const DEFAULT_RETRY_POLICY = {
+  retries: 2,
+  baseDelayMs: 1000,
+  maxDelayMs: 15000,
+  timeoutMs: 120000
+};
+
+function isRetryable({ status, retryable }) {
+  return retryable || status === 408 || status === 429 || status >= 500;
+}
+
+function backoffDelay(policy, attempt) {
+  const delay = Math.min(policy.baseDelayMs * 2 ** (attempt - 1), policy.maxDelayMs);
+  return delay * (0.75 + Math.random() * 0.25);
+}
+
+// Structured Responses
+// A response schema is a small JSON Schema subset: type (object, array,
+// string, number, boolean), properties, required, items, enum and
+// format: 'date'. The agent asks for JSON matching the schema, validates
+// the reply, and re-asks with the violations when it doesn't match.
+const RISK_LEVELS = ['low', 'medium', 'high', 'critical'];
+
+export const ADVISOR_RESPONSE_SCHEMA = {
+  type: 'object',
+  required: ['summary', 'recommendations', 'risks', 'actions', 'claims'],
+  properties: {
+    summary: { type: 'string' },
+    recommendations: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['title'],
+        properties: {
+          title: { type: 'string' },
+          rationale: { type: 'string' },
+          priority: { type: 'string', enum: ['critical', 'high', 'medium', 'low'] }
+        }
+      }
+    },
+    risks: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['title', 'probability', 'impact'],
+        properties: {
+          title: { type: 'string' },
+          probability: { type: 'string', enum: RISK_LEVELS },
+          impact: { type: 'string', enum: RISK_LEVELS },
+          mitigation: { type: 'string' }
+        }
+      }
+    },
+    actions: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['title', 'owner', 'due'],
+        properties: {
+          title: { type: 'string' },
+          owner: { type: 'string' },
+          due: { type: 'string', format: 'date' }
+        }
+      }
+    },
+    claims: { type: 'array', items: { type: 'string' } }
+  }
+};
+
+// A real day written YYYY-MM-DD. Round-tripped because Date quietly rolls
+// 2025-02-30 over to March and reads "1" as 2001.
+export function isCalendarDate(text) {
+  if (typeof text !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(text)) return false;
+  const day = new Date(`${text}T00:00:00Z`);
+  return !Number.isNaN(day.getTime()) && day.toISOString().slice(0, 10) === text;
+}
+
+// Returns a list of violations, empty when the value matches. Handles the
+// JSON Schema subset used here: type, enum, date format, minimum, required,
+// properties, additionalProperties (as a schema) and items.
+export function validateAgainstSchema(value, schema, path = 'response') {
+  const actual = Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+  if (schema.type && actual !== schema.type) return [`${path} must be ${schema.type === 'array' ? 'an' : 'a'} ${schema.type}`];
+  if (schema.enum && !schema.enum.includes(value)) return [`${path} must be one of: ${schema.enum.join(', ')}`];
+  if (schema.format === 'date' && !isCalendarDate(value)) return [`${path} must be a date (YYYY-MM-DD)`];
+  if (schema.minimum !== undefined && value < schema.minimum) return [`${path} must be at least ${schema.minimum}`];
+  
+  if (actual === 'array' && schema.items) {
+    return value.flatMap((item, i) => validateAgainstSchema(item, schema.items, `${path}[${i}]`));
+  }
+  if (actual === 'object') {
+    const missing = (schema.required || [])
+      .filter(key => value[key] === undefined || value[key] === null)
+      .map(key => `${path}.${key} is required`);
+    const invalid = Object.entries(schema.properties || {})
+      .filter(([key]) => value[key] !== undefined && value[key] !== null)
+      .flatMap(([key, property]) => validateAgainstSchema(value[key], property, `${path}.${key}`));
+    // Keyed maps: every entry not listed in properties matches one schema
+    const extra = typeof schema.additionalProperties === 'object'
+      ? Object.entries(value)
+        .filter(([key]) => !schema.properties?.[key])
+        .flatMap(([key, item]) => validateAgainstSchema(item, schema.additionalProperties, `${path}.${key}`))
+      : [];
+    return [...missing, ...invalid, ...extra];
+  }
+  return [];
+}
+
+// Models like to wrap JSON in code fences or a sentence of preamble
+export function parseStructuredContent(content) {
+  const text = String(content || '').trim();
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/);
+  const candidate = fenced ? fenced[1] : text.slice(text.indexOf('{'), text.lastIndexOf('}') + 1);
+  
+  try {
+    return { value: JSON.parse(candidate) };
+  } catch (error) {
+    return { error: `response is not valid JSON (${error.message})` };
+  }
+}
+
+function structuredInstructions(schema) {
+  return [
+    'Answer with a single JSON object and nothing else (no prose, no code fences).',
+    'It must match this JSON Schema:',
+    JSON.stringify(schema),
+    'Use empty arrays where you have nothing to add. Dates are YYYY-MM-DD.'
+  ].join('\n');
+}
+
+function repairPrompt(errors) {
+  return [
+    'Your previous answer did not match the required format:',
+    ...errors.slice(0, 10).map(error => `- ${error}`),
+    'Reply again with only the corrected JSON object.'
+  ].join('\n');
+}
+
 // Unified AI Agent Interface
+// Options:
+//   fallbacks     - models to try in order when the primary model fails
+//   apiKeys       - provider -> key, used for fallback models
+//   retry         - overrides for DEFAULT_RETRY_POLICY
+//   tools         - [{ name, description, parameters, handler(args) }]
+//   maxToolRounds - tool round trips before the model must answer
+//   memory        - ConversationMemory instance, or options for a new one
+//   summaryModels - cheap models for memory summaries, first with a key wins
+//   schema        - default response schema (see Structured Responses)
+//   maxRepairs    - re-asks allowed when a reply violates its schema
 export class AIAgent {
-  constructor(role, provider, apiKey, model) {
+  constructor(role, provider, apiKey, model, options = {}) {
     this.role = role;
     this.provider = provider;
     this.apiKey = apiKey;
     this.model = model;
-    this.systemPrompt = AGENT_PROMPTS[role] || AGENT_PROMPTS.advisor;
-    this.conversationHistory = [];
+    this.temperature = options.temperature ?? 0.7;
+    this.systemPrompt = options.systemPrompt || AGENT_PROMPTS[role] || AGENT_PROMPTS.advisor;
+    this.mock = options.mock || {};
+    this.fallbacks = options.fallbacks || [];
+    this.apiKeys = options.apiKeys || {};
+    this.retry = { ...DEFAULT_RETRY_POLICY, ...options.retry };
+    this.tools = options.tools || [];
+    this.maxToolRounds = options.maxToolRounds ?? 4;
+    this.memory = options.memory instanceof ConversationMemory ? options.memory : new ConversationMemory(options.memory);
+    this.summaryModels = options.summaryModels || ['gpt-3.5-turbo', 'claude-3-haiku-20240307', 'gemini-pro'];
+    this.schema = options.schema || null;
+    this.maxRepairs = options.maxRepairs ?? 2;
+  }
+  
+  // Primary model first, then fallbacks that have a key configured
+  get chain() {
+    const fallbacks = this.fallbacks
+      .map(model => ({ provider: getProviderForModel(model), model }))
+      .filter(target => target.provider && !(target.provider === this.provider && target.model === this.model))
+      .map(target => ({ ...target, apiKey: this.apiKeys[target.provider] }))
+      .filter(target => target.provider === 'mock' || target.apiKey);
+    return [{ provider: this.provider, model: this.model, apiKey: this.apiKey }, ...fallbacks];
   }
   
-  async respond(userMessage, context = {}) {
-    // Build messages array with system prompt and conversation history
+  // Pass onToken to stream the reply; the resolved value is the same.
+  // With a schema (or schema: true for the agent's default) the reply is
+  // validated and returned parsed in `structured`, with any violations left
+  // after the last repair in `schemaErrors`. Structured replies aren't
+  // streamed, since a repair would follow tokens already sent.
+  async respond(userMessage, context = {}, { onToken, schema } = {}) {
+    if (schema === true) schema = this.schema || ADVISOR_RESPONSE_SCHEMA;
+    
+    // Build messages array with system prompt, memory and recent turns
+    const memoryContext = this.memory.context();
     const messages = [
-      { role: 'system', content: this.systemPrompt },
-      ...this.conversationHistory,
+      { role: 'system', content: memoryContext ? `${this.systemPrompt}\n\n${memoryContext}` : this.systemPrompt },
+      ...this.memory.turns,
       { role: 'user', content: userMessage }
     ];
     
@@ -208,43 +1186,232 @@ export class AIAgent {
       });
     }
     
-    // Call appropriate AI provider
-    let response;
-    switch (this.provider) {
-      case 'openai':
-        response = await callOpenAI(this.apiKey, messages, this.model);
-        break;
-      case 'anthropic':
-        response = await callAnthropic(this.apiKey, messages, this.model);
-        break;
-      case 'gemini':
-        response = await callGemini(this.apiKey, messages, this.model);
-        break;
-      default:
-        response = { error: 'Unknown AI provider' };
-    }
+    const response = schema
+      ? await this.completeStructured(messages, schema)
+      : await this.complete(messages, onToken);
     
     if (!response.error) {
-      // Update conversation history
-      this.conversationHistory.push(
-        { role: 'user', content: userMessage },
-        { role: 'assistant', content: response.content }
+      this.memory.add(userMessage, response.content);
+      
+      // Summarizing is billed to the turn that pushed memory over budget
+      const summary = await this.memory.compact((previous, turns) => this.summarize(previous, turns));
+      if (summary && !summary.error) {
+        response.tokens = {
+          input: response.tokens.input + summary.tokens.input,
+          output: response.tokens.output + summary.tokens.output,
+          total: response.tokens.total + summary.tokens.total
+        };
+        response.cost += summary.cost;
+      }
+      response.memory = { compacted: Boolean(summary && !summary.error), tokens: this.memory.tokens };
+    }
+    
+    return response;
+  }
+  
+  async completeStructured(messages, schema) {
+    const transcript = [...messages, { role: 'system', content: structuredInstructions(schema) }];
+    const spent = { tokens: { input: 0, output: 0, total: 0 }, cost: 0 };
+    
+    for (let repairs = 0; ; repairs++) {
+      const response = await this.complete(transcript, null, schema);
+      if (response.error) return response;
+      
+      spent.tokens.input += response.tokens.input;
+      spent.tokens.output += response.tokens.output;
+      spent.tokens.total += response.tokens.total;
+      spent.cost += response.cost;
+      
+      const parsed = parseStructuredContent(response.content);
+      const schemaErrors = parsed.error ? [parsed.error] : validateAgainstSchema(parsed.value, schema);
+      if (!schemaErrors.length || repairs >= this.maxRepairs) {
+        return {
+          ...response,
+          ...spent,
+          structured: schemaErrors.length ? null : parsed.value,
+          schemaErrors,
+          repairs
+        };
+      }
+      
+      transcript.push(
+        { role: 'assistant', content: response.content },
+        { role: 'user', content: repairPrompt(schemaErrors) }
       );
+    }
+  }
+  
+  async summarize(previousSummary, turns) {
+    // Offline: keep the first line of each turn rather than asking a model
+    if (this.provider === 'mock') {
+      const lines = turns.map(turn => `- ${turn.role === 'user' ? 'Asked' : 'Answered'}: ${turn.content.split('\n')[0].slice(0, 160)}`);
+      return { content: [previousSummary, ...lines].filter(Boolean).join('\n'), tokens: { input: 0, output: 0, total: 0 }, cost: 0 };
+    }
+    
+    const target = this.summaryModels
+      .map(model => ({ provider: getProviderForModel(model), model }))
+      .map(t => ({ ...t, apiKey: t.provider === this.provider ? this.apiKey : this.apiKeys[t.provider] }))
+      .find(t => t.apiKey) || { provider: this.provider, model: this.model, apiKey: this.apiKey };
+    
+    const transcript = turns.map(turn => `${turn.role === 'user' ? 'User' : this.role}: ${turn.content}`).join('\n\n');
+    const response = await this.callProvider(target, [
+      { role: 'system', content: SUMMARY_PROMPT },
+      { role: 'user', content: `Previous summary:\n${previousSummary || '(none)'}\n\nNew turns:\n${transcript}` }
+    ]);
+    if (response.error) return response;
+    
+    response.tokens = normalizeUsage(response.usage);
+    response.cost = estimateCost(target.provider, target.model, response.tokens);
+    return response;
+  }
+  
+  // Walk the fallback chain, retrying transient failures on each model.
+  // Failed attempts are returned in `attempts`; `provider` and `cost`
+  // always describe the model that actually answered.
+  async complete(messages, onToken, schema = null) {
+    const attempts = [];
+    let streamed = false;
+    const relay = onToken && (text => {
+      streamed = true;
+      onToken(text);
+    });
+    
+    const chain = this.chain;
+    for (const target of chain) {
+      for (let attempt = 0; attempt <= this.retry.retries; attempt++) {
+        if (attempt > 0) await sleep(backoffDelay(this.retry, attempt));
+        
+        const response = await this.converse(target, messages, relay, schema);
+        if (!response.error) {
+          response.provider = target.provider;
+          response.model = response.model || target.model;
+          response.cost = estimateCost(target.provider, target.model, response.tokens);
+          response.fallback = target !== chain[0];
+          response.attempts = attempts;
+          return response;
+        }
+        
+        attempts.push({ provider: target.provider, model: target.model, error: response.error, status: response.status });
+        
+        // Tokens already reached the listener; a second answer would garble them
+        if (streamed) return { ...response, attempts };
+        if (!isRetryable(response)) break;
+      }
+    }
+    
+    const last = attempts[attempts.length - 1];
+    return { error: last.error, status: last.status, attempts };
+  }
+  
+  // One model, possibly several round trips: whenever the model asks for
+  // tools we run them and send the results back. Usage is summed across
+  // rounds and the calls made are returned in `toolResults`.
+  async converse(target, messages, onToken, schema = null) {
+    const transcript = [...messages];
+    const tokens = { input: 0, output: 0, total: 0 };
+    const toolResults = [];
+    
+    for (let round = 0; ; round++) {
+      // On the last round the model has to answer with what it has
+      const toolChoice = this.tools.length ? (round < this.maxToolRounds ? 'auto' : 'none') : undefined;
+      const response = await this.callProvider(target, transcript, onToken, toolChoice, schema);
+      if (response.error) return response;
+      
+      const usage = normalizeUsage(response.usage);
+      tokens.input += usage.input;
+      tokens.output += usage.output;
+      tokens.total += usage.total;
+      
+      if (!response.toolCalls?.length || toolChoice !== 'auto') {
+        delete response.toolCalls;
+        return { ...response, tokens, toolResults };
+      }
       
-      // Keep history manageable
-      if (this.conversationHistory.length > 20) {
-        this.conversationHistory = this.conversationHistory.slice(-20);
+      transcript.push({ role: 'assistant', content: response.content, toolCalls: response.toolCalls });
+      for (const call of response.toolCalls) {
+        const outcome = await this.runTool(call);
+        toolResults.push({ name: call.name, arguments: call.arguments, ...outcome });
+        transcript.push({
+          role: 'tool',
+          toolCallId: call.id,
+          name: call.name,
+          content: JSON.stringify(outcome.error ? { error: outcome.error } : outcome.result)
+        });
       }
     }
+  }
+  
+  // Tool failures go back to the model as results rather than failing the turn
+  async runTool(call) {
+    const tool = this.tools.find(t => t.name === call.name);
+    if (!tool) return { error: `Unknown tool: ${call.name}` };
+    if (!call.arguments) return { error: 'Tool arguments were not valid JSON' };
     
+    try {
+      return { result: await tool.handler(call.arguments) };
+    } catch (error) {
+      return { error: error.message };
+    }
+  }
+  
+  // The schema only reaches the mock, which answers in that shape; real
+  // providers are steered by the instructions in the conversation
+  async callProvider({ provider, model, apiKey }, messages, onToken, toolChoice, schema = null) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.retry.timeoutMs);
+    const options = {
+      signal: controller.signal,
+      tools: toolChoice && this.tools.map(({ name, description, parameters }) => ({ name, description, parameters })),
+      toolChoice
+    };
+    
+    let response;
+    try {
+      switch (provider) {
+        case 'openai':
+          response = onToken
+            ? await streamOpenAI(apiKey, messages, model, this.temperature, onToken, options)
+            : await callOpenAI(apiKey, messages, model, this.temperature, options);
+          break;
+        case 'anthropic':
+          response = onToken
+            ? await streamAnthropic(apiKey, messages, model, this.temperature, onToken, options)
+            : await callAnthropic(apiKey, messages, model, this.temperature, options);
+          break;
+        case 'gemini':
+          response = onToken
+            ? await streamGemini(apiKey, messages, model, this.temperature, onToken, options)
+            : await callGemini(apiKey, messages, model, this.temperature, options);
+          break;
+        case 'mock':
+          response = onToken
+            ? await streamMock(this.role, messages, model, { ...this.mock, ...options, schema }, onToken)
+            : await callMock(this.role, messages, model, { ...this.mock, ...options, schema });
+          break;
+        default:
+          response = { error: 'Unknown AI provider' };
+      }
+    } finally {
+      clearTimeout(timer);
+    }
+    
+    if (response.error && controller.signal.aborted) {
+      return { error: `${provider} did not respond within ${this.retry.timeoutMs}ms`, status: 408 };
+    }
     return response;
   }
   
   reset() {
-    this.conversationHistory = [];
+    this.memory.clear();
   }
 }
 
+// Rebuttal replies are asked to open with REBUT: or CONCEDE:
+function parseDebateStance(content) {
+  const match = String(content || '').match(/^[\s*_#>]*(REBUT|CONCEDE)\b/i);
+  return match ? match[1].toLowerCase() : 'unclear';
+}
+
 // Business Plan Builder using AI
 export class BusinessPlanBuilder {
   constructor(agents) {
@@ -266,11 +1433,7 @@ export class BusinessPlanBuilder {
     
     // Get input from all relevant agents
     for (const [role, agent] of Object.entries(this.agents)) {
-      const contextPrompt = `For the ${section} section of ClearHive Health's business plan: ${prompt}
-      
-Please provide your perspective as the ${role.toUpperCase()}. Focus on your area of expertise and be specific with recommendations.`;
-      
-      const response = await agent.respond(contextPrompt, {
+      const response = await agent.respond(this.sectionPrompt(section, prompt, role), {
         businessPlan: this.sections
       });
       
@@ -282,6 +1445,93 @@ Please provide your perspective as the ${role.toUpperCase()}. Focus on your area
     return responses;
   }
   
+  sectionPrompt(section, prompt, role) {
+    return `For the ${section} section of ClearHive Health's business plan: ${prompt}
+      
+Please provide your perspective as the ${role.toUpperCase()}. Focus on your area of expertise and be specific with recommendations.`;
+  }
+  
+  // Debate mode: an opening round like buildSection, then rebuttal rounds in
+  // which each advisor sees the others' latest positions and must rebut or
+  // concede. Stops after `rounds` rebuttals, when everyone concedes, or when
+  // the consensus score (0-100) reaches `convergence`. `consensus` is
+  // anything with addPosition(agentId, topic, position) and getScore(topic);
+  // each round's positions are added to it. `onRound(round)` fires as each
+  // round finishes.
+  async debateSection(section, prompt, { rounds = 2, convergence = 80, consensus = null, topic = `Business plan: ${section}`, onRound } = {}) {
+    const history = [];
+    const positions = {};
+    
+    const runRound = async (number, roles, promptFor) => {
+      const replies = await Promise.all(roles.map(async role => {
+        const response = await this.agents[role].respond(promptFor(role), { businessPlan: this.sections });
+        return {
+          role,
+          stance: number === 0 ? 'opening' : parseDebateStance(response.content),
+          content: response.content || null,
+          error: response.error || null,
+          provider: response.provider,
+          tokens: response.tokens,
+          cost: response.cost
+        };
+      }));
+      
+      for (const reply of replies.filter(r => !r.error)) {
+        positions[reply.role] = reply.content;
+        consensus?.addPosition(reply.role, topic, { content: reply.content });
+      }
+      
+      const round = { round: number, replies, score: consensus ? consensus.getScore(topic) : null };
+      history.push(round);
+      await onRound?.(round);
+      return round;
+    };
+    
+    const finish = reason => ({
+      section,
+      topic,
+      rounds: history,
+      positions,
+      converged: reason === 'consensus' || reason === 'conceded',
+      reason,
+      score: history[history.length - 1]?.score ?? null
+    });
+    const converged = round => consensus && round.score >= convergence;
+    
+    await runRound(0, Object.keys(this.agents), role => this.sectionPrompt(section, prompt, role));
+    // Opening answers are written blind, so agreement there isn't settled
+    // until everyone has seen the others' positions at least once
+    if (Object.keys(positions).length < 2) return finish('insufficient-positions');
+    
+    for (let number = 1; number <= rounds; number++) {
+      // Everyone argues against the same snapshot of the previous round
+      const snapshot = { ...positions };
+      const round = await runRound(number, Object.keys(snapshot), role => this.rebuttalPrompt(section, prompt, role, snapshot));
+      
+      if (converged(round)) return finish('consensus');
+      const answered = round.replies.filter(r => !r.error);
+      if (answered.length && answered.every(r => r.stance === 'concede')) return finish('conceded');
+    }
+    return finish('max-rounds');
+  }
+  
+  rebuttalPrompt(section, prompt, role, positions) {
+    const others = Object.entries(positions)
+      .filter(([other]) => other !== role)
+      .map(([other, content]) => `${other.toUpperCase()}:\n${content}`)
+      .join('\n\n');
+    
+    return `We are debating the ${section} section of ClearHive Health's business plan: ${prompt}
+
+Your current position as the ${role.toUpperCase()}:
+${positions[role]}
+
+The other advisors' positions:
+${others}
+
+Start your reply with "REBUT:" if you still disagree with any of their points, then explain where and why. Start with "CONCEDE:" if their arguments have persuaded you. Either way, finish with your updated position in full.`;
+  }
+  
   async synthesize(responses) {
     // Use the CEO agent to synthesize multiple perspectives
     const ceoAgent = this.agents.ceo;
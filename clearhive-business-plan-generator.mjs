@@ -9,11 +9,22 @@ import fs from 'node:fs/promises';
 import path from 'node:path';
 import { URL } from 'node:url';
 import crypto from 'node:crypto';
+import { CLEARHIVE_CONTEXT } from './clearhive-config.mjs';
 
 // ==========================================
 // CLEARHIVE CONFIGURATION
 // ==========================================
 
+function milestonesByQuarter(groups) {
+  const quarters = {};
+  for (const { date, milestone } of Object.values(groups).flat()) {
+    const [year, month] = date.split('-').map(Number);
+    const key = `q${Math.ceil(month / 3)}_${year}`;
+    (quarters[key] ||= []).push(milestone);
+  }
+  return quarters;
+}
+
 const CLEARHIVE_CONFIG = {
   company: {
     name: 'ClearHive Health LLC',
@@ -109,32 +120,9 @@ const CLEARHIVE_CONFIG = {
     }
   },
   
-  milestones: {
-    q1: [
-      'Complete HIPAA compliance framework',
-      'Ship consent/redisclosure model',
-      'Implement WORM audit logging',
-      'Sign 2 pilot agreements'
-    ],
-    q2: [
-      'Launch Family First pilot',
-      'Complete SSO/MFA/RBAC',
-      'Sign first paid customer',
-      'Hire implementation specialist'
-    ],
-    q3: [
-      'Scale to 5 paying facilities',
-      'Launch partner referral program',
-      'Complete SOC 2 Type I',
-      'Raise seed round ($1.5M target)'
-    ],
-    q4: [
-      'Reach 10 facilities',
-      'Launch enterprise features',
-      'Establish channel partnerships',
-      'Hire VP of Sales'
-    ]
-  }
+  // Roadmap by quarter ('q1_2026': [...]) from the milestone list Decision
+  // OS tracks, so the plan and the tracker can't disagree
+  milestones: milestonesByQuarter(CLEARHIVE_CONTEXT.milestones)
 };
 
 // ==========================================
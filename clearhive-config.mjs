@@ -169,11 +169,27 @@ export const CLEARHIVE_CONTEXT = {
       { date: '2025-09-15', milestone: 'MVP development', status: 'complete' },
       { date: '2025-10-01', milestone: 'First pilot launch', status: 'complete' }
     ],
+    // Seeds each workspace's milestone tracker; the business plan's
+    // quarterly roadmap is grouped from this list too
     upcoming: [
       { date: '2025-12-15', milestone: 'First paid customer', status: 'pending' },
       { date: '2026-01-31', milestone: 'Break-even MRR ($15k)', status: 'pending' },
+      { date: '2026-03-31', milestone: 'Complete HIPAA compliance framework', status: 'pending' },
+      { date: '2026-03-31', milestone: 'Ship consent/redisclosure model', status: 'pending' },
+      { date: '2026-03-31', milestone: 'Implement WORM audit logging', status: 'pending' },
+      { date: '2026-03-31', milestone: 'Sign 2 pilot agreements', status: 'pending' },
       { date: '2026-03-31', milestone: 'Series Seed funding', status: 'pending' },
-      { date: '2026-06-30', milestone: '25 customers / $100k MRR', status: 'pending' }
+      { date: '2026-06-30', milestone: 'Launch Family First pilot', status: 'pending' },
+      { date: '2026-06-30', milestone: 'Complete SSO/MFA/RBAC', status: 'pending' },
+      { date: '2026-06-30', milestone: 'Hire implementation specialist', status: 'pending' },
+      { date: '2026-06-30', milestone: '25 customers / $100k MRR', status: 'pending' },
+      { date: '2026-09-30', milestone: 'Scale to 5 paying facilities', status: 'pending' },
+      { date: '2026-09-30', milestone: 'Launch partner referral program', status: 'pending' },
+      { date: '2026-09-30', milestone: 'Complete SOC 2 Type I', status: 'pending' },
+      { date: '2026-12-31', milestone: 'Reach 10 facilities', status: 'pending' },
+      { date: '2026-12-31', milestone: 'Launch enterprise features', status: 'pending' },
+      { date: '2026-12-31', milestone: 'Establish channel partnerships', status: 'pending' },
+      { date: '2026-12-31', milestone: 'Hire VP of Sales', status: 'pending' }
     ]
   },
   
@@ -247,4 +263,84 @@ export const CLEARHIVE_TEMPLATES = {
     name: 'Board Meeting Prep',
     sections: ['Executive summary', 'Financials', 'Strategic initiatives', 'Risk assessment']
   }
-};
\ No newline at end of file
+};
+// ClearHive as a Decision OS workspace. This seeds the first workspace on a
+// fresh install; after that its context and templates live in the
+// workspace directory. Templates with an icon are listed in the UI sidebar.
+export const CLEARHIVE_WORKSPACE = {
+  id: 'clearhive',
+  name: 'ClearHive Health',
+  title: 'Launch Command Center',
+  welcome: 'Hey Jimmy & Mike! Ready to launch ClearHive Health? Select a template to get started or ask your healthcare advisors anything about building, launching, and scaling your health tech startup.',
+  context: CLEARHIVE_CONTEXT,
+  templates: {
+    'mvp-planning': {
+      name: 'MVP Planning',
+      icon: '🚀',
+      description: 'Define the Minimum Viable Product for ClearHive Health: what do providers absolutely need?',
+      phases: [
+        { type: 'analysis', topic: 'Core value proposition and must-have vs nice-to-have features', agents: ['ceo', 'cto', 'coo'] },
+        { type: 'assessment', topic: 'Technical feasibility and time to market', agents: ['cto', 'legal'] },
+        { type: 'synthesis', topic: 'MVP scope recommendation', agents: ['ceo', 'cto'] }
+      ]
+    },
+    
+    'provider-outreach': {
+      name: 'Provider Outreach Strategy',
+      icon: '🏥',
+      description: 'Develop provider outreach and onboarding: how do we get our first 10 healthcare providers?',
+      phases: [
+        { type: 'analysis', topic: 'Target provider profile and value messaging', agents: ['cmo', 'strategist'] },
+        { type: 'discussion', topic: 'Pilot program structure and onboarding process', agents: ['coo', 'ceo'] },
+        { type: 'decision', topic: 'Outreach plan and next steps', agents: ['ceo', 'cmo'], schema: true }
+      ]
+    },
+    
+    'hipaa-compliance': {
+      name: 'HIPAA Compliance Check',
+      icon: '🔒',
+      description: 'Review HIPAA compliance requirements and create an implementation plan for ClearHive Health',
+      phases: [
+        { type: 'regulatory', topic: 'Technical, administrative and physical safeguards', agents: ['legal', 'cto'] },
+        { type: 'gaps', topic: 'Business Associate Agreements and compliance gaps', agents: ['legal', 'coo'] },
+        { type: 'remediation', topic: 'Implementation plan', agents: ['legal', 'cto', 'coo'], schema: true }
+      ]
+    },
+    
+    'funding-strategy': {
+      name: 'Funding Strategy',
+      icon: '💰',
+      description: 'Plan the fundraising strategy: what is our path to seed funding and beyond?',
+      phases: [
+        { type: 'analysis', topic: 'Funding timeline and use of funds', agents: ['cfo', 'ceo'] },
+        { type: 'discussion', topic: 'Investor targets and valuation expectations', agents: ['investor', 'cfo', 'strategist'] },
+        { type: 'decision', topic: 'Fundraising plan', agents: ['ceo', 'cfo'], schema: true }
+      ]
+    },
+    
+    'pilot-program': {
+      name: 'Pilot Program Design',
+      icon: '🔬',
+      description: 'Design the pilot program for initial provider partners: how do we prove value quickly?',
+      phases: [
+        { type: 'analysis', topic: 'Success metrics and timeline', agents: ['coo', 'medical', 'cfo'] },
+        { type: 'discussion', topic: 'Support structure and feedback loops', agents: ['coo', 'cto'] },
+        { type: 'decision', topic: 'Pilot plan and conversion criteria', agents: ['ceo', 'coo'], schema: true }
+      ]
+    },
+    
+    'market-analysis': {
+      name: 'Healthcare Market Analysis',
+      icon: '📊',
+      description: "Analyze the healthcare market opportunity for ClearHive Health: what's our TAM/SAM/SOM?",
+      phases: [
+        { type: 'analysis', topic: 'Market size and growth trends', agents: ['strategist', 'investor'] },
+        { type: 'discussion', topic: 'Competition and entry barriers', agents: ['strategist', 'cmo', 'ceo'] },
+        { type: 'synthesis', topic: 'Market entry recommendation', agents: ['ceo'] }
+      ]
+    },
+    
+    // Agenda-only templates: sessions can be tagged with these, but they have no phases to run
+    ...CLEARHIVE_TEMPLATES
+  }
+};
@@ -2,15 +2,19 @@
 
 // ClearHive Health Launch Platform - Strategic Decision & Planning System
 // Version 1.0 - Customized for ClearHive Health Launch
-// Built for Jimmy & Mike to launch and scale ClearHive Health
+// Built for Jimmy & Mike to launch and scale ClearHive Health, with
+// workspaces for the portfolio companies they advise
 
 import http from 'node:http';
 import fs from 'node:fs/promises';
 import path from 'node:path';
 import { URL } from 'node:url';
 import crypto from 'node:crypto';
+import { promisify } from 'node:util';
+import { AsyncLocalStorage } from 'node:async_hooks';
 import { EventEmitter } from 'node:events';
-import { CLEARHIVE_CONTEXT, CLEARHIVE_ADVISORS, CLEARHIVE_TEMPLATES } from './clearhive-config.mjs';
+import { CLEARHIVE_WORKSPACE } from './clearhive-config.mjs';
+import { AIAgent, AI_PROVIDERS, AGENT_PROMPTS, BusinessPlanBuilder, ConversationMemory, MockScript, getProviderForModel, isCalendarDate, testApiKey, validateAgainstSchema } from './ai-integration.mjs';
 
 // ==========================================
 // CONFIGURATION & CONSTANTS
@@ -31,10 +35,25 @@ const CONFIG = {
   // Security & Compliance
   security: {
     requireAuth: process.env.REQUIRE_AUTH === 'true',
-    adminToken: process.env.ADMIN_TOKEN,
-    encryptionKey: process.env.ENCRYPTION_KEY || crypto.randomBytes(32).toString('hex'),
+    adminToken: process.env.ADMIN_TOKEN, // bearer token with founder access
+    loginTtl: 12 * 3600000, // 12 hours
+    // Origins allowed to call the API cross-site (the UI itself is same-origin)
+    allowedOrigins: (process.env.ALLOWED_ORIGINS || '').split(',').map(o => o.trim()).filter(Boolean),
+    // Unset, a key is generated once and kept in secretsDir/encryption.key
+    encryptionKey: process.env.ENCRYPTION_KEY || null,
+    // Comma-separated keys the vault may still be encrypted under; entries
+    // are re-encrypted with encryptionKey on startup
+    previousEncryptionKeys: (process.env.ENCRYPTION_KEY_PREVIOUS || '').split(',').filter(Boolean),
+    // Signs each audit entry so the chain can't be rewritten from scratch
+    // by someone with write access to the files; keep it stable and secret
+    auditKey: process.env.AUDIT_HMAC_KEY,
+    // With a key, every entry must be signed. When adding a key to an
+    // existing log, set this to the day it was added (YYYY-MM-DD) so the
+    // unsigned entries written before then are still accepted.
+    auditSignedSince: process.env.AUDIT_SIGNED_SINCE || null,
     sessionTimeout: 3600000, // 1 hour
     maxFileSize: 50 * 1024 * 1024, // 50MB
+    maxRequestSize: 1024 * 1024, // 1MB JSON bodies
     allowedFileTypes: ['.pdf', '.docx', '.xlsx', '.txt', '.md', '.json']
   },
   
@@ -58,17 +77,61 @@ const CONFIG = {
       perSession: 50.00,
       perDay: 500.00,
       perMonth: 5000.00
+    },
+    // Transient failures (timeouts, 429, 5xx) are retried with backoff
+    retry: {
+      retries: 2,
+      baseDelayMs: 1000,
+      maxDelayMs: 15000,
+      timeoutMs: 120000 // per request
+    },
+    maxToolRounds: 4, // advisor tool round trips per answer
+    // Advisor memory: older turns are summarized once over budget
+    memory: {
+      budgetTokens: 3000,
+      keepRecentTurns: 4,
+      summaryModels: ['gpt-3.5-turbo', 'claude-3-haiku-20240307', 'gemini-pro']
+    },
+    // Tried in order when an advisor's own model fails; personas can
+    // override with their own `fallbacks`. Models without a key are skipped.
+    fallbacks: ['claude-3-sonnet-20240229', 'gpt-4-turbo-preview', 'gemini-pro'],
+    // Offline mode: every advisor answers from the mock provider
+    mock: {
+      enabled: process.env.MOCK_AI === 'true',
+      fixtures: process.env.MOCK_AI_FIXTURES, // fixture array or exported { messages } transcript
+      failure: process.env.MOCK_AI_FAILURE, // timeout | 429 | 500 | malformed
+      latencyMs: Number(process.env.MOCK_AI_LATENCY_MS || 0)
+    }
+  },
+  
+  // Decision Voting
+  voting: {
+    quorum: 3, // votes (including abstentions) before a decision can resolve
+    approvalThreshold: 0.6, // weighted share of approve vs approve + reject
+    rejectionThreshold: 0.6,
+    weights: {
+      human: 1,
+      agent: 1
+    },
+    // Extra weight for advisors voting on decisions in their domain
+    domainWeights: {
+      legal: { compliance: 2 },
+      cfo: { financial: 2 },
+      cto: { technology: 2 },
+      coo: { operational: 1.5 }
     }
   },
   
   // Data Persistence
   storage: {
     dataDir: './decision-os-data',
-    sessionsDir: './decision-os-data/sessions',
-    documentsDir: './decision-os-data/documents',
-    exportsDir: './decision-os-data/exports',
-    templatesDir: './decision-os-data/templates',
-    auditDir: './decision-os-data/audit'
+    // One directory per workspace with its sessions, documents, exports,
+    // audit trail and advisors
+    workspacesDir: './decision-os-data/workspaces',
+    // Sign-ins, user accounts, API keys and workspace changes
+    platformAuditDir: './decision-os-data/platform-audit',
+    secretsDir: './decision-os-data/secrets',
+    usersDir: './decision-os-data/users'
   }
 };
 
@@ -76,6 +139,8 @@ const CONFIG = {
 // CLEARHIVE HEALTH ADVISOR CONFIGURATIONS
 // ==========================================
 
+// Built-in personas. These seed the agent registry on first start; after
+// that the registry (editable via /api/agents) is the source of truth.
 const EXECUTIVE_AGENTS = {
   ceo: {
     name: 'Healthcare CEO Advisor',
@@ -218,8 +283,80 @@ const EXECUTIVE_AGENTS = {
 // CORE DECISION OS ENGINE
 // ==========================================
 
+// Templates every workspace starts with. `schema: true` phases get
+// structured replies whose recommendations, risks and actions are filed
+// on the session.
+const STANDARD_TEMPLATES = {
+  'strategic-review': {
+    name: 'Strategic Review',
+    description: 'Comprehensive strategic assessment and planning',
+    phases: [
+      { type: 'analysis', topic: 'Current state assessment', agents: ['ceo', 'cfo', 'strategist'] },
+      { type: 'discussion', topic: 'Market opportunities and threats', agents: ['strategist', 'cmo', 'cto'] },
+      { type: 'modeling', topic: 'Financial projections and scenarios', agents: ['cfo', 'coo'] },
+      { type: 'synthesis', topic: 'Strategic recommendations', agents: ['all'] },
+      { type: 'decision', topic: 'Action plan and next steps', agents: ['all'], schema: true }
+    ]
+  },
+  
+  'financial-modeling': {
+    name: 'Financial Modeling',
+    description: 'Detailed financial analysis and projections',
+    phases: [
+      { type: 'baseline', topic: 'Current financial position', agents: ['cfo'] },
+      { type: 'projections', topic: 'Revenue and cost projections', agents: ['cfo', 'coo', 'cmo'] },
+      { type: 'scenarios', topic: 'Scenario analysis', agents: ['cfo', 'strategist'] },
+      { type: 'risks', topic: 'Financial risks and mitigation', agents: ['cfo', 'legal'], schema: true },
+      { type: 'recommendations', topic: 'Capital allocation recommendations', agents: ['cfo', 'ceo'] }
+    ]
+  },
+  
+  'risk-assessment': {
+    name: 'Risk Assessment',
+    description: 'Comprehensive risk identification and mitigation planning',
+    phases: [
+      { type: 'identification', topic: 'Risk identification', agents: ['all'], schema: true },
+      { type: 'assessment', topic: 'Risk probability and impact', agents: ['cfo', 'coo', 'legal'] },
+      { type: 'mitigation', topic: 'Mitigation strategies', agents: ['all'] },
+      { type: 'monitoring', topic: 'Risk monitoring plan', agents: ['coo', 'cfo'] }
+    ]
+  },
+  
+  'compliance-review': {
+    name: 'Compliance Review',
+    description: 'Regulatory and compliance assessment',
+    phases: [
+      { type: 'regulatory', topic: 'Regulatory requirements', agents: ['legal'] },
+      { type: 'assessment', topic: 'Current compliance status', agents: ['legal', 'coo', 'cto'] },
+      { type: 'gaps', topic: 'Compliance gaps and risks', agents: ['legal', 'cfo'] },
+      { type: 'remediation', topic: 'Remediation plan', agents: ['legal', 'coo'], schema: true }
+    ]
+  }
+};
+
+// The document pipeline lives in the decision-os package and needs that
+// package's dependencies (pdf-parse, mammoth, csv-parse, uuid, tiktoken).
+// Resolves to null when they aren't installed; advisors then don't get
+// the search_documents tool.
+let documentPipelineModule;
+function importDocumentPipeline() {
+  documentPipelineModule = documentPipelineModule || import('./decision-os/src/documents/document-pipeline.js').catch(error => {
+    console.warn(`Document search is unavailable: ${error.message}`);
+    return null;
+  });
+  return documentPipelineModule;
+}
+
+// One workspace's engine: its company context, advisors, templates,
+// sessions, documents and audit trail, all stored under the workspace
+// directory. Accounts, API keys and the mock provider are shared through
+// the WorkspaceManager.
 class DecisionOS {
-  constructor() {
+  constructor(workspace, platform) {
+    this.workspace = workspace;
+    this.platform = platform;
+    this.dir = path.join(CONFIG.storage.workspacesDir, workspace.id);
+    this.paths = Object.fromEntries(WORKSPACE_DIRS.map(name => [name, path.join(this.dir, name)]));
     this.sessions = new Map();
     this.documents = new Map();
     this.templates = new Map();
@@ -228,100 +365,625 @@ class DecisionOS {
     this.compliance = new ComplianceEngine();
     this.citations = new CitationEngine();
     this.events = new EventEmitter();
+    this.store = new SessionStore(this.paths.sessions);
+    this.agents = new Map();
+    this.registry = new AgentRegistry(path.join(this.paths.agents, 'agents.json'));
+    this.contextStore = new ContextStore(path.join(this.dir, 'context.json'));
+    this.kpis = new KpiLedger(path.join(this.dir, 'kpis.json'));
+    this.milestones = new MilestoneTracker(path.join(this.dir, 'milestones.json'));
+    this.runner = new TemplateRunner(this);
+    this.voting = new VotingEngine();
     
-    this.initialize();
+    this.ready = this.initialize();
   }
   
   async initialize() {
-    // Create necessary directories
-    for (const dir of Object.values(CONFIG.storage)) {
+    for (const dir of Object.values(this.paths)) {
       await fs.mkdir(dir, { recursive: true });
     }
     
-    // Load templates
+    await this.contextStore.load();
+    await this.kpis.load();
+    await this.milestones.load(this.context);
     await this.loadTemplates();
+    this.documentSearch = Boolean(await importDocumentPipeline());
     
     // Initialize audit log
-    this.auditLog = new AuditLog(CONFIG.storage.auditDir);
+    this.auditLog = new AuditLog(this.paths.audit);
+    
+    await this.registry.load();
     
-    console.log('✓ Decision OS initialized');
+    // Rehydrate persisted sessions
+    for (const session of await this.store.loadAll()) {
+      // Runs that were in flight when the server stopped can't resume
+      for (const run of session.templateRuns) {
+        if (run.status === 'running') run.status = 'interrupted';
+      }
+      for (const debate of session.debates) {
+        if (debate.status === 'running') debate.status = 'interrupted';
+      }
+      this.sessions.set(session.id, session);
+    }
+    
+    this.expiryTimer = setInterval(() => {
+      this.expireIdleSessions().catch(error => console.error('Session expiry failed:', error));
+    }, 60000);
+    this.expiryTimer.unref();
+  }
+  
+  // The current company context and its version number
+  get context() {
+    return this.contextStore.current.context;
+  }
+  
+  get contextVersion() {
+    return this.contextStore.current.version;
+  }
+  
+  // Replace the company context (already validated). Returns the new
+  // version, or null when nothing changed.
+  async updateContext(context) {
+    const record = await this.contextStore.update(context);
+    if (record) {
+      this.agents.clear(); // advisor prompts name the company
+      this.auditLog.log('context_updated', { version: record.version, changes: record.diff.map(change => change.path) });
+    }
+    return record;
+  }
+  
+  // Record dated actuals (already validated)
+  async recordKpis(report) {
+    const entries = await this.kpis.record(report);
+    this.auditLog.log('kpis_recorded', { date: report.date, metrics: entries.map(entry => entry.metric) });
+    return entries;
+  }
+  
+  async removeKpi(id) {
+    const entry = await this.kpis.remove(id);
+    if (entry) this.auditLog.log('kpi_removed', { id, metric: entry.metric, date: entry.date, value: entry.value });
+    return entry;
   }
   
   async loadTemplates() {
-    const templates = {
-      'strategic-review': {
-        name: 'Strategic Review',
-        description: 'Comprehensive strategic assessment and planning',
-        phases: [
-          { type: 'analysis', topic: 'Current state assessment', agents: ['ceo', 'cfo', 'strategist'] },
-          { type: 'discussion', topic: 'Market opportunities and threats', agents: ['strategist', 'cmo', 'cto'] },
-          { type: 'modeling', topic: 'Financial projections and scenarios', agents: ['cfo', 'coo'] },
-          { type: 'synthesis', topic: 'Strategic recommendations', agents: ['all'] },
-          { type: 'decision', topic: 'Action plan and next steps', agents: ['all'] }
-        ]
-      },
-      
-      'financial-modeling': {
-        name: 'Financial Modeling',
-        description: 'Detailed financial analysis and projections',
-        phases: [
-          { type: 'baseline', topic: 'Current financial position', agents: ['cfo'] },
-          { type: 'projections', topic: 'Revenue and cost projections', agents: ['cfo', 'coo', 'cmo'] },
-          { type: 'scenarios', topic: 'Scenario analysis', agents: ['cfo', 'strategist'] },
-          { type: 'risks', topic: 'Financial risks and mitigation', agents: ['cfo', 'legal'] },
-          { type: 'recommendations', topic: 'Capital allocation recommendations', agents: ['cfo', 'ceo'] }
-        ]
-      },
-      
-      'risk-assessment': {
-        name: 'Risk Assessment',
-        description: 'Comprehensive risk identification and mitigation planning',
-        phases: [
-          { type: 'identification', topic: 'Risk identification', agents: ['all'] },
-          { type: 'assessment', topic: 'Risk probability and impact', agents: ['cfo', 'coo', 'legal'] },
-          { type: 'mitigation', topic: 'Mitigation strategies', agents: ['all'] },
-          { type: 'monitoring', topic: 'Risk monitoring plan', agents: ['coo', 'cfo'] }
-        ]
-      },
-      
-      'compliance-review': {
-        name: 'Compliance Review',
-        description: 'Regulatory and compliance assessment',
-        phases: [
-          { type: 'regulatory', topic: 'Regulatory requirements', agents: ['legal'] },
-          { type: 'assessment', topic: 'Current compliance status', agents: ['legal', 'coo', 'cto'] },
-          { type: 'gaps', topic: 'Compliance gaps and risks', agents: ['legal', 'cfo'] },
-          { type: 'remediation', topic: 'Remediation plan', agents: ['legal', 'coo'] }
-        ]
-      }
-    };
-    
+    const templates = JSON.parse(await fs.readFile(path.join(this.dir, 'templates.json'), 'utf-8'));
     for (const [id, template] of Object.entries(templates)) {
       this.templates.set(id, template);
     }
   }
   
-  createSession(id = crypto.randomUUID()) {
-    const session = new StrategicSession(id);
+  async createSession({ title, template } = {}, id = crypto.randomUUID()) {
+    const session = new StrategicSession(id, { title, template, contextVersion: this.contextVersion });
     this.sessions.set(id, session);
-    this.auditLog.log('session_created', { sessionId: id });
+    await this.recordChange(session, 'session_created', { template, contextVersion: this.contextVersion });
     return session;
   }
   
+  listSessions({ state, from, to, template, query } = {}) {
+    const results = [];
+    
+    for (const session of this.sessions.values()) {
+      if (state && session.state !== state) continue;
+      if (template && session.template !== template) continue;
+      if (from && session.createdAt < from) continue;
+      if (to && session.createdAt > to) continue;
+      
+      const matches = query ? session.search(query) : [];
+      if (query && matches.length === 0) continue;
+      
+      results.push({ ...session.getListing(), ...(query && { matches: matches.slice(0, 5) }) });
+    }
+    
+    return results.sort((a, b) => b.lastActivityAt - a.lastActivityAt);
+  }
+  
+  async transitionSession(session, state, reason) {
+    const from = session.state;
+    session.setState(state, reason);
+    this.auditLog.log('session_state_changed', { sessionId: session.id, from, to: state, reason });
+    await this.saveSession(session);
+  }
+  
+  // Pause active sessions that have been idle longer than the timeout
+  async expireIdleSessions() {
+    for (const session of this.sessions.values()) {
+      if (session.isIdle(CONFIG.security.sessionTimeout)) {
+        await this.transitionSession(session, 'paused', 'idle-timeout');
+      }
+    }
+  }
+  
   getSession(id) {
     return this.sessions.get(id);
   }
+  
+  // Record a ballot, refresh the decision's confidence and resolve it once
+  // the quorum and threshold are met
+  async castVote(session, decision, ballot) {
+    this.voting.castVote(decision, ballot);
+    const tally = this.voting.tally(decision);
+    decision.confidence = tally.confidence;
+    decision.updatedAt = new Date();
+    
+    await this.recordChange(session, 'decision_vote_cast', {
+      decisionId: decision.id,
+      voterId: ballot.voterId,
+      voterType: ballot.voterType,
+      vote: ballot.vote
+    });
+    
+    if (tally.outcome) {
+      const from = decision.status;
+      session.setDecisionStatus(decision.id, tally.outcome, `Vote threshold met (${Math.round(tally.approvalShare * 100)}% approve)`);
+      await this.recordChange(session, 'decision_status_changed', {
+        decisionId: decision.id,
+        from,
+        to: tally.outcome,
+        via: 'vote',
+        tally
+      });
+    }
+    return tally;
+  }
+  
+  // Ask advisors for a structured ballot on a decision
+  async collectAgentVotes(session, decision, agentIds) {
+    const prompt = [
+      `The team is voting on this ${decision.category || 'strategic'} decision for ${this.context.company.name}:`,
+      `Title: ${decision.title}`,
+      decision.description && `Description: ${decision.description}`,
+      decision.impact && `Expected impact: ${decision.impact}`,
+      decision.rationale && `Rationale: ${decision.rationale}`,
+      'Vote approve, reject or abstain, say how confident you are from 0 to 1, and give your rationale in one or two sentences.'
+    ].filter(Boolean).join('\n');
+    
+    this.checkCostLimit(session);
+    
+    const results = [];
+    for (const agentId of agentIds) {
+      if (decision.status !== 'proposed' && decision.status !== 'deferred') break;
+      
+      const response = await this.getAgent(session, agentId).respond(prompt, {}, { schema: BALLOT_SCHEMA });
+      if (response.error) {
+        results.push({ agentId, error: response.error });
+        continue;
+      }
+      session.recordUsage(agentId, response);
+      
+      const ballot = toBallot(response.structured);
+      if (!ballot) {
+        results.push({ agentId, error: 'Advisor did not return a valid ballot' });
+        continue;
+      }
+      
+      const tally = await this.castVote(session, decision, { voterId: agentId, voterType: 'agent', ...ballot });
+      results.push({ agentId, ...ballot, tally });
+    }
+    return results;
+  }
+  
+  // Nothing new is sent to the advisors once a session has spent its budget
+  checkCostLimit(session) {
+    if (session.costs.dollars >= CONFIG.ai.costLimits.perSession) {
+      throw new ApiError(409, `Session cost limit of $${CONFIG.ai.costLimits.perSession.toFixed(2)} reached`);
+    }
+  }
+  
+  // Post a user message and fan it out to advisors in parallel. Each
+  // advisor keeps its own history, so follow-ups carry earlier context.
+  // With a listener, replies are streamed: onStart(agentId, name) and
+  // onToken(agentId, text) fire per advisor, onReply(reply) as each finishes.
+  // With `structured`, advisors answer in their response schema and the
+  // recommendations, risks and actions they list are added to the session
+  async discuss(session, { content, author = 'Founder', agents, structured = false }, listener = null) {
+    this.checkCostLimit(session);
+    
+    const message = session.addMessage({ role: 'user', author, content });
+    
+    const prompt = `${author} asks, regarding ${this.context.company.name}:\n${content}`;
+    const ask = async agentId => {
+      const { name, version } = this.getPersona(session, agentId);
+      listener?.onStart(agentId, name);
+      const onToken = listener && (text => listener.onToken(agentId, text));
+      const response = await this.getAgent(session, agentId).respond(prompt, {}, { onToken, schema: structured || undefined });
+      if (response.error) return { agentId, author: name, error: response.error };
+      
+      session.recordUsage(agentId, response);
+      return session.addMessage({
+        role: 'agent',
+        agentId,
+        agentVersion: version,
+        contextVersion: this.contextVersion,
+        author: name,
+        ...this.applyStructuredResponse(session, agentId, response, { messageId: message.id }),
+        replyTo: message.id,
+        provider: response.provider,
+        model: response.model,
+        toolCalls: response.toolResults.map(({ name, arguments: args, error }) => ({ name, arguments: args, error })),
+        tokens: response.tokens,
+        cost: response.cost
+      });
+    };
+    
+    listener?.onMessage(message);
+    const responses = await Promise.all(agents.map(async agentId => {
+      const reply = await ask(agentId);
+      listener?.onReply(reply);
+      return reply;
+    }));
+    
+    await this.recordChange(session, 'message_posted', {
+      messageId: message.id,
+      agents,
+      answered: responses.filter(r => !r.error).length,
+      ...(structured && { created: countCreated(responses) })
+    });
+    return { message, responses };
+  }
+  
+  // Map a schema-validated reply onto the session. Returns the message
+  // fields to store: readable content, the parsed reply, and the ids of
+  // anything created. Titles already on the session are skipped so asking
+  // again doesn't duplicate them.
+  applyStructuredResponse(session, agentId, response, source = {}) {
+    if (!response.schemaErrors) return { content: response.content };
+    if (!response.structured) {
+      return { content: response.content, structured: null, schemaErrors: response.schemaErrors };
+    }
+    
+    const { recommendations = [], risks = [], actions = [], claims = [] } = response.structured;
+    const { name } = this.getPersona(session, agentId);
+    const origin = { agentId, ...source };
+    const isNew = (items, title) => !items.some(item => item.title?.toLowerCase() === title.toLowerCase());
+    const created = { decisions: [], risks: [], actions: [] };
+    
+    for (const rec of recommendations) {
+      const title = rec.title.slice(0, 200);
+      if (!isNew(session.decisions, title)) continue;
+      const decision = session.addDecision({ title, rationale: rec.rationale, priority: rec.priority, proposedBy: name, source: origin });
+      created.decisions.push(decision.id);
+    }
+    for (const item of risks) {
+      const title = item.title.slice(0, 200);
+      if (!isNew(session.risks, title)) continue;
+      const risk = session.addRisk({ title, probability: item.probability, impact: item.impact, owner: name, source: origin });
+      if (item.mitigation) session.addMitigation(risk.id, { plan: item.mitigation, owner: name });
+      created.risks.push(risk.id);
+    }
+    for (const item of actions) {
+      const title = item.title.slice(0, 200);
+      if (!isNew(session.actions, title)) continue;
+      const action = session.addAction({ title, owner: item.owner, dueDate: item.due, source: origin });
+      created.actions.push(action.id);
+    }
+    
+    return {
+      content: formatStructuredResponse(response.structured),
+      structured: response.structured,
+      claims,
+      created
+    };
+  }
+  
+  // Advisors argue a business plan section in rebuttal rounds; runs in the
+  // background and updates the debate record as each round finishes
+  startDebate(session, { section, prompt, agents, rounds = 2, convergence = 80 }) {
+    this.checkCostLimit(session);
+    
+    const id = crypto.randomUUID();
+    const debate = {
+      id,
+      section,
+      prompt,
+      agents,
+      maxRounds: rounds,
+      contextVersion: this.contextVersion,
+      convergence,
+      // Keyed by debate so a second debate on the section starts fresh
+      topic: `Debate ${id}: ${section}`,
+      status: 'running',
+      rounds: [],
+      startedAt: new Date()
+    };
+    session.debates.push(debate);
+    
+    const builder = new BusinessPlanBuilder(Object.fromEntries(agents.map(id => [id, this.getAgent(session, id)])));
+    builder.debateSection(section, prompt, {
+      rounds,
+      convergence,
+      consensus: session.consensus,
+      topic: debate.topic,
+      onRound: round => this.recordDebateRound(session, debate, round)
+    }).then(result => {
+      Object.assign(debate, {
+        status: 'completed',
+        converged: result.converged,
+        reason: result.reason,
+        score: result.score,
+        positions: result.positions,
+        completedAt: new Date()
+      });
+      return this.recordChange(session, 'debate_finished', { debateId: debate.id, reason: result.reason, score: result.score });
+    }).catch(error => {
+      debate.status = 'failed';
+      debate.error = error.message;
+      return this.saveSession(session);
+    });
+    
+    return debate;
+  }
+  
+  async recordDebateRound(session, debate, round) {
+    for (const reply of round.replies.filter(r => !r.error)) {
+      const { name, version } = this.getPersona(session, reply.role);
+      session.recordUsage(reply.role, reply);
+      session.addMessage({
+        role: 'agent',
+        agentId: reply.role,
+        agentVersion: version,
+        contextVersion: this.contextVersion,
+        author: name,
+        content: reply.content,
+        debateId: debate.id,
+        round: round.round,
+        stance: reply.stance
+      });
+    }
+    debate.rounds.push(round);
+    await this.recordChange(session, 'debate_round_completed', { debateId: debate.id, round: round.round, score: round.score });
+  }
+  
+  // Loaded on the first search, indexing the documents directory once
+  getDocumentPipeline() {
+    this.documentPipeline = this.documentPipeline || this.loadDocumentPipeline().catch(error => {
+      this.documentPipeline = null;
+      throw new Error(`Document search is unavailable: ${error.message}`);
+    });
+    return this.documentPipeline;
+  }
+  
+  async loadDocumentPipeline() {
+    const pipelineModule = await importDocumentPipeline();
+    if (!pipelineModule) throw new Error('the decision-os document dependencies are not installed');
+    const pipeline = new pipelineModule.DocumentPipeline();
+    
+    for (const file of await fs.readdir(this.paths.documents)) {
+      if (!pipeline.config.supportedFormats.includes(path.extname(file).toLowerCase())) continue;
+      try {
+        await pipeline.ingest(path.join(this.paths.documents, file));
+      } catch (error) {
+        console.error(`Skipping document ${file}:`, error.message);
+      }
+    }
+    return pipeline;
+  }
+  
+  // The persona version this session uses: its pin, or the latest
+  getPersona(session, agentId) {
+    const persona = this.registry.get(agentId, session.agentVersions[agentId]);
+    if (!persona) throw new ApiError(404, `Agent not found: ${agentId}`);
+    return persona;
+  }
+  
+  // One AIAgent per session and advisor so each keeps its own conversation.
+  // The agent's memory lives on the session so it's saved with it.
+  // Cached per persona version, so edits take effect on the next question
+  // while the advisor's memory carries over
+  getAgent(session, agentId) {
+    const persona = this.getPersona(session, agentId);
+    const key = `${session.id}:${agentId}@${persona.version}`;
+    if (!this.agents.has(key)) {
+      const memory = this.getMemory(session, agentId);
+      this.agents.set(key, createAdvisorAgent(persona, {
+        company: this.context.company.name,
+        mock: this.platform.mock,
+        tools: createAdvisorTools(this, session),
+        memory,
+        apiKeys: this.platform.vault.apiKeys()
+      }));
+    }
+    return this.agents.get(key);
+  }
+  
+  getMemory(session, agentId) {
+    const memory = ConversationMemory.from(session.agentMemory.get(agentId), CONFIG.ai.memory);
+    session.agentMemory.set(agentId, memory);
+    return memory;
+  }
+  
+  saveSession(session) {
+    return this.store.save(session);
+  }
+  
+  // Audit a mutation and persist the session it touched
+  async recordChange(session, event, data) {
+    session.lastActivityAt = new Date();
+    this.auditLog.log(event, { sessionId: session.id, ...data });
+    await this.saveSession(session);
+  }
+}
+
+// ==========================================
+// WORKSPACES
+// ==========================================
+
+// Subdirectories of each workspace directory, next to its context.json
+// and templates.json
+const WORKSPACE_DIRS = ['sessions', 'documents', 'exports', 'audit', 'agents'];
+
+// Every workspace, plus what they share: user accounts, the credential
+// vault, the mock provider and the platform audit trail (sign-ins, users,
+// API keys and workspace changes). The first workspace is the default for
+// API paths without a /api/workspaces/:id prefix.
+class WorkspaceManager {
+  constructor() {
+    this.file = path.join(CONFIG.storage.workspacesDir, 'workspaces.json');
+    this.workspaces = new Map(); // id -> DecisionOS
+    this.users = new UserStore(path.join(CONFIG.storage.usersDir, 'users.json'));
+    this.queue = Promise.resolve();
+    
+    this.ready = this.initialize();
+  }
+  
+  async initialize() {
+    for (const dir of [CONFIG.storage.workspacesDir, CONFIG.storage.platformAuditDir, CONFIG.storage.secretsDir, CONFIG.storage.usersDir]) {
+      await fs.mkdir(dir, { recursive: true });
+    }
+    this.auditLog = new AuditLog(CONFIG.storage.platformAuditDir);
+    
+    const { secret, previousSecrets } = await CredentialVault.loadSecrets(CONFIG.storage.secretsDir);
+    this.vault = new CredentialVault(path.join(CONFIG.storage.secretsDir, 'vault.json'), secret, previousSecrets);
+    await this.vault.load();
+    await this.users.load();
+    if (!CONFIG.security.requireAuth) {
+      console.warn('⚠ REQUIRE_AUTH is off; anyone who can reach this port has founder access');
+    } else if (!this.users.users.size && !CONFIG.security.adminToken) {
+      console.warn('⚠ REQUIRE_AUTH is on but there are no users and no ADMIN_TOKEN; nobody can sign in');
+    }
+    
+    if (CONFIG.ai.mock.enabled) {
+      const { fixtures, ...options } = CONFIG.ai.mock;
+      this.mock = { ...options, script: fixtures ? await MockScript.load(fixtures) : null };
+      console.log(`✓ Mock AI provider enabled${fixtures ? ` (${this.mock.script.remaining} fixtures)` : ''}`);
+    }
+    
+    let records = [];
+    try {
+      records = JSON.parse(await fs.readFile(this.file, 'utf-8')).workspaces;
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    for (const workspace of records) {
+      await this.open(workspace);
+    }
+    // Fresh install, or data from before workspaces: ClearHive comes first
+    if (!this.workspaces.size) {
+      await this.create({ ...CLEARHIVE_WORKSPACE, systemPrompts: AGENT_PROMPTS }, { migrate: true });
+    }
+    this.defaultId = this.workspaces.keys().next().value;
+    
+    const sessions = Array.from(this.workspaces.values()).reduce((sum, os) => sum + os.sessions.size, 0);
+    console.log(`✓ Decision OS initialized (${this.workspaces.size} workspaces, ${sessions} sessions restored)`);
+  }
+  
+  async open(workspace) {
+    const os = new DecisionOS(workspace, this);
+    await os.ready;
+    this.workspaces.set(workspace.id, os);
+    return os;
+  }
+  
+  get(id) {
+    return this.workspaces.get(id);
+  }
+  
+  describe(os) {
+    return {
+      ...os.workspace,
+      company: os.context.company.name,
+      contextVersion: os.contextVersion,
+      sessions: os.sessions.size,
+      default: os.workspace.id === this.defaultId
+    };
+  }
+  
+  // Write the new workspace's context, templates (the standard set plus its
+  // own) and advisors, then start its engine. With `migrate`, directories
+  // from before workspaces (sessions, audit trail, advisors and documents
+  // directly under dataDir) move into it first.
+  async create({ id, name, title = '', welcome = '', context, templates = {}, systemPrompts = {} }, { migrate = false } = {}) {
+    if (this.workspaces.has(id)) throw new ApiError(409, `Workspace '${id}' already exists`);
+    
+    const dir = path.join(CONFIG.storage.workspacesDir, id);
+    await fs.mkdir(path.join(dir, 'agents'), { recursive: true });
+    const migrated = migrate ? await this.migrateLegacyData(dir) : [];
+    
+    await new ContextStore(path.join(dir, 'context.json')).update(context);
+    await fs.writeFile(path.join(dir, 'templates.json'), JSON.stringify({ ...STANDARD_TEMPLATES, ...templates }, null, 2));
+    // Keeps a migrated agents.json; otherwise seeds the built-in personas
+    await new AgentRegistry(path.join(dir, 'agents', 'agents.json')).load(systemPrompts);
+    
+    const os = await this.open({ id, name, title, welcome, createdAt: new Date().toISOString() });
+    await this.save();
+    this.auditLog.log('workspace_created', { workspaceId: id, ...(migrated.length && { migrated }) });
+    return os;
+  }
+  
+  async update(id, fields) {
+    const os = this.workspaces.get(id);
+    if (!os) throw new ApiError(404, 'Workspace not found');
+    
+    Object.assign(os.workspace, fields, { updatedAt: new Date().toISOString() });
+    await this.save();
+    this.auditLog.log('workspace_updated', { workspaceId: id, fields: Object.keys(fields) });
+    return os;
+  }
+  
+  async migrateLegacyData(dir) {
+    const moved = [];
+    for (const name of WORKSPACE_DIRS) {
+      try {
+        await fs.rename(path.join(CONFIG.storage.dataDir, name), path.join(dir, name));
+        moved.push(name);
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+    if (moved.length) console.log(`✓ Moved ${moved.join(', ')} into the ${path.basename(dir)} workspace`);
+    return moved;
+  }
+  
+  // Same temp-file-and-rename write as AgentRegistry
+  save() {
+    const data = JSON.stringify({ workspaces: Array.from(this.workspaces.values(), os => os.workspace) }, null, 2);
+    this.queue = this.queue.catch(() => {}).then(async () => {
+      const temp = `${this.file}.tmp`;
+      await fs.writeFile(temp, data);
+      await fs.rename(temp, this.file);
+    });
+    return this.queue;
+  }
+  
+  // Advisors are cached with the API keys they were built with
+  clearAgents() {
+    for (const os of this.workspaces.values()) os.agents.clear();
+  }
 }
 
 // ==========================================
 // STRATEGIC SESSION MANAGEMENT
 // ==========================================
 
+// Session lifecycle. Archived sessions can only be restored to completed.
+const SESSION_TRANSITIONS = {
+  active: ['paused', 'completed', 'archived'],
+  paused: ['active', 'completed', 'archived'],
+  completed: ['active', 'archived'],
+  archived: ['completed']
+};
+
+// Allowed decision status changes (approved/rejected are final)
+const DECISION_TRANSITIONS = {
+  proposed: ['approved', 'rejected', 'deferred'],
+  deferred: ['proposed', 'approved', 'rejected'],
+  approved: [],
+  rejected: []
+};
+
+// Probability and impact levels, ordered for scoring and the heat map
+const RISK_LEVELS = ['low', 'medium', 'high', 'critical'];
+
 class StrategicSession {
-  constructor(id) {
+  constructor(id, { title = '', template = null, contextVersion = null } = {}) {
     this.id = id;
+    this.title = title;
+    this.template = template;
+    // Company context version at creation; advisor replies, template runs
+    // and debates record the version they were answered against
+    this.contextVersion = contextVersion;
     this.createdAt = new Date();
+    this.lastActivityAt = new Date();
     this.state = 'active';
+    this.stateHistory = [];
     
     // Core data structures
     this.decisions = [];
@@ -332,6 +994,10 @@ class StrategicSession {
     
     // Discussion management
     this.messages = [];
+    this.templateRuns = [];
+    this.debates = [];
+    this.agentMemory = new Map(); // agentId -> ConversationMemory
+    this.agentVersions = {}; // agentId -> pinned persona version
     this.participants = new Map();
     this.consensus = new ConsensusEngine();
     
@@ -357,7 +1023,9 @@ class StrategicSession {
       id,
       ...decision,
       createdAt: new Date(),
+      updatedAt: new Date(),
       status: 'proposed',
+      statusHistory: [],
       votes: new Map(),
       confidence: 0
     };
@@ -365,35 +1033,246 @@ class StrategicSession {
     return decisionObj;
   }
   
+  getDecision(id) {
+    return this.decisions.find(d => d.id === id);
+  }
+  
+  updateDecision(id, changes) {
+    const decision = this.getDecision(id);
+    if (!decision) return null;
+    
+    Object.assign(decision, changes, { updatedAt: new Date() });
+    return decision;
+  }
+  
+  setDecisionStatus(id, status, reason = '') {
+    const decision = this.getDecision(id);
+    if (!decision) return null;
+    
+    const allowed = DECISION_TRANSITIONS[decision.status] || [];
+    if (!allowed.includes(status)) {
+      throw new ApiError(409, `Cannot move decision from '${decision.status}' to '${status}'`);
+    }
+    
+    decision.statusHistory.push({
+      from: decision.status,
+      to: status,
+      reason,
+      timestamp: new Date()
+    });
+    decision.status = status;
+    decision.updatedAt = new Date();
+    return decision;
+  }
+  
+  removeDecision(id) {
+    const index = this.decisions.findIndex(d => d.id === id);
+    if (index === -1) return null;
+    
+    return this.decisions.splice(index, 1)[0];
+  }
+  
   addRisk(risk) {
     const id = crypto.randomUUID();
+    const probability = risk.probability || 'medium';
+    const impact = risk.impact || 'medium';
+    const score = this.calculateRiskScore(probability, impact);
     const riskObj = {
       id,
       ...risk,
       createdAt: new Date(),
+      updatedAt: new Date(),
       status: 'identified',
-      probability: risk.probability || 'medium',
-      impact: risk.impact || 'medium',
-      score: this.calculateRiskScore(risk.probability, risk.impact)
+      probability,
+      impact,
+      score,
+      mitigations: [],
+      history: [{ probability, impact, score, note: 'Initial assessment', timestamp: new Date() }]
     };
     this.risks.push(riskObj);
     return riskObj;
   }
   
+  getRisk(id) {
+    return this.risks.find(r => r.id === id);
+  }
+  
+  updateRisk(id, changes) {
+    const risk = this.getRisk(id);
+    if (!risk) return null;
+    
+    const { probability, impact, ...rest } = changes;
+    if (probability || impact) {
+      this.reassessRisk(id, { probability, impact, note: 'Updated via edit' });
+    }
+    
+    Object.assign(risk, rest, { updatedAt: new Date() });
+    return risk;
+  }
+  
+  reassessRisk(id, { probability, impact, note = '' }) {
+    const risk = this.getRisk(id);
+    if (!risk) return null;
+    if (risk.status === 'closed') throw new ApiError(409, 'Cannot reassess a closed risk');
+    
+    risk.probability = probability || risk.probability;
+    risk.impact = impact || risk.impact;
+    risk.score = this.calculateRiskScore(risk.probability, risk.impact);
+    risk.lastReviewedAt = new Date();
+    risk.updatedAt = new Date();
+    risk.history.push({
+      probability: risk.probability,
+      impact: risk.impact,
+      score: risk.score,
+      note,
+      timestamp: new Date()
+    });
+    return risk;
+  }
+  
+  addMitigation(riskId, mitigation) {
+    const risk = this.getRisk(riskId);
+    if (!risk) return null;
+    if (risk.status === 'closed') throw new ApiError(409, 'Cannot add mitigations to a closed risk');
+    
+    const mitigationObj = {
+      id: crypto.randomUUID(),
+      ...mitigation,
+      status: 'planned',
+      createdAt: new Date()
+    };
+    risk.mitigations.push(mitigationObj);
+    if (risk.status === 'identified') risk.status = 'mitigating';
+    risk.updatedAt = new Date();
+    return mitigationObj;
+  }
+  
+  updateMitigation(riskId, mitigationId, changes) {
+    const risk = this.getRisk(riskId);
+    const mitigation = risk?.mitigations.find(m => m.id === mitigationId);
+    if (!mitigation) return null;
+    
+    Object.assign(mitigation, changes, { updatedAt: new Date() });
+    
+    // Once every plan is done the risk moves to monitoring until closed
+    if (risk.status === 'mitigating' && risk.mitigations.every(m => m.status === 'complete')) {
+      risk.status = 'monitoring';
+    }
+    risk.updatedAt = new Date();
+    return mitigation;
+  }
+  
+  closeRisk(id, resolution = '') {
+    const risk = this.getRisk(id);
+    if (!risk) return null;
+    if (risk.status === 'closed') throw new ApiError(409, 'Risk is already closed');
+    
+    risk.status = 'closed';
+    risk.resolution = resolution;
+    risk.closedAt = new Date();
+    risk.updatedAt = new Date();
+    return risk;
+  }
+  
+  getRiskHeatMap() {
+    // matrix[probability][impact], both ordered low → critical
+    const matrix = RISK_LEVELS.map(() => RISK_LEVELS.map(() => ({ count: 0, risks: [] })));
+    const now = Date.now();
+    const open = this.risks.filter(r => r.status !== 'closed');
+    
+    for (const risk of open) {
+      const cell = matrix[RISK_LEVELS.indexOf(risk.probability)][RISK_LEVELS.indexOf(risk.impact)];
+      cell.count++;
+      cell.risks.push(risk.id);
+    }
+    
+    return {
+      levels: RISK_LEVELS,
+      matrix,
+      totalOpen: open.length,
+      reviewsDue: open
+        .filter(r => r.reviewDate && Date.parse(r.reviewDate) <= now)
+        .map(r => r.id),
+      history: Object.fromEntries(this.risks.map(r => [r.id, {
+        title: r.title,
+        status: r.status,
+        scores: r.history
+      }]))
+    };
+  }
+  
   addAction(action) {
     const id = crypto.randomUUID();
     const actionObj = {
       id,
       ...action,
       createdAt: new Date(),
+      updatedAt: new Date(),
       status: 'pending',
       priority: action.priority || 'medium',
-      dependencies: action.dependencies || []
+      dependencies: action.dependencies || [],
+      statusHistory: []
     };
+    this.assertValidDependencies(actionObj, [...this.actions, actionObj]);
     this.actions.push(actionObj);
     return actionObj;
   }
   
+  getAction(id) {
+    return this.actions.find(a => a.id === id);
+  }
+  
+  updateAction(id, changes) {
+    const action = this.getAction(id);
+    if (!action) return null;
+    
+    if (changes.dependencies) {
+      const candidate = { ...action, dependencies: changes.dependencies };
+      this.assertValidDependencies(candidate, this.actions.map(a => (a.id === id ? candidate : a)));
+    }
+    
+    Object.assign(action, changes, { updatedAt: new Date() });
+    return action;
+  }
+  
+  setActionStatus(id, status, note = '') {
+    const action = this.getAction(id);
+    if (!action) return null;
+    
+    if (status === 'in-progress' || status === 'done') {
+      const waitingOn = action.dependencies.filter(depId => this.getAction(depId)?.status !== 'done');
+      if (waitingOn.length) {
+        throw new ApiError(409, 'Action is waiting on unfinished dependencies', waitingOn);
+      }
+    }
+    
+    action.statusHistory.push({ from: action.status, to: status, note, timestamp: new Date() });
+    action.status = status;
+    action.completedAt = status === 'done' ? new Date() : undefined;
+    action.updatedAt = new Date();
+    return action;
+  }
+  
+  removeAction(id) {
+    const dependents = this.actions.filter(a => a.dependencies.includes(id)).map(a => a.id);
+    if (dependents.length) {
+      throw new ApiError(409, 'Other actions depend on this action', dependents);
+    }
+    
+    const index = this.actions.findIndex(a => a.id === id);
+    if (index === -1) return null;
+    return this.actions.splice(index, 1)[0];
+  }
+  
+  assertValidDependencies(action, actions) {
+    const known = new Set(actions.map(a => a.id));
+    const missing = action.dependencies.filter(depId => !known.has(depId));
+    if (missing.length) throw new ApiError(400, 'Unknown action dependencies', missing);
+    
+    const cycle = new ActionGraph(actions).findCycle();
+    if (cycle) throw new ApiError(409, 'Dependencies would create a cycle', cycle);
+  }
+  
   calculateRiskScore(probability, impact) {
     const scores = {
       low: 1,
@@ -404,18 +1283,259 @@ class StrategicSession {
     return scores[probability] * scores[impact];
   }
   
-  getExecutiveSummary() {
+  addMessage(message) {
+    const messageObj = {
+      id: crypto.randomUUID(),
+      ...message,
+      timestamp: new Date()
+    };
+    this.messages.push(messageObj);
+    return messageObj;
+  }
+  
+  recordUsage(agentId, response) {
+    const tokens = response.tokens?.total || 0;
+    const dollars = response.cost || 0;
+    const entry = this.costs.breakdown.get(agentId) || { tokens: 0, dollars: 0, calls: 0 };
+    
+    entry.tokens += tokens;
+    entry.dollars += dollars;
+    entry.calls++;
+    // Fallbacks mean one advisor can be billed by several providers
+    entry.providers = entry.providers || {};
+    const byProvider = entry.providers[response.provider] || { tokens: 0, dollars: 0, calls: 0 };
+    byProvider.tokens += tokens;
+    byProvider.dollars += dollars;
+    byProvider.calls++;
+    entry.providers[response.provider] = byProvider;
+    this.costs.breakdown.set(agentId, entry);
+    this.costs.tokens += tokens;
+    this.costs.dollars += dollars;
+  }
+  
+  setState(state, reason = '') {
+    const allowed = SESSION_TRANSITIONS[this.state] || [];
+    if (!allowed.includes(state)) {
+      throw new ApiError(409, `Cannot move session from '${this.state}' to '${state}'`);
+    }
+    
+    this.stateHistory.push({ from: this.state, to: state, reason, timestamp: new Date() });
+    this.state = state;
+    return this;
+  }
+  
+  isIdle(timeout, now = Date.now()) {
+    return this.state === 'active' && now - this.lastActivityAt.getTime() > timeout;
+  }
+  
+  // Free-text search over the title, messages and decisions
+  search(query) {
+    const needle = query.toLowerCase();
+    const excerpt = (text) => {
+      const index = text.toLowerCase().indexOf(needle);
+      return text.slice(Math.max(0, index - 40), index + needle.length + 40);
+    };
+    const matches = [];
+    
+    if (this.title.toLowerCase().includes(needle)) {
+      matches.push({ type: 'title', excerpt: this.title });
+    }
+    for (const message of this.messages) {
+      const text = String(message.content || '');
+      if (text.toLowerCase().includes(needle)) {
+        matches.push({ type: 'message', id: message.id, excerpt: excerpt(text) });
+      }
+    }
+    for (const decision of this.decisions) {
+      const text = [decision.title, decision.description, decision.impact, decision.rationale]
+        .filter(Boolean).join(' — ');
+      if (text.toLowerCase().includes(needle)) {
+        matches.push({ type: 'decision', id: decision.id, excerpt: excerpt(text) });
+      }
+    }
+    
+    return matches;
+  }
+  
+  getListing() {
+    return {
+      id: this.id,
+      title: this.title,
+      template: this.template,
+      contextVersion: this.contextVersion,
+      state: this.state,
+      createdAt: this.createdAt,
+      lastActivityAt: this.lastActivityAt,
+      counts: {
+        messages: this.messages.length,
+        decisions: this.decisions.length,
+        risks: this.risks.length,
+        actions: this.actions.length
+      }
+    };
+  }
+  
+  // Consensus results are derived, so only positions are stored and the
+  // analysis is re-run on load
+  toRecord() {
+    const { consensus, ...fields } = this;
+    return encodeValue({
+      ...fields,
+      consensus: { positions: consensus.positions }
+    });
+  }
+  
+  static fromRecord(record) {
+    const { consensus, ...fields } = decodeValue(record);
+    const session = new StrategicSession(fields.id);
+    Object.assign(session, fields);
+    for (const [topic, positions] of consensus?.positions || []) {
+      session.consensus.positions.set(topic, positions);
+      session.consensus.evaluateConsensus(topic);
+    }
+    return session;
+  }
+  
+  getExecutiveSummary() {
     return {
+      title: this.title,
+      state: this.state,
       decisions: this.decisions.filter(d => d.status === 'approved'),
-      risks: this.risks.sort((a, b) => b.score - a.score).slice(0, 5),
+      risks: this.risks.filter(r => r.status !== 'closed').sort((a, b) => b.score - a.score).slice(0, 5),
       actions: this.actions.filter(a => a.priority === 'high' || a.priority === 'critical'),
       consensus: this.consensus.getScore(),
+      // Advisor pairs that split on a topic, with the stances and
+      // recommendations they differ on
+      disagreements: this.consensus.disagreements.map(({ topic, agents, stances, points }) => ({ topic, agents, stances, points })),
       cost: this.costs.dollars,
       duration: Date.now() - this.createdAt.getTime()
     };
   }
 }
 
+// ==========================================
+// ACTION DEPENDENCY GRAPH
+// ==========================================
+
+class ActionGraph {
+  constructor(actions) {
+    this.actions = new Map(actions.map(a => [a.id, a]));
+  }
+  
+  // Returns the ids forming a cycle (first id repeated at the end), or null
+  findCycle() {
+    const state = new Map(); // id -> 'visiting' | 'done'
+    const stack = [];
+    
+    const visit = (id) => {
+      state.set(id, 'visiting');
+      stack.push(id);
+      
+      for (const depId of this.actions.get(id)?.dependencies || []) {
+        if (state.get(depId) === 'visiting') {
+          return [...stack.slice(stack.indexOf(depId)), depId];
+        }
+        if (!state.has(depId)) {
+          const cycle = visit(depId);
+          if (cycle) return cycle;
+        }
+      }
+      
+      stack.pop();
+      state.set(id, 'done');
+      return null;
+    };
+    
+    for (const id of this.actions.keys()) {
+      if (!state.has(id)) {
+        const cycle = visit(id);
+        if (cycle) return cycle;
+      }
+    }
+    return null;
+  }
+  
+  // Dependencies first; assumes the graph is acyclic
+  topologicalOrder() {
+    const order = [];
+    const seen = new Set();
+    
+    const visit = (id) => {
+      if (seen.has(id) || !this.actions.has(id)) return;
+      seen.add(id);
+      this.actions.get(id).dependencies.forEach(visit);
+      order.push(id);
+    };
+    
+    for (const id of this.actions.keys()) visit(id);
+    return order;
+  }
+  
+  // Days of remaining work until each action can finish, weighting each
+  // open action by its estimate in days (default 1). Finished actions cost
+  // nothing. `via` is the dependency each action waits on longest.
+  finishTimes() {
+    const finish = new Map();
+    const via = new Map();
+    
+    for (const id of this.topologicalOrder()) {
+      const action = this.actions.get(id);
+      const duration = action.status === 'done' ? 0 : (action.estimate || 1);
+      let start = 0;
+      
+      for (const depId of action.dependencies) {
+        if (finish.get(depId) > start) {
+          start = finish.get(depId);
+          via.set(id, depId);
+        }
+      }
+      finish.set(id, start + duration);
+    }
+    return { finish, via };
+  }
+  
+  // Longest chain of remaining work
+  criticalPath() {
+    const { finish, via } = this.finishTimes();
+    
+    let end = null;
+    for (const [id, time] of finish) {
+      if (end === null || time > finish.get(end)) end = id;
+    }
+    if (end === null) return { path: [], duration: 0 };
+    
+    const path = [];
+    for (let id = end; id; id = via.get(id)) path.unshift(id);
+    
+    return {
+      path: path.filter(id => this.actions.get(id).status !== 'done'),
+      duration: finish.get(end)
+    };
+  }
+  
+  // Open actions that can't proceed: explicitly blocked or waiting on
+  // unfinished dependencies
+  blocked() {
+    const result = [];
+    
+    for (const action of this.actions.values()) {
+      if (action.status === 'done') continue;
+      
+      const waitingOn = action.dependencies.filter(depId => this.actions.get(depId)?.status !== 'done');
+      if (waitingOn.length || action.status === 'blocked') {
+        result.push({ id: action.id, title: action.title, status: action.status, waitingOn });
+      }
+    }
+    return result;
+  }
+  
+  overdue(now = Date.now()) {
+    return Array.from(this.actions.values())
+      .filter(a => a.status !== 'done' && a.dueDate && Date.parse(a.dueDate) < now)
+      .map(a => a.id);
+  }
+}
+
 // ==========================================
 // FINANCIAL MODELING ENGINE
 // ==========================================
@@ -431,10 +1551,13 @@ class FinancialEngine {
       costs,
       growth,
       periods = 36,
+      startingCash = 0,
       currency = 'USD'
     } = params;
     
     const projection = {
+      params: { revenue, costs, growth, periods, startingCash, currency },
+      createdAt: new Date(),
       periods: [],
       metrics: {
         arr: 0,
@@ -462,7 +1585,7 @@ class FinancialEngine {
       };
       
       month.cashFlow = month.revenue - month.costs;
-      month.cumulativeCash = (projection.periods[i - 1]?.cumulativeCash || 0) + month.cashFlow;
+      month.cumulativeCash = (projection.periods[i - 1]?.cumulativeCash ?? startingCash) + month.cashFlow;
       
       projection.periods.push(month);
     }
@@ -488,13 +1611,21 @@ class FinancialEngine {
     projection.metrics.mrr = lastPeriod.revenue;
     projection.metrics.burnRate = Math.max(0, -lastPeriod.cashFlow);
     
-    // Calculate runway
+    // Calculate runway: months until cash runs out, extrapolating past the
+    // horizon at the final burn rate
     const cash = lastPeriod.cumulativeCash;
     const burn = projection.metrics.burnRate;
-    projection.metrics.runway = burn > 0 ? Math.max(0, cash / burn) : Infinity;
+    const cashOut = projection.periods.findIndex(p => p.cumulativeCash < 0);
+    if (cashOut !== -1) {
+      projection.metrics.runway = cashOut;
+    } else {
+      projection.metrics.runway = burn > 0 ? projection.periods.length + cash / burn : Infinity;
+    }
     
     // Calculate margins
-    projection.metrics.grossMargin = (lastPeriod.revenue - lastPeriod.costs) / lastPeriod.revenue;
+    projection.metrics.grossMargin = lastPeriod.revenue > 0
+      ? (lastPeriod.revenue - lastPeriod.costs) / lastPeriod.revenue
+      : 0;
     
     return projection.metrics;
   }
@@ -726,9 +1857,34 @@ class CitationEngine {
 // CONSENSUS ENGINE
 // ==========================================
 
+// Phrases that signal an advisor's stance. Opposition and conditions are
+// checked first so "do not recommend" doesn't also count as support.
+const STANCE_LEXICON = {
+  oppose: ['do not recommend', "don't recommend", 'not recommend', 'should not', "shouldn't", 'advise against',
+    'recommend against', 'oppose', 'against this', 'reject', 'decline', 'premature', 'too risky', 'not ready',
+    'do not proceed', "don't proceed", 'hold off'],
+  conditional: ['only if', 'provided that', 'contingent on', 'conditional on', 'as long as', 'unless', 'subject to',
+    'assuming', 'with caution'],
+  support: ['recommend', 'support', 'agree', 'proceed', 'approve', 'endorse', 'in favor', 'go ahead', 'should',
+    'strongly believe', 'makes sense', 'move forward']
+};
+
+const STOPWORDS = new Set(('the a an and or but if then of to in on for with at by from as is are was were be been ' +
+  'this that these those it its we our you your they their i my he she them his her not no yes can could would ' +
+  'should will shall may might must have has had do does did so than too very also just into over under about ' +
+  'more most less such which who whom what when where why how all any each both few other some only own same').split(' '));
+
+// How compatible two stances are (order-independent)
+const STANCE_AGREEMENT = {
+  'support:support': 1, 'oppose:oppose': 1, 'conditional:conditional': 0.8, 'neutral:neutral': 0.6,
+  'conditional:support': 0.6, 'conditional:oppose': 0.3, 'oppose:support': 0,
+  'neutral:support': 0.5, 'neutral:oppose': 0.5, 'conditional:neutral': 0.5
+};
+
 class ConsensusEngine {
   constructor() {
     this.positions = new Map();
+    this.topics = new Map();
     this.agreements = [];
     this.disagreements = [];
   }
@@ -739,6 +1895,7 @@ class ConsensusEngine {
     }
     
     this.positions.get(topic).set(agentId, {
+      agentId,
       position,
       confidence: position.confidence || 0.5,
       timestamp: new Date()
@@ -751,38 +1908,174 @@ class ConsensusEngine {
     const positions = this.positions.get(topic);
     if (!positions || positions.size < 2) return;
     
-    const values = Array.from(positions.values());
+    const values = Array.from(positions.values())
+      .sort((a, b) => String(a.agentId).localeCompare(String(b.agentId)));
+    const analyzed = values.map(v => ({ agentId: v.agentId, ...this.analyzePosition(v.position) }));
     const agreements = [];
     const disagreements = [];
+    const partial = [];
     
     // Compare positions pairwise
     for (let i = 0; i < values.length; i++) {
       for (let j = i + 1; j < values.length; j++) {
         const similarity = this.calculateSimilarity(values[i], values[j]);
+        const pair = {
+          topic,
+          agents: [values[i].agentId, values[j].agentId],
+          stances: [analyzed[i].stance, analyzed[j].stance],
+          similarity
+        };
         
         if (similarity > 0.7) {
-          agreements.push({ positions: [values[i], values[j]], similarity });
+          agreements.push({ ...pair, sharedPoints: this.sharedPoints(analyzed[i], analyzed[j]) });
         } else if (similarity < 0.3) {
-          disagreements.push({ positions: [values[i], values[j]], similarity });
+          disagreements.push({ ...pair, points: this.pointsOfContention(analyzed[i], analyzed[j]) });
+        } else {
+          partial.push({ ...pair, points: this.pointsOfContention(analyzed[i], analyzed[j]) });
         }
       }
     }
     
-    this.agreements = agreements;
-    this.disagreements = disagreements;
+    this.topics.set(topic, {
+      positions: analyzed.map(a => ({ agentId: a.agentId, stance: a.stance, recommendations: a.recommendations })),
+      agreements,
+      disagreements,
+      partial
+    });
+    
+    const results = Array.from(this.topics.values());
+    this.agreements = results.flatMap(r => r.agreements);
+    this.disagreements = results.flatMap(r => r.disagreements);
+  }
+  
+  // Accepts free text or a structured { content, stance, recommendations[] }
+  analyzePosition(position) {
+    const structured = typeof position === 'object' && position !== null;
+    const content = String(structured ? position.content || '' : position);
+    const recommendations = structured && Array.isArray(position.recommendations)
+      ? position.recommendations.map(String)
+      : this.extractRecommendations(content);
+    const stance = structured && STANCE_AGREEMENT[`${position.stance}:${position.stance}`] !== undefined
+      ? position.stance
+      : this.classifyStance(content);
+    
+    return {
+      stance,
+      recommendations,
+      recommendationTerms: recommendations.map(r => this.terms(r)),
+      terms: this.terms([content, ...recommendations].join(' '))
+    };
+  }
+  
+  classifyStance(text) {
+    let remaining = ` ${text.toLowerCase().replace(/\s+/g, ' ')} `;
+    const counts = {};
+    
+    for (const [stance, phrases] of Object.entries(STANCE_LEXICON)) {
+      counts[stance] = 0;
+      for (const phrase of phrases) {
+        const parts = remaining.split(phrase);
+        counts[stance] += parts.length - 1;
+        remaining = parts.join(' ');
+      }
+    }
+    
+    if (counts.oppose === 0 && counts.support === 0 && counts.conditional === 0) return 'neutral';
+    if (counts.oppose > counts.support) return 'oppose';
+    if (counts.conditional > 0 && counts.conditional >= counts.oppose) return 'conditional';
+    return counts.support > counts.oppose ? 'support' : 'neutral';
+  }
+  
+  // Bulleted or numbered lines, falling back to sentences that recommend
+  extractRecommendations(text) {
+    const bullets = text.split('\n')
+      .map(line => line.trim())
+      .filter(line => /^([-*•]|\d+[.)])\s+/.test(line))
+      .map(line => line.replace(/^([-*•]|\d+[.)])\s+/, ''));
+    if (bullets.length) return bullets;
+    
+    return text.split(/(?<=[.!?])\s+/)
+      .filter(sentence => /\b(recommend|should|propose|suggest|prioriti[sz]e)\b/i.test(sentence))
+      .map(sentence => sentence.trim());
+  }
+  
+  terms(text) {
+    return new Set(String(text).toLowerCase()
+      .split(/[^a-z0-9$%]+/)
+      .filter(word => word.length >= 3 && !STOPWORDS.has(word))
+      .map(word => word.replace(/(ing|ed|es|s)$/, '')));
+  }
+  
+  jaccard(a, b) {
+    if (a.size === 0 && b.size === 0) return 0;
+    let shared = 0;
+    for (const term of a) if (b.has(term)) shared++;
+    return shared / (a.size + b.size - shared);
+  }
+  
+  // Average best match of each recommendation against the other side
+  recommendationOverlap(a, b) {
+    if (!a.recommendationTerms.length || !b.recommendationTerms.length) return null;
+    
+    const best = (from, to) => from.map(terms => Math.max(...to.map(other => this.jaccard(terms, other))));
+    const scores = [...best(a.recommendationTerms, b.recommendationTerms), ...best(b.recommendationTerms, a.recommendationTerms)];
+    return scores.reduce((sum, score) => sum + score, 0) / scores.length;
   }
   
   calculateSimilarity(pos1, pos2) {
-    // Implement sophisticated similarity calculation
-    // This is a simplified version
-    return Math.random() * 0.5 + 0.25; // Placeholder
+    // Stance carries half the weight; the rest is what they actually propose.
+    // Term overlap is scaled up because two on-topic answers rarely share
+    // more than a third of their vocabulary.
+    const a = this.analyzePosition(pos1.position);
+    const b = this.analyzePosition(pos2.position);
+    const stanceKey = [a.stance, b.stance].sort().join(':');
+    const stance = STANCE_AGREEMENT[stanceKey] ?? 0.5;
+    const content = Math.min(1, this.jaccard(a.terms, b.terms) * 2.5);
+    const recommendations = this.recommendationOverlap(a, b);
+    
+    const substance = recommendations === null
+      ? content
+      : 0.6 * Math.min(1, recommendations * 2) + 0.4 * content;
+    
+    return Math.round((0.5 * stance + 0.5 * substance) * 1000) / 1000;
+  }
+  
+  sharedPoints(a, b) {
+    return a.recommendations.filter((rec, i) =>
+      b.recommendationTerms.some(terms => this.jaccard(a.recommendationTerms[i], terms) >= 0.3));
+  }
+  
+  pointsOfContention(a, b) {
+    const unmatched = (from, to) => from.recommendations.filter((rec, i) =>
+      !to.recommendationTerms.some(terms => this.jaccard(from.recommendationTerms[i], terms) >= 0.3));
+    const points = [];
+    
+    if (a.stance !== b.stance) {
+      points.push({ type: 'stance', detail: `${a.agentId} is ${a.stance}, ${b.agentId} is ${b.stance}` });
+    }
+    for (const rec of unmatched(a, b)) points.push({ type: 'recommendation', agentId: a.agentId, detail: rec });
+    for (const rec of unmatched(b, a)) points.push({ type: 'recommendation', agentId: b.agentId, detail: rec });
+    
+    return points;
   }
   
-  getScore() {
-    const total = this.agreements.length + this.disagreements.length;
+  // Share of advisor pairs in agreement; partial agreement counts half
+  getScore(topic) {
+    const results = topic ? [this.topics.get(topic)].filter(Boolean) : Array.from(this.topics.values());
+    const agreements = results.reduce((n, r) => n + r.agreements.length, 0);
+    const partial = results.reduce((n, r) => n + r.partial.length, 0);
+    const total = agreements + partial + results.reduce((n, r) => n + r.disagreements.length, 0);
     if (total === 0) return 0;
     
-    return (this.agreements.length / total) * 100;
+    return ((agreements + partial * 0.5) / total) * 100;
+  }
+  
+  getReport() {
+    return Array.from(this.topics, ([topic, result]) => ({
+      topic,
+      score: this.getScore(topic),
+      ...result
+    }));
   }
 }
 
@@ -790,35 +2083,140 @@ class ConsensusEngine {
 // AUDIT LOG
 // ==========================================
 
+const AUDIT_GENESIS_HASH = '0'.repeat(64);
+
+// Append-only audit trail. Every entry carries a sequence number and the
+// hash of the entry before it, so edits, deletions and reordering show up
+// in verify(). Files from previous days are made read-only on rollover.
+// With AUDIT_HMAC_KEY set, entries are also signed, so rebuilding the whole
+// chain after an edit needs the key, and stripping the signatures shows up
+// because every entry must have one (see auditSignedSince). head.json holds
+// the last sequence and hash, signed too, so entries cut off the end are
+// caught after a restart.
 class AuditLog {
-  constructor(directory) {
+  constructor(directory, key = CONFIG.security.auditKey, signedSince = CONFIG.security.auditSignedSince) {
     this.directory = directory;
+    this.key = key;
+    this.signedSince = signedSince;
+    this.headFile = path.join(directory, 'head.json');
     this.currentLog = null;
+    this.lastHash = AUDIT_GENESIS_HASH;
+    this.sequence = 0;
+    this.rebuiltAt = null;
+    this.queue = this.loadHead();
   }
   
-  async log(event, data) {
+  static hashEntry(entry) {
+    const { hash, mac, ...body } = entry;
+    return crypto.createHash('sha256').update(JSON.stringify(body, jsonReplacer)).digest('hex');
+  }
+  
+  sign(hash) {
+    return crypto.createHmac('sha256', this.key).update(hash).digest('hex');
+  }
+  
+  signHead({ seq, hash, rebuiltAt }) {
+    return this.sign(`${seq}:${hash}:${rebuiltAt || ''}`);
+  }
+  
+  async readHead() {
+    try {
+      return JSON.parse(await fs.readFile(this.headFile, 'utf-8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+  
+  async writeHead() {
+    const head = { seq: this.sequence, hash: this.lastHash };
+    if (this.rebuiltAt) head.rebuiltAt = this.rebuiltAt;
+    if (this.key) head.mac = this.signHead(head);
+    const temp = `${this.headFile}.tmp`;
+    await fs.writeFile(temp, JSON.stringify(head, null, 2));
+    await fs.rename(temp, this.headFile);
+  }
+  
+  async listFiles() {
+    const files = await fs.readdir(this.directory);
+    return files.filter(f => f.startsWith('audit-') && f.endsWith('.jsonl')).sort();
+  }
+  
+  // Resume the chain from head.json. Without one (logs from before it
+  // existed, or a deleted head) the newest chained entry is used and the
+  // head is rebuilt; verify() reports when that happened.
+  async loadHead() {
+    const head = await this.readHead();
+    if (head) {
+      this.sequence = head.seq;
+      this.lastHash = head.hash;
+      this.rebuiltAt = head.rebuiltAt;
+      return;
+    }
+    
+    for (const file of await this.listFiles()) {
+      const lines = (await fs.readFile(path.join(this.directory, file), 'utf-8')).split('\n').filter(l => l.trim());
+      
+      for (const line of lines) {
+        try {
+          const entry = JSON.parse(line);
+          if (!entry.hash) continue;
+          this.lastHash = entry.hash;
+          this.sequence = entry.seq;
+        } catch (e) {
+          // Reported by verify()
+        }
+      }
+    }
+    if (this.sequence > 0) this.rebuiltAt = new Date().toISOString();
+    await this.writeHead();
+  }
+  
+  // Appends are serialized so sequence numbers and hashes stay in order.
+  // Failures are reported rather than thrown because callers don't wait.
+  log(event, data) {
+    // Attributed to whoever made the request, unless the caller says otherwise
+    const user = data.user || requestContext.getStore()?.user?.username || 'system';
+    this.queue = this.queue
+      .then(() => this.append(event, data, user))
+      .catch(error => console.error('Audit log write failed:', error));
+    return this.queue;
+  }
+  
+  async append(event, data, user) {
     const entry = {
+      seq: this.sequence + 1,
       timestamp: new Date().toISOString(),
       event,
       data,
-      user: data.user || 'system',
-      sessionId: data.sessionId || null
+      user,
+      sessionId: data.sessionId || null,
+      prevHash: this.lastHash
     };
+    entry.hash = AuditLog.hashEntry(entry);
+    if (this.key) entry.mac = this.sign(entry.hash);
     
-    const date = new Date().toISOString().split('T')[0];
+    const date = entry.timestamp.split('T')[0];
     const logFile = path.join(this.directory, `audit-${date}.jsonl`);
     
-    await fs.appendFile(logFile, JSON.stringify(entry) + '\n');
+    if (this.currentLog && this.currentLog !== logFile) {
+      await fs.chmod(this.currentLog, 0o444).catch(() => {});
+    }
+    this.currentLog = logFile;
+    
+    await fs.appendFile(logFile, JSON.stringify(entry, jsonReplacer) + '\n');
+    this.sequence = entry.seq;
+    this.lastHash = entry.hash;
+    await this.writeHead();
+    return entry;
   }
   
   async query(filters) {
-    // Implement audit log querying
+    await this.queue;
     const logs = [];
-    const files = await fs.readdir(this.directory);
+    const files = await this.listFiles();
     
     for (const file of files) {
-      if (!file.startsWith('audit-')) continue;
-      
       const content = await fs.readFile(path.join(this.directory, file), 'utf-8');
       const lines = content.split('\n').filter(l => l.trim());
       
@@ -829,6 +2227,7 @@ class AuditLog {
           // Apply filters
           if (filters.event && entry.event !== filters.event) continue;
           if (filters.sessionId && entry.sessionId !== filters.sessionId) continue;
+          if (filters.actor && entry.user !== filters.actor) continue;
           if (filters.startDate && new Date(entry.timestamp) < filters.startDate) continue;
           if (filters.endDate && new Date(entry.timestamp) > filters.endDate) continue;
           
@@ -841,173 +2240,3371 @@ class AuditLog {
     
     return logs;
   }
+  
+  // Walk every file in order and check the chain. Entries written before
+  // chaining existed are counted as legacy rather than failures. The chain
+  // must start at sequence 1 from the genesis hash, so deleting the oldest
+  // files shows up. With an audit key, every entry must carry a valid
+  // signature, apart from unsigned ones stamped before auditSignedSince. The
+  // head has to match the last entry, so deleting entries from the end shows up.
+  async verify() {
+    await this.queue;
+    const issues = [];
+    let entries = 0;
+    let legacy = 0;
+    let previous = null;
+    
+    const head = await this.readHead();
+    if (!head) {
+      issues.push({ type: 'missing-head', detail: 'head.json is missing' });
+    } else if (this.key && head.mac !== this.signHead(head)) {
+      issues.push({ type: 'forged-head', detail: 'head.json signature does not match the audit key' });
+    }
+    
+    for (const file of await this.listFiles()) {
+      const lines = (await fs.readFile(path.join(this.directory, file), 'utf-8')).split('\n');
+      
+      lines.forEach((line, index) => {
+        if (!line.trim()) return;
+        const where = { file, line: index + 1 };
+        
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch (e) {
+          issues.push({ ...where, type: 'malformed', detail: 'Line is not valid JSON' });
+          return;
+        }
+        
+        if (!entry.hash) {
+          if (previous) issues.push({ ...where, type: 'unchained', detail: 'Entry without a hash after chaining began' });
+          else legacy++;
+          return;
+        }
+        
+        entries++;
+        const expectedSeq = previous ? previous.seq + 1 : 1;
+        const expectedPrev = previous ? previous.hash : AUDIT_GENESIS_HASH;
+        
+        if (entry.seq !== expectedSeq) {
+          issues.push({ ...where, seq: entry.seq, type: 'gap', detail: `Expected sequence ${expectedSeq}, found ${entry.seq}` });
+        }
+        if (entry.prevHash !== expectedPrev) {
+          issues.push({ ...where, seq: entry.seq, type: 'broken-link', detail: previous ? 'prevHash does not match the preceding entry' : 'Chain does not start from the genesis hash' });
+        }
+        if (AuditLog.hashEntry(entry) !== entry.hash) {
+          issues.push({ ...where, seq: entry.seq, type: 'tampered', detail: 'Entry contents do not match its hash' });
+        }
+        if (this.key && entry.mac) {
+          if (entry.mac !== this.sign(entry.hash)) {
+            issues.push({ ...where, seq: entry.seq, type: 'forged', detail: 'Signature does not match the audit key' });
+          }
+        } else if (this.key && !(this.signedSince && entry.timestamp < this.signedSince)) {
+          issues.push({ ...where, seq: entry.seq, type: 'unsigned', detail: this.signedSince ? `Entry without a signature from after ${this.signedSince}` : 'Entry without a signature' });
+        }
+        previous = entry;
+      });
+    }
+    
+    const written = Math.max(head?.seq || 0, this.sequence);
+    if ((previous?.seq || 0) < written) {
+      issues.push({ type: 'truncated', detail: `Log ends at sequence ${previous?.seq || 0} but ${written} entries were written` });
+    } else if (head && previous && previous.seq === head.seq && previous.hash !== head.hash) {
+      issues.push({ type: 'head-mismatch', detail: 'Last entry does not match head.json' });
+    }
+    
+    return {
+      valid: issues.length === 0,
+      entries,
+      legacy,
+      head: previous ? { seq: previous.seq, hash: previous.hash } : null,
+      headRebuiltAt: head?.rebuiltAt || null,
+      issues
+    };
+  }
 }
 
 // ==========================================
-// HELPER FUNCTIONS
+// DECISION VOTING
 // ==========================================
 
-function getAvailableAgents() {
-  return {
-    ceo: { name: 'Chief Executive', role: 'Strategic vision and leadership', expertise: ['Strategy', 'Leadership', 'Vision'] },
-    cfo: { name: 'Chief Financial Officer', role: 'Financial strategy and analysis', expertise: ['Financial Modeling', 'Risk Management', 'Valuation'] },
-    cto: { name: 'Chief Technology Officer', role: 'Technology strategy and innovation', expertise: ['Architecture', 'Digital Transformation', 'Cybersecurity'] },
-    coo: { name: 'Chief Operating Officer', role: 'Operational excellence', expertise: ['Operations', 'Process Optimization', 'Quality'] },
-    cmo: { name: 'Chief Marketing Officer', role: 'Market strategy and growth', expertise: ['Market Strategy', 'Brand', 'Customer Experience'] },
-    legal: { name: 'General Counsel', role: 'Legal and compliance', expertise: ['Corporate Law', 'Compliance', 'Contracts'] },
-    strategist: { name: 'Chief Strategy Officer', role: 'Strategic planning', expertise: ['Planning', 'Competitive Analysis', 'M&A'] }
-  };
-}
-
-function getDefaultAgents() {
-  return ['ceo', 'cfo', 'strategist'];
-}
-
-function getClearHiveAdvisors() {
-  return {
-    healthcare: { name: 'Healthcare Strategy Advisor', role: 'Behavioral health industry expertise' },
-    compliance: { name: 'HIPAA Compliance Expert', role: 'Healthcare regulatory compliance' },
-    sales: { name: 'B2B Healthcare Sales', role: 'Enterprise healthcare sales strategy' },
-    clinical: { name: 'Clinical Operations', role: 'Treatment center operations expertise' }
-  };
+class VotingEngine {
+  constructor(rules = CONFIG.voting) {
+    this.rules = rules;
+  }
+  
+  weightFor(decision, voterType, voterId) {
+    const base = this.rules.weights[voterType] ?? 1;
+    if (voterType !== 'agent') return base;
+    return base * (this.rules.domainWeights[voterId]?.[decision.category] ?? 1);
+  }
+  
+  // Re-voting replaces the voter's earlier ballot
+  castVote(decision, { voterId, voterType, vote, rationale = '', confidence = 0.5 }) {
+    if (decision.status !== 'proposed' && decision.status !== 'deferred') {
+      throw new ApiError(409, `Voting is closed on ${decision.status} decisions`);
+    }
+    
+    const ballot = {
+      voterId,
+      voterType,
+      vote,
+      rationale,
+      confidence,
+      weight: this.weightFor(decision, voterType, voterId),
+      castAt: new Date()
+    };
+    decision.votes.set(`${voterType}:${voterId}`, ballot);
+    return ballot;
+  }
+  
+  tally(decision) {
+    const quorum = decision.quorum || this.rules.quorum;
+    const approvalThreshold = decision.approvalThreshold || this.rules.approvalThreshold;
+    const totals = { approve: 0, reject: 0, abstain: 0 };
+    const ballots = Array.from(decision.votes.values());
+    
+    for (const ballot of ballots) totals[ballot.vote] += ballot.weight;
+    
+    const decisive = totals.approve + totals.reject;
+    const approvalShare = decisive > 0 ? totals.approve / decisive : 0;
+    const quorumMet = ballots.length >= quorum;
+    
+    let outcome = null;
+    if (quorumMet && decisive > 0) {
+      if (approvalShare >= approvalThreshold) outcome = 'approved';
+      else if (1 - approvalShare >= this.rules.rejectionThreshold) outcome = 'rejected';
+    }
+    
+    // Confidence: how decisive the winning side was, scaled by how sure
+    // its voters said they were
+    const side = outcome === 'rejected' ? 'reject' : 'approve';
+    const winners = ballots.filter(b => b.vote === side);
+    const winnerWeight = winners.reduce((sum, b) => sum + b.weight, 0);
+    const meanConfidence = winnerWeight > 0
+      ? winners.reduce((sum, b) => sum + b.weight * b.confidence, 0) / winnerWeight
+      : 0;
+    const share = side === 'approve' ? approvalShare : 1 - approvalShare;
+    
+    return {
+      votes: ballots.length,
+      weights: totals,
+      quorum,
+      quorumMet,
+      approvalThreshold,
+      approvalShare,
+      outcome,
+      confidence: decisive > 0 ? share * meanConfidence : 0
+    };
+  }
 }
 
 // ==========================================
-// HTTP SERVER & API
+// TEMPLATE RUNNER
 // ==========================================
 
-class DecisionOSServer {
+class TemplateRunner {
   constructor(decisionOS) {
     this.os = decisionOS;
-    this.server = http.createServer(this.handleRequest.bind(this));
   }
   
-  async handleRequest(req, res) {
-    // CORS headers
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  // Expand 'all' to the session roster (or every advisor) and dedupe
+  resolveAgents(phaseAgents, roster) {
+    const everyone = roster?.length ? roster : this.os.registry.ids();
+    const ids = phaseAgents.flatMap(id => (id === 'all' ? everyone : [id]));
+    return [...new Set(ids)].filter(id => this.os.registry.has(id));
+  }
+  
+  // Creates the run record and starts it in the background; poll the
+  // session's templateRuns (or listen on 'template:progress') for progress
+  start(session, templateId, { agents, brief } = {}) {
+    const template = this.os.templates.get(templateId);
+    if (!template) throw new ApiError(404, 'Template not found');
+    if (!template.phases) throw new ApiError(400, `${template.name} is an agenda template with no phases to run`);
     
-    if (req.method === 'OPTIONS') {
-      res.writeHead(204);
-      res.end();
-      return;
-    }
+    const run = {
+      id: crypto.randomUUID(),
+      templateId,
+      name: template.name,
+      brief: brief || template.description,
+      contextVersion: this.os.contextVersion,
+      status: 'running',
+      currentPhase: 0,
+      startedAt: new Date(),
+      phases: template.phases.map(phase => ({
+        type: phase.type,
+        topic: phase.topic,
+        agents: this.resolveAgents(phase.agents, agents),
+        schema: phase.schema,
+        status: 'pending',
+        outputs: []
+      }))
+    };
+    session.templateRuns.push(run);
     
-    const url = new URL(req.url, `http://${req.headers.host}`);
-    const path = url.pathname;
+    this.execute(session, run).catch(error => {
+      run.status = 'failed';
+      run.error = error.message;
+      this.emit(session, run);
+      return this.os.saveSession(session);
+    });
     
-    // Routing
-    try {
-      if (path === '/' && req.method === 'GET') {
-        await this.serveUI(res);
-      } else if (path.startsWith('/api/')) {
-        await this.handleAPI(req, res, path.slice(5));
-      } else if (path.startsWith('/ws')) {
-        await this.handleWebSocket(req, res);
-      } else {
-        res.writeHead(404);
-        res.end('Not Found');
+    return run;
+  }
+  
+  async execute(session, run) {
+    await this.os.recordChange(session, 'template_run_started', { runId: run.id, templateId: run.templateId });
+    
+    for (let i = 0; i < run.phases.length; i++) {
+      const phase = run.phases[i];
+      
+      if (session.costs.dollars >= CONFIG.ai.costLimits.perSession) {
+        run.status = 'stopped';
+        run.error = `Session cost limit of $${CONFIG.ai.costLimits.perSession.toFixed(2)} reached`;
+        break;
       }
-    } catch (error) {
-      console.error('Server error:', error);
-      res.writeHead(500);
-      res.end(JSON.stringify({ error: 'Internal Server Error' }));
+      
+      run.currentPhase = i;
+      phase.status = 'running';
+      phase.startedAt = new Date();
+      this.emit(session, run);
+      
+      const prompt = this.buildPrompt(run, phase, run.phases.slice(0, i));
+      phase.outputs = await Promise.all(phase.agents.map(agentId => this.ask(session, run, phase, agentId, prompt)));
+      
+      phase.completedAt = new Date();
+      phase.status = phase.outputs.every(o => o.error) ? 'failed' : 'completed';
+      await this.os.recordChange(session, 'template_phase_completed', { runId: run.id, phase: phase.type });
+      this.emit(session, run);
+      
+      if (phase.status === 'failed') {
+        run.status = 'failed';
+        run.error = `No advisor answered the '${phase.topic}' phase`;
+        break;
+      }
+    }
+    
+    if (run.status === 'running') run.status = 'completed';
+    run.completedAt = new Date();
+    await this.os.recordChange(session, 'template_run_finished', { runId: run.id, status: run.status });
+    this.emit(session, run);
+  }
+  
+  async ask(session, run, phase, agentId, prompt) {
+    const response = await this.os.getAgent(session, agentId).respond(prompt, {}, { schema: phase.schema });
+    const structured = response.error ? {} : this.os.applyStructuredResponse(session, agentId, response, { runId: run.id, phase: phase.type });
+    const { name, version } = this.os.getPersona(session, agentId);
+    const output = {
+      agentId,
+      agentVersion: version,
+      name,
+      ...structured,
+      content: structured.content || response.content || null,
+      error: response.error || null,
+      provider: response.provider || null,
+      tokens: response.tokens,
+      cost: response.cost
+    };
+    
+    if (!response.error) {
+      session.recordUsage(agentId, response);
+      session.consensus.addPosition(agentId, `${run.name}: ${phase.topic}`, { content: output.content });
+      session.addMessage({
+        role: 'agent',
+        agentId,
+        agentVersion: version,
+        contextVersion: run.contextVersion,
+        author: output.name,
+        ...structured,
+        runId: run.id,
+        phase: phase.type
+      });
+    }
+    return output;
+  }
+  
+  buildPrompt(run, phase, previousPhases) {
+    const earlier = previousPhases
+      .filter(p => p.status === 'completed')
+      .map(p => `## ${p.topic}\n` + p.outputs
+        .filter(o => o.content)
+        .map(o => `${o.name}: ${o.content.slice(0, 1500)}`)
+        .join('\n\n'))
+      .join('\n\n');
+    
+    return [
+      `We are running a "${run.name}" session for ${this.os.context.company.name}.`,
+      `Objective: ${run.brief}`,
+      earlier && `Findings from earlier phases:\n${earlier}`,
+      `Current phase (${phase.type}): ${phase.topic}.`,
+      'Give your perspective from your area of expertise. Be specific and concise.'
+    ].filter(Boolean).join('\n\n');
+  }
+  
+  emit(session, run) {
+    this.os.events.emit('template:progress', {
+      sessionId: session.id,
+      runId: run.id,
+      status: run.status,
+      currentPhase: run.currentPhase,
+      totalPhases: run.phases.length
+    });
+  }
+}
+
+// ==========================================
+// SESSION PERSISTENCE
+// ==========================================
+
+const SESSION_SCHEMA_VERSION = 1;
+
+// Tag Maps, Dates and non-finite numbers so they survive a JSON round trip
+function encodeValue(value) {
+  if (value instanceof Map) {
+    return { __type: 'Map', entries: Array.from(value, ([k, v]) => [k, encodeValue(v)]) };
+  }
+  if (value instanceof Date) return { __type: 'Date', value: value.toISOString() };
+  if (typeof value === 'number' && !Number.isFinite(value)) return { __type: 'Number', value: String(value) };
+  if (Array.isArray(value)) return value.map(encodeValue);
+  if (value && typeof value === 'object') {
+    const out = {};
+    for (const [key, item] of Object.entries(value)) {
+      if (item !== undefined) out[key] = encodeValue(item);
+    }
+    return out;
+  }
+  return value;
+}
+
+function decodeValue(value) {
+  if (Array.isArray(value)) return value.map(decodeValue);
+  if (value && typeof value === 'object') {
+    if (value.__type === 'Map') return new Map(value.entries.map(([k, v]) => [k, decodeValue(v)]));
+    if (value.__type === 'Date') return new Date(value.value);
+    if (value.__type === 'Number') return Number(value.value);
+    
+    const out = {};
+    for (const [key, item] of Object.entries(value)) out[key] = decodeValue(item);
+    return out;
+  }
+  return value;
+}
+
+class SessionStore {
+  constructor(directory) {
+    this.directory = directory;
+    this.revisions = new Map();
+    this.queues = new Map();
+  }
+  
+  filePath(id) {
+    return path.join(this.directory, `${id}.json`);
+  }
+  
+  // Writes are queued per session so revisions land in order, and each one
+  // goes to a temp file that is fsynced and renamed over the previous
+  // version. A crash mid-write leaves the last good revision in place.
+  save(session) {
+    const previous = this.queues.get(session.id) || Promise.resolve();
+    const next = previous.catch(() => {}).then(() => this.write(session));
+    this.queues.set(session.id, next);
+    return next;
+  }
+  
+  async write(session) {
+    const revision = (this.revisions.get(session.id) || 0) + 1;
+    const record = {
+      schemaVersion: SESSION_SCHEMA_VERSION,
+      revision,
+      savedAt: new Date().toISOString(),
+      session: session.toRecord()
+    };
+    
+    const target = this.filePath(session.id);
+    const temp = `${target}.${revision}.tmp`;
+    const handle = await fs.open(temp, 'w');
+    try {
+      await handle.writeFile(JSON.stringify(record));
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+    await fs.rename(temp, target);
+    
+    this.revisions.set(session.id, revision);
+    return revision;
+  }
+  
+  async loadAll() {
+    const sessions = [];
+    const files = await fs.readdir(this.directory);
+    
+    for (const file of files) {
+      // Leftovers from an interrupted write; the renamed file is authoritative
+      if (file.endsWith('.tmp')) {
+        await fs.unlink(path.join(this.directory, file)).catch(() => {});
+        continue;
+      }
+      if (!file.endsWith('.json')) continue;
+      
+      try {
+        const record = JSON.parse(await fs.readFile(path.join(this.directory, file), 'utf-8'));
+        if (record.schemaVersion > SESSION_SCHEMA_VERSION) {
+          console.warn(`Skipping session ${file}: written by a newer schema (v${record.schemaVersion})`);
+          continue;
+        }
+        
+        const session = StrategicSession.fromRecord(record.session);
+        this.revisions.set(session.id, record.revision);
+        sessions.push(session);
+      } catch (error) {
+        console.warn(`Skipping unreadable session ${file}: ${error.message}`);
+      }
+    }
+    
+    return sessions;
+  }
+}
+
+// ==========================================
+// AGENT REGISTRY
+// ==========================================
+
+// Advisor personas, persisted to one JSON file. Edits append a version
+// rather than overwriting, and deleting an agent retires it, so a session
+// pinned to an older version keeps getting the same advisor. The roster
+// is the board asked when a request doesn't name its agents.
+class AgentRegistry {
+  constructor(file) {
+    this.file = file;
+    this.agents = new Map(); // id -> { id, builtIn, retired, versions[] }
+    this.roster = [];
+    this.queue = Promise.resolve();
+  }
+  
+  async load(systemPrompts) {
+    try {
+      const data = JSON.parse(await fs.readFile(this.file, 'utf-8'));
+      for (const agent of data.agents) this.agents.set(agent.id, agent);
+      this.roster = data.roster.filter(id => this.has(id));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      this.seed(systemPrompts);
+      await this.save();
+    }
+  }
+  
+  // First start: the built-in personas. The ClearHive workspace passes
+  // the prompts from ai-integration.mjs as their system prompts.
+  seed(systemPrompts = {}) {
+    const createdAt = new Date().toISOString();
+    for (const [id, persona] of Object.entries(EXECUTIVE_AGENTS)) {
+      this.agents.set(id, {
+        id,
+        builtIn: true,
+        retired: false,
+        versions: [{ version: 1, ...persona, systemPrompt: systemPrompts[id] || '', createdAt }]
+      });
+    }
+    this.roster = ['ceo', 'cfo', 'strategist'];
+  }
+  
+  // Same temp-file-and-rename write as SessionStore, queued so edits land in order
+  save() {
+    const data = JSON.stringify({ roster: this.roster, agents: Array.from(this.agents.values()) }, null, 2);
+    this.queue = this.queue.catch(() => {}).then(async () => {
+      const temp = `${this.file}.tmp`;
+      await fs.writeFile(temp, data);
+      await fs.rename(temp, this.file);
+    });
+    return this.queue;
+  }
+  
+  // Active agent ids
+  ids() {
+    return Array.from(this.agents.values()).filter(a => !a.retired).map(a => a.id);
+  }
+  
+  has(id) {
+    const agent = this.agents.get(id);
+    return Boolean(agent && !agent.retired);
+  }
+  
+  // A specific version, or the latest. Retired agents still resolve so
+  // existing sessions can replay them.
+  get(id, version) {
+    const agent = this.agents.get(id);
+    if (!agent) return null;
+    const persona = version ? agent.versions.find(v => v.version === version) : agent.versions.at(-1);
+    return persona ? { id, ...persona } : null;
+  }
+  
+  describe(id) {
+    const agent = this.agents.get(id);
+    if (!agent) return null;
+    return {
+      ...this.get(id),
+      builtIn: agent.builtIn,
+      retired: agent.retired,
+      onRoster: this.roster.includes(id),
+      versions: agent.versions.length
+    };
+  }
+  
+  list({ includeRetired = false } = {}) {
+    return Array.from(this.agents.keys())
+      .map(id => this.describe(id))
+      .filter(agent => includeRetired || !agent.retired);
+  }
+  
+  async create(id, fields) {
+    if (this.agents.has(id)) throw new ApiError(409, `Agent '${id}' already exists`);
+    
+    this.agents.set(id, {
+      id,
+      builtIn: false,
+      retired: false,
+      versions: [{ version: 1, ...fields, createdAt: new Date().toISOString() }]
+    });
+    await this.save();
+    return this.describe(id);
+  }
+  
+  async update(id, changes) {
+    const agent = this.agents.get(id);
+    if (!agent || agent.retired) throw new ApiError(404, 'Agent not found');
+    
+    const { version, createdAt, ...current } = agent.versions.at(-1);
+    agent.versions.push({ ...current, ...changes, version: version + 1, createdAt: new Date().toISOString() });
+    await this.save();
+    return this.describe(id);
+  }
+  
+  async retire(id) {
+    const agent = this.agents.get(id);
+    if (!agent || agent.retired) throw new ApiError(404, 'Agent not found');
+    if (this.roster.length === 1 && this.roster[0] === id) {
+      throw new ApiError(409, 'Cannot retire the only agent on the roster');
+    }
+    
+    agent.retired = true;
+    this.roster = this.roster.filter(r => r !== id);
+    await this.save();
+    return this.describe(id);
+  }
+  
+  async setRoster(ids) {
+    this.roster = [...new Set(ids)];
+    await this.save();
+    return this.roster;
+  }
+}
+
+// ==========================================
+// COMPANY CONTEXT
+// ==========================================
+
+const STRING_LIST = { type: 'array', items: { type: 'string' } };
+
+// The shape of a workspace's company context (CLEARHIVE_CONTEXT is the
+// reference). Only company.name is required; sections that are present
+// are checked, especially the numbers the metrics routes and advisor
+// tools calculate with.
+const COMPANY_CONTEXT_SCHEMA = {
+  type: 'object',
+  required: ['company'],
+  properties: {
+    company: {
+      type: 'object',
+      required: ['name'],
+      properties: {
+        name: { type: 'string' },
+        tagline: { type: 'string' },
+        industry: { type: 'string' },
+        stage: { type: 'string' },
+        founded: { type: 'string' },
+        mission: { type: 'string' },
+        vision: { type: 'string' }
+      }
+    },
+    leadership: {
+      type: 'object',
+      additionalProperties: {
+        type: 'object',
+        required: ['name', 'role'],
+        properties: { name: { type: 'string' }, role: { type: 'string' }, ownership: { type: 'string' }, focus: STRING_LIST, kpis: STRING_LIST }
+      }
+    },
+    businessModel: {
+      type: 'object',
+      properties: {
+        revenue: {
+          type: 'object',
+          additionalProperties: { type: 'object', properties: { description: { type: 'string' }, pricing: { type: 'string' } } }
+        },
+        costs: {
+          type: 'object',
+          additionalProperties: {
+            type: 'object',
+            required: ['monthly'],
+            properties: { monthly: { type: 'number', minimum: 0 }, includes: STRING_LIST }
+          }
+        }
+      }
+    },
+    market: {
+      type: 'object',
+      properties: {
+        tam: { type: 'object', properties: { value: { type: 'number', minimum: 0 }, description: { type: 'string' } } },
+        sam: { type: 'object', properties: { value: { type: 'number', minimum: 0 }, description: { type: 'string' } } },
+        som: { type: 'object', properties: { value: { type: 'number', minimum: 0 }, description: { type: 'string' } } },
+        competitors: {
+          type: 'array',
+          items: { type: 'object', required: ['name'], properties: { name: { type: 'string' }, strengths: STRING_LIST, weaknesses: STRING_LIST } }
+        },
+        differentiators: STRING_LIST
+      }
+    },
+    metrics: {
+      type: 'object',
+      properties: {
+        current: { type: 'object', additionalProperties: { type: 'number' } },
+        // quarter -> metric -> target
+        targets: { type: 'object', additionalProperties: { type: 'object', additionalProperties: { type: 'number' } } }
+      }
+    },
+    risks: { type: 'object', additionalProperties: STRING_LIST },
+    milestones: {
+      type: 'object',
+      additionalProperties: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['milestone'],
+          properties: { date: { type: 'string', format: 'date' }, milestone: { type: 'string' }, status: { type: 'string' } }
+        }
+      }
+    },
+    strategies: { type: 'object', additionalProperties: STRING_LIST }
+  }
+};
+
+// Field-level changes between two JSON values. Objects are compared key
+// by key; arrays and scalars are replaced whole.
+function diffValues(before, after, path = '') {
+  const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+  if (isObject(before) && isObject(after)) {
+    const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+    return keys.flatMap(key => diffValues(before[key], after[key], path ? `${path}.${key}` : key));
+  }
+  if (JSON.stringify(before) === JSON.stringify(after)) return [];
+  if (before === undefined) return [{ path, op: 'added', to: after }];
+  if (after === undefined) return [{ path, op: 'removed', from: before }];
+  return [{ path, op: 'changed', from: before, to: after }];
+}
+
+// A workspace's company context, versioned in one JSON file like the agent
+// registry. Every version keeps the full context and its diff from the
+// one before, so any version can be read or compared without replaying.
+class ContextStore {
+  constructor(file) {
+    this.file = file;
+    this.versions = []; // { version, context, diff, createdAt, createdBy }
+    this.queue = Promise.resolve();
+  }
+  
+  async load() {
+    const data = JSON.parse(await fs.readFile(this.file, 'utf-8'));
+    if (Array.isArray(data.versions)) {
+      this.versions = data.versions;
+    } else {
+      // A plain context from before versioning becomes version 1
+      await this.update(data);
+    }
+  }
+  
+  get current() {
+    return this.versions[this.versions.length - 1];
+  }
+  
+  get(version) {
+    return this.versions.find(v => v.version === version);
+  }
+  
+  // Store a new version; null when nothing changed
+  async update(context) {
+    const previous = this.current;
+    const diff = previous ? diffValues(previous.context, context) : [];
+    if (previous && !diff.length) return null;
+    
+    const record = {
+      version: (previous?.version || 0) + 1,
+      context,
+      diff,
+      createdAt: new Date().toISOString(),
+      createdBy: requestContext.getStore()?.user?.username || 'system'
+    };
+    this.versions.push(record);
+    await this.save();
+    return record;
+  }
+  
+  // Same temp-file-and-rename write as AgentRegistry
+  save() {
+    const data = JSON.stringify({ versions: this.versions }, null, 2);
+    this.queue = this.queue.catch(() => {}).then(async () => {
+      const temp = `${this.file}.tmp`;
+      await fs.writeFile(temp, data);
+      await fs.rename(temp, this.file);
+    });
+    return this.queue;
+  }
+}
+
+// ==========================================
+// KPI LEDGER
+// ==========================================
+
+// Metrics the ledger records. Targets in context.metrics.targets use the
+// same names; ARR is MRR x 12 until ARR actuals are recorded.
+const KPI_METRICS = {
+  mrr: { label: 'MRR', unit: 'usd' },
+  arr: { label: 'ARR', unit: 'usd' },
+  customers: { label: 'Customers', unit: 'count' },
+  pilots: { label: 'Pilots', unit: 'count' },
+  conversions: { label: 'Pilot conversions', unit: 'count' },
+  cash: { label: 'Cash', unit: 'usd' }
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Trend lines are fitted to the most recent actuals only
+const TREND_POINTS = 6;
+
+const isoDate = date => date.toISOString().slice(0, 10);
+
+// 'q3_2025' -> the quarter's first and last day
+function quarterRange(key) {
+  const match = /^q([1-4])_(\d{4})$/.exec(key);
+  if (!match) return null;
+  const [quarter, year] = [Number(match[1]), Number(match[2])];
+  return {
+    start: isoDate(new Date(Date.UTC(year, (quarter - 1) * 3, 1))),
+    end: isoDate(new Date(Date.UTC(year, quarter * 3, 0)))
+  };
+}
+
+// Least-squares line through { date, value } points; the slope is per day
+function fitTrend(points) {
+  if (points.length < 2) return null;
+  const xs = points.map(point => Date.parse(point.date) / DAY_MS);
+  const meanX = xs.reduce((sum, x) => sum + x, 0) / xs.length;
+  const meanY = points.reduce((sum, point) => sum + point.value, 0) / points.length;
+  const spread = xs.reduce((sum, x) => sum + (x - meanX) ** 2, 0);
+  if (!spread) return null;
+  const slope = xs.reduce((sum, x, i) => sum + (x - meanX) * (points[i].value - meanY), 0) / spread;
+  return { perDay: slope, perMonth: Math.round(slope * 30 * 100) / 100, from: points[0].date, to: points[points.length - 1].date };
+}
+
+// Dated actuals for a workspace's KPIs, one entry per metric per report,
+// in one JSON file like the context versions
+class KpiLedger {
+  constructor(file) {
+    this.file = file;
+    this.entries = []; // { id, metric, value, date, note, recordedAt, recordedBy }
+    this.queue = Promise.resolve();
+  }
+  
+  async load() {
+    try {
+      this.entries = JSON.parse(await fs.readFile(this.file, 'utf-8')).entries;
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+  
+  // Record several metrics as of one date
+  async record({ date, values, note = '' }) {
+    const recordedAt = new Date().toISOString();
+    const recordedBy = requestContext.getStore()?.user?.username || 'system';
+    const entries = Object.entries(values).map(([metric, value]) => ({
+      id: crypto.randomUUID(), metric, value, date, note, recordedAt, recordedBy
+    }));
+    this.entries.push(...entries);
+    await this.save();
+    return entries;
+  }
+  
+  async remove(id) {
+    const entry = this.entries.find(e => e.id === id);
+    if (!entry) return null;
+    this.entries = this.entries.filter(e => e !== entry);
+    await this.save();
+    return entry;
+  }
+  
+  // Date-ordered { date, value } for one metric. A later report for the
+  // same date replaces the earlier one.
+  series(metric) {
+    const byDate = new Map();
+    const ordered = this.entries
+      .filter(entry => entry.metric === metric)
+      .sort((a, b) => a.date.localeCompare(b.date) || a.recordedAt.localeCompare(b.recordedAt));
+    for (const entry of ordered) byDate.set(entry.date, entry.value);
+    return Array.from(byDate, ([date, value]) => ({ date, value }));
+  }
+  
+  // Actuals, trends and attainment of every quarterly target in context.
+  // Metrics without actuals fall back to context.metrics.current.
+  report(context, today = isoDate(new Date())) {
+    const fallback = context.metrics?.current || {};
+    const kpis = Object.entries(KPI_METRICS).map(([metric, { label, unit }]) => {
+      let series = this.series(metric);
+      let source = 'ledger';
+      if (!series.length && metric === 'arr') {
+        series = this.series('mrr').map(({ date, value }) => ({ date, value: value * 12 }));
+        source = 'derived';
+      }
+      const latest = series[series.length - 1] || null;
+      if (!latest) source = 'context';
+      return {
+        metric, label, unit, source,
+        current: latest ? latest.value : fallback[metric] ?? null,
+        asOf: latest?.date || null,
+        trend: fitTrend(series.slice(-TREND_POINTS)),
+        series
+      };
+    });
+    const byMetric = Object.fromEntries(kpis.map(kpi => [kpi.metric, kpi]));
+    
+    const targets = [];
+    for (const [quarter, goals] of Object.entries(context.metrics?.targets || {})) {
+      const range = quarterRange(quarter);
+      for (const [metric, target] of Object.entries(goals)) {
+        targets.push({ quarter, ...range, metric, target, ...this.attainment(byMetric[metric], target, range, today) });
+      }
+    }
+    
+    const current = Object.fromEntries(kpis.map(kpi => [kpi.metric, kpi.current]));
+    const burnRate = Object.values(context.businessModel?.costs || {}).reduce((sum, cost) => sum + (cost.monthly || 0), 0);
+    const netBurn = burnRate - (current.mrr || 0);
+    // Runway runs from the last cash report at the net burn; without a
+    // report, the context's months. Revenue covering costs means no end date.
+    const cash = byMetric.cash;
+    let runwayMonths = fallback.runway ?? null;
+    let daysUntilRunway = runwayMonths === null ? null : runwayMonths * 30;
+    if (cash.source === 'ledger' && netBurn > 0) {
+      const runsOut = Date.parse(cash.asOf) + cash.current / netBurn * 30 * DAY_MS;
+      daysUntilRunway = Math.max(0, Math.floor((runsOut - Date.parse(today)) / DAY_MS));
+      runwayMonths = Math.round(daysUntilRunway / 30 * 10) / 10;
+    } else if (cash.source === 'ledger') {
+      runwayMonths = null;
+      daysUntilRunway = null;
+    }
+    const currentQuarter = Object.keys(context.metrics?.targets || {})
+      .find(quarter => quarterRange(quarter)?.end >= today) || null;
+    
+    return { asOf: today, currentQuarter, current, burnRate, netBurn, runwayMonths, daysUntilRunway, kpis, targets };
+  }
+  
+  // Variance to one quarterly target, and when it was or will be reached
+  attainment(kpi, target, range, today) {
+    const series = kpi?.series || [];
+    if (!series.length) return { actual: kpi?.current ?? null, variance: null, variancePct: null, attainedOn: null, projectedDate: null, status: 'no_data' };
+    
+    // The value at quarter end; for quarters still open, the latest
+    const reported = range ? series.filter(point => point.date <= range.end) : series;
+    const actual = reported.length ? reported[reported.length - 1].value : null;
+    const variance = actual === null ? null : actual - target;
+    const variancePct = variance !== null && target ? Math.round(variance / target * 1000) / 10 : null;
+    const attainedOn = series.find(point => point.value >= target)?.date || null;
+    
+    let projectedDate = null;
+    const latest = series[series.length - 1];
+    if (!attainedOn && kpi.trend?.perDay > 0) {
+      const days = Math.ceil((target - latest.value) / kpi.trend.perDay);
+      projectedDate = isoDate(new Date(Date.parse(latest.date) + days * DAY_MS));
+    }
+    
+    let status;
+    if (!range) status = attainedOn ? 'met' : 'open';
+    else if (attainedOn && attainedOn <= range.end) status = 'met';
+    else if (range.end < today) status = 'missed';
+    else if (projectedDate && projectedDate <= range.end) status = 'on_track';
+    else status = 'behind';
+    
+    return { actual, variance, variancePct, attainedOn, projectedDate, status };
+  }
+  
+  // Same temp-file-and-rename write as ContextStore
+  save() {
+    const data = JSON.stringify({ entries: this.entries }, null, 2);
+    this.queue = this.queue.catch(() => {}).then(async () => {
+      const temp = `${this.file}.tmp`;
+      await fs.writeFile(temp, data);
+      await fs.rename(temp, this.file);
+    });
+    return this.queue;
+  }
+}
+
+// ==========================================
+// MILESTONES
+// ==========================================
+
+const MILESTONE_STATUSES = ['pending', 'in-progress', 'complete', 'cancelled'];
+
+// Dates are kept as YYYY-MM-DD so they compare as strings
+const toDay = value => (value ? isoDate(new Date(value)) : null);
+
+// A workspace's milestones. Each links to the session actions that
+// deliver it ({ sessionId, actionId }); progress, forecast and slips are
+// worked out from those actions on every read rather than stored.
+class MilestoneTracker {
+  constructor(file) {
+    this.file = file;
+    this.milestones = [];
+    this.queue = Promise.resolve();
+  }
+  
+  // The first load seeds from every dated list in context.milestones
+  async load(context) {
+    try {
+      this.milestones = JSON.parse(await fs.readFile(this.file, 'utf-8')).milestones;
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      for (const items of Object.values(context.milestones || {})) {
+        for (const item of items) {
+          this.create({ title: item.milestone, dueDate: item.date, status: item.status === 'complete' ? 'complete' : 'pending' });
+        }
+      }
+      await this.save();
+    }
+  }
+  
+  get(id) {
+    return this.milestones.find(m => m.id === id);
+  }
+  
+  create(fields) {
+    const now = new Date().toISOString();
+    const milestone = {
+      id: crypto.randomUUID(),
+      description: '',
+      owner: '',
+      startDate: null,
+      status: 'pending',
+      actions: [],
+      ...fields,
+      dueDate: toDay(fields.dueDate),
+      createdAt: now,
+      updatedAt: now,
+      completedAt: null
+    };
+    if (fields.startDate) milestone.startDate = toDay(fields.startDate);
+    if (milestone.status === 'complete') milestone.completedAt = milestone.dueDate || now;
+    this.milestones.push(milestone);
+    return milestone;
+  }
+  
+  update(id, changes) {
+    const milestone = this.get(id);
+    if (!milestone) return null;
+    
+    const dates = Object.fromEntries(['startDate', 'dueDate']
+      .filter(field => changes[field] !== undefined)
+      .map(field => [field, toDay(changes[field])]));
+    if (changes.status && changes.status !== milestone.status) {
+      milestone.completedAt = changes.status === 'complete' ? new Date().toISOString() : null;
+    }
+    Object.assign(milestone, changes, dates, { updatedAt: new Date().toISOString() });
+    return milestone;
+  }
+  
+  remove(id) {
+    const milestone = this.get(id);
+    if (milestone) this.milestones = this.milestones.filter(m => m !== milestone);
+    return milestone || null;
+  }
+  
+  // Progress, forecast finish and slip reasons from the linked actions. A
+  // link whose action was deleted stays and is reported as 'missing'.
+  assess(milestone, sessions, today = isoDate(new Date())) {
+    const graphs = new Map(); // sessionId -> { finish, blocked }
+    const issues = [];
+    let forecastDate = null;
+    let done = 0;
+    
+    const actions = milestone.actions.map(({ sessionId, actionId }) => {
+      const session = sessions.get(sessionId);
+      const action = session?.getAction(actionId);
+      if (!action) {
+        issues.push({ sessionId, actionId, reason: 'missing' });
+        return { sessionId, actionId, missing: true };
+      }
+      
+      const link = {
+        sessionId,
+        actionId,
+        title: action.title,
+        owner: action.owner || '',
+        status: action.status,
+        start: toDay(action.createdAt),
+        dueDate: toDay(action.dueDate)
+      };
+      if (action.status === 'done') {
+        done++;
+        return link;
+      }
+      
+      if (!graphs.has(sessionId)) {
+        const graph = new ActionGraph(session.actions);
+        graphs.set(sessionId, { finish: graph.finishTimes().finish, blocked: new Set(graph.blocked().map(b => b.id)) });
+      }
+      const { finish, blocked } = graphs.get(sessionId);
+      
+      // Finishes after its remaining dependency chain, and no earlier than planned
+      const chainEnd = isoDate(new Date(Date.parse(today) + finish.get(actionId) * DAY_MS));
+      link.expectedDate = link.dueDate && link.dueDate > chainEnd ? link.dueDate : chainEnd;
+      if (!forecastDate || link.expectedDate > forecastDate) forecastDate = link.expectedDate;
+      
+      if (link.dueDate && link.dueDate < today) issues.push({ sessionId, actionId, title: action.title, reason: 'overdue' });
+      else if (link.dueDate && milestone.dueDate && link.dueDate > milestone.dueDate) {
+        issues.push({ sessionId, actionId, title: action.title, reason: 'due_after_milestone' });
+      }
+      if (blocked.has(actionId)) issues.push({ sessionId, actionId, title: action.title, reason: 'blocked' });
+      return link;
+    });
+    
+    const slipDays = forecastDate && milestone.dueDate && forecastDate > milestone.dueDate
+      ? Math.round((Date.parse(forecastDate) - Date.parse(milestone.dueDate)) / DAY_MS)
+      : 0;
+    
+    let health;
+    if (milestone.status === 'complete' || milestone.status === 'cancelled') health = milestone.status;
+    else if (milestone.dueDate && milestone.dueDate < today) health = 'overdue';
+    else if (slipDays > 0) health = 'slipping';
+    else if (issues.length) health = 'at_risk';
+    else health = 'on_track';
+    
+    return {
+      ...milestone,
+      actions,
+      progress: { done, total: actions.filter(a => !a.missing).length },
+      forecastDate,
+      slipDays,
+      health,
+      issues
+    };
+  }
+  
+  // Gantt rows in due-date order: each milestone spans from its start
+  // (or its earliest linked action) to its due date, with the forecast
+  // end and the linked actions as child bars
+  timeline(sessions, today = isoDate(new Date())) {
+    const rows = this.milestones
+      .filter(m => m.dueDate && m.status !== 'cancelled')
+      .sort((a, b) => a.dueDate.localeCompare(b.dueDate))
+      .map(m => {
+        const assessed = this.assess(m, sessions, today);
+        const bars = assessed.actions.filter(a => !a.missing);
+        const start = m.startDate || bars.map(a => a.start).concat(m.dueDate).sort()[0];
+        return {
+          id: m.id,
+          title: m.title,
+          owner: m.owner,
+          status: m.status,
+          health: assessed.health,
+          start,
+          end: m.dueDate,
+          forecastEnd: assessed.forecastDate,
+          slipDays: assessed.slipDays,
+          progress: assessed.progress,
+          actions: bars.map(a => ({ ...a, end: a.dueDate || a.expectedDate || null }))
+        };
+      });
+    
+    const dates = rows.flatMap(row => [row.start, row.end, row.forecastEnd]).filter(Boolean).sort();
+    return {
+      asOf: today,
+      range: dates.length ? { start: dates[0], end: dates[dates.length - 1] } : null,
+      rows
+    };
+  }
+  
+  // Same temp-file-and-rename write as the KPI ledger
+  save() {
+    const data = JSON.stringify({ milestones: this.milestones }, null, 2);
+    this.queue = this.queue.catch(() => {}).then(async () => {
+      const temp = `${this.file}.tmp`;
+      await fs.writeFile(temp, data);
+      await fs.rename(temp, this.file);
+    });
+    return this.queue;
+  }
+}
+
+// ==========================================
+// CREDENTIAL VAULT
+// ==========================================
+
+// The providers advisors can call and testApiKey can check
+const VAULT_PROVIDERS = ['openai', 'anthropic', 'gemini'];
+
+// Provider API keys saved from the UI, encrypted at rest with AES-256-GCM
+// under a key derived from ENCRYPTION_KEY (see loadSecrets). The provider name
+// is bound in as associated data so an entry can't be swapped into another
+// slot. Keys are only ever decrypted to make provider calls; the API
+// reports status and a four-character hint, never the key itself.
+class CredentialVault {
+  constructor(file, secret, previousSecrets = []) {
+    this.file = file;
+    this.key = CredentialVault.deriveKey(secret);
+    this.previousKeys = previousSecrets.map(CredentialVault.deriveKey);
+    this.entries = {}; // provider -> { keyId, iv, tag, data, hint, updatedAt, replacedAt }
+    this.queue = Promise.resolve();
+  }
+  
+  // ENCRYPTION_KEY, or without it a key generated on first start and kept
+  // next to the vault. Once ENCRYPTION_KEY is set, the generated key is
+  // treated as a previous key so existing entries move over on load.
+  static async loadSecrets(dir, { encryptionKey, previousEncryptionKeys } = CONFIG.security) {
+    const file = path.join(dir, 'encryption.key');
+    let generated = null;
+    try {
+      generated = (await fs.readFile(file, 'utf-8')).trim();
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    
+    if (encryptionKey) {
+      return { secret: encryptionKey, previousSecrets: [...previousEncryptionKeys, ...(generated ? [generated] : [])] };
+    }
+    if (!generated) {
+      generated = crypto.randomBytes(32).toString('hex');
+      await fs.writeFile(file, generated + '\n', { mode: 0o600, flag: 'wx' });
+      console.warn(`⚠ ENCRYPTION_KEY is not set; generated one in ${file}. Back it up with the vault, or set ENCRYPTION_KEY`);
+    }
+    return { secret: generated, previousSecrets: previousEncryptionKeys };
+  }
+  
+  static deriveKey(secret) {
+    const key = Buffer.from(crypto.hkdfSync('sha256', secret, '', 'decision-os credential vault', 32));
+    return { key, id: crypto.createHash('sha256').update(key).digest('hex').slice(0, 12) };
+  }
+  
+  async load() {
+    try {
+      this.entries = JSON.parse(await fs.readFile(this.file, 'utf-8')).entries;
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    
+    // Pick up a key change: anything still under a previous key is moved over
+    const { rotated } = await this.rotate({ onlyStale: true });
+    if (rotated) console.log(`✓ Re-encrypted ${rotated} stored API key(s) under the current encryption key`);
+  }
+  
+  save() {
+    const data = JSON.stringify({ entries: this.entries }, null, 2);
+    this.queue = this.queue.catch(() => {}).then(async () => {
+      const temp = `${this.file}.tmp`;
+      await fs.writeFile(temp, data, { mode: 0o600 });
+      await fs.rename(temp, this.file);
+    });
+    return this.queue;
+  }
+  
+  encrypt(provider, apiKey) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.key.key, iv);
+    cipher.setAAD(Buffer.from(provider));
+    const data = Buffer.concat([cipher.update(apiKey, 'utf8'), cipher.final()]);
+    return {
+      keyId: this.key.id,
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64')
+    };
+  }
+  
+  // Null when the entry was written under a key we no longer have
+  decrypt(provider, entry) {
+    const key = [this.key, ...this.previousKeys].find(k => k.id === entry.keyId);
+    if (!key) return null;
+    
+    try {
+      const decipher = crypto.createDecipheriv('aes-256-gcm', key.key, Buffer.from(entry.iv, 'base64'));
+      decipher.setAAD(Buffer.from(provider));
+      decipher.setAuthTag(Buffer.from(entry.tag, 'base64'));
+      return Buffer.concat([decipher.update(Buffer.from(entry.data, 'base64')), decipher.final()]).toString('utf8');
+    } catch (error) {
+      return null;
+    }
+  }
+  
+  get(provider) {
+    const entry = this.entries[provider];
+    return entry ? this.decrypt(provider, entry) : null;
+  }
+  
+  async set(provider, apiKey) {
+    const previous = this.entries[provider];
+    this.entries[provider] = {
+      ...this.encrypt(provider, apiKey),
+      hint: apiKey.slice(-4),
+      updatedAt: new Date().toISOString(),
+      // A new key for the provider, not a re-encryption (see rotate())
+      replacedAt: previous ? new Date().toISOString() : null
+    };
+    await this.save();
+    return this.describe(provider);
+  }
+  
+  async remove(provider) {
+    if (!this.entries[provider]) return false;
+    delete this.entries[provider];
+    await this.save();
+    return true;
+  }
+  
+  // Re-encrypt every entry with a fresh IV under the current key. Entries
+  // no key can open are left alone and counted as unreadable.
+  async rotate({ onlyStale = false } = {}) {
+    let rotated = 0;
+    let unreadable = 0;
+    
+    for (const [provider, entry] of Object.entries(this.entries)) {
+      if (onlyStale && entry.keyId === this.key.id) continue;
+      const apiKey = this.decrypt(provider, entry);
+      if (apiKey === null) {
+        unreadable++;
+        continue;
+      }
+      Object.assign(entry, this.encrypt(provider, apiKey));
+      rotated++;
+    }
+    if (rotated) await this.save();
+    return { rotated, unreadable, keyId: this.key.id };
+  }
+  
+  // Vault keys take precedence over the environment
+  apiKeys() {
+    return Object.fromEntries(VAULT_PROVIDERS.map(provider => [provider, this.get(provider) || CONFIG.providers[provider]]));
+  }
+  
+  describe(provider) {
+    const entry = this.entries[provider];
+    if (entry) {
+      const readable = this.decrypt(provider, entry) !== null;
+      return { provider, configured: readable, source: 'vault', readable, hint: `…${entry.hint}`, updatedAt: entry.updatedAt, replacedAt: entry.replacedAt };
+    }
+    return { provider, configured: Boolean(CONFIG.providers[provider]), source: CONFIG.providers[provider] ? 'environment' : null };
+  }
+}
+
+// ==========================================
+// AUTHENTICATION & ACCESS CONTROL
+// ==========================================
+
+// The signed-in user for the request being handled, so deep code (the
+// audit log) can attribute changes without threading it through
+const requestContext = new AsyncLocalStorage();
+
+// 'write' covers sessions, discussions, decisions, risks and actions;
+// 'admin' covers users, workspaces, the advisor registry, company context
+// and the audit trail; 'secrets' is the credential vault.
+const ROLE_PERMISSIONS = {
+  founder: ['read', 'write', 'export', 'admin', 'secrets'],
+  advisor: ['read', 'write', 'export'],
+  'board-observer': ['read', 'export'],
+  'read-only': ['read']
+};
+
+// Used for every request when REQUIRE_AUTH is off, and for ADMIN_TOKEN
+const LOCAL_FOUNDER = { id: 'local', username: 'local', role: 'founder' };
+const ADMIN_PRINCIPAL = { id: 'admin', username: 'admin', role: 'founder' };
+const SESSION_COOKIE = 'dos_session';
+
+const scrypt = promisify(crypto.scrypt);
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, 64);
+  return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored).split('$');
+  if (scheme !== 'scrypt') return false;
+  const expected = Buffer.from(hash, 'base64');
+  const actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// Tokens are random and only their SHA-256 is stored
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function permissionFor(method, resource) {
+  if (resource === 'credentials') return 'secrets';
+  if (resource === 'audit') return 'admin';
+  if (resource === 'export') return 'export';
+  
+  const reading = method === 'GET' || method === 'HEAD';
+  if (['agents', 'company', 'clearhive', 'workspaces'].includes(resource)) return reading ? 'read' : 'admin';
+  return reading ? 'read' : 'write';
+}
+
+function can(user, permission) {
+  return Boolean(ROLE_PERMISSIONS[user?.role]?.includes(permission));
+}
+
+// Users can be limited to some workspaces; with no list they see them all
+function canAccessWorkspace(user, workspaceId) {
+  return !user?.workspaces?.length || user.workspaces.includes(workspaceId);
+}
+
+// Accounts, API tokens, the credential vault, the platform audit trail and
+// creating workspaces reach across every workspace, so a founder limited
+// to some workspaces can't use them (they could otherwise lift their own
+// limit or replace another company's keys). ADMIN_TOKEN has no limit.
+function requirePlatformAdmin(user, action) {
+  if (!can(user, 'admin') || user.workspaces?.length) {
+    throw new ApiError(403, `Only founders with access to every workspace can ${action}`);
+  }
+}
+
+// Failed sign-ins are counted per address and username for a window;
+// at most `tracked` are remembered so a flood of made-up names can't grow
+// the map without bound
+const LOGIN_LOCKOUT = { attempts: 5, window: 15 * 60000, tracked: 10000 };
+
+// Users with scrypt-hashed passwords, plus bearer tokens: login tokens
+// (sent back as a cookie) and long-lived API tokens issued by a founder.
+class UserStore {
+  constructor(file) {
+    this.file = file;
+    this.users = new Map(); // id -> { id, username, role, workspaces, passwordHash, disabled, createdAt }
+    this.tokens = new Map(); // hash -> { id, userId, kind, label, createdAt, expiresAt, lastUsedAt }
+    this.failures = new Map(); // `${ip}:${username}` -> { count, since }
+    this.queue = Promise.resolve();
+  }
+  
+  async load() {
+    try {
+      const data = JSON.parse(await fs.readFile(this.file, 'utf-8'));
+      for (const user of data.users) this.users.set(user.id, user);
+      for (const token of data.tokens) this.tokens.set(token.hash, token);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+  
+  save() {
+    const now = Date.now();
+    for (const [hash, token] of this.tokens) {
+      if (token.expiresAt && Date.parse(token.expiresAt) < now) this.tokens.delete(hash);
+    }
+    const data = JSON.stringify({ users: Array.from(this.users.values()), tokens: Array.from(this.tokens.values()) }, null, 2);
+    this.queue = this.queue.catch(() => {}).then(async () => {
+      const temp = `${this.file}.tmp`;
+      await fs.writeFile(temp, data, { mode: 0o600 });
+      await fs.rename(temp, this.file);
+    });
+    return this.queue;
+  }
+  
+  describe(user) {
+    const { passwordHash, ...fields } = user;
+    return fields;
+  }
+  
+  describeToken(token) {
+    const { hash, ...fields } = token;
+    return fields;
+  }
+  
+  findByUsername(username) {
+    return Array.from(this.users.values()).find(u => u.username.toLowerCase() === String(username).toLowerCase());
+  }
+  
+  async create({ username, password, role, workspaces = [] }) {
+    if (this.findByUsername(username)) throw new ApiError(409, `User '${username}' already exists`);
+    
+    const user = {
+      id: crypto.randomUUID(),
+      username,
+      role,
+      workspaces,
+      passwordHash: await hashPassword(password),
+      disabled: false,
+      createdAt: new Date().toISOString()
+    };
+    this.users.set(user.id, user);
+    await this.save();
+    return this.describe(user);
+  }
+  
+  async update(id, { password, role, disabled, workspaces }) {
+    const user = this.users.get(id);
+    if (!user) throw new ApiError(404, 'User not found');
+    
+    if (password) user.passwordHash = await hashPassword(password);
+    if (role) user.role = role;
+    if (workspaces) user.workspaces = workspaces;
+    if (disabled !== undefined) user.disabled = disabled;
+    // A password change or suspension ends existing logins
+    if (password || disabled) this.revokeAll(id, 'login');
+    await this.save();
+    return this.describe(user);
+  }
+  
+  async remove(id) {
+    if (!this.users.delete(id)) throw new ApiError(404, 'User not found');
+    this.revokeAll(id);
+    await this.save();
+  }
+  
+  // Five failed attempts per address and username lock login for 15 minutes
+  async login(username, password, ip) {
+    const key = `${ip}:${String(username).toLowerCase()}`;
+    const failure = this.failures.get(key);
+    const recent = failure && Date.now() - failure.since < LOGIN_LOCKOUT.window;
+    if (recent && failure.count >= LOGIN_LOCKOUT.attempts) {
+      throw new ApiError(429, 'Too many failed sign-in attempts; try again later');
+    }
+    
+    // Hash even for unknown users so timing doesn't reveal which exist
+    const user = this.findByUsername(username);
+    let valid = false;
+    if (user && !user.disabled) {
+      valid = await verifyPassword(password, user.passwordHash);
+    } else {
+      await scrypt(password, 'unknown-user', 64);
+    }
+    if (!valid) {
+      if (!recent) {
+        this.pruneFailures();
+        this.failures.delete(key);
+      }
+      this.failures.set(key, recent ? { ...failure, count: failure.count + 1 } : { count: 1, since: Date.now() });
+      throw new ApiError(401, 'Invalid username or password');
+    }
+    
+    this.failures.delete(key);
+    const token = await this.issue(user.id, { kind: 'login', ttl: CONFIG.security.loginTtl });
+    return { user: this.describe(user), ...token };
+  }
+  
+  // Entries are kept in the order their window started, so expired ones
+  // come first; past the cap the oldest live ones go too
+  pruneFailures() {
+    const cutoff = Date.now() - LOGIN_LOCKOUT.window;
+    for (const [key, failure] of this.failures) {
+      if (failure.since >= cutoff && this.failures.size < LOGIN_LOCKOUT.tracked) break;
+      this.failures.delete(key);
+    }
+  }
+  
+  async issue(userId, { kind = 'api', label = '', ttl = null } = {}) {
+    const token = crypto.randomBytes(32).toString('base64url');
+    const record = {
+      id: crypto.randomUUID(),
+      hash: hashToken(token),
+      userId,
+      kind,
+      label,
+      createdAt: new Date().toISOString(),
+      expiresAt: ttl ? new Date(Date.now() + ttl).toISOString() : null,
+      lastUsedAt: null
+    };
+    this.tokens.set(record.hash, record);
+    await this.save();
+    return { token, tokenInfo: this.describeToken(record) };
+  }
+  
+  // The user a bearer/cookie token belongs to, or null
+  resolve(token) {
+    const record = this.tokens.get(hashToken(token));
+    if (!record) return null;
+    if (record.expiresAt && Date.parse(record.expiresAt) < Date.now()) return null;
+    
+    const user = this.users.get(record.userId);
+    if (!user || user.disabled) return null;
+    record.lastUsedAt = new Date().toISOString();
+    return { ...this.describe(user), tokenId: record.id };
+  }
+  
+  async revoke(tokenId) {
+    const entry = Array.from(this.tokens.entries()).find(([, t]) => t.id === tokenId);
+    if (!entry) return false;
+    this.tokens.delete(entry[0]);
+    await this.save();
+    return true;
+  }
+  
+  revokeAll(userId, kind) {
+    for (const [hash, token] of this.tokens) {
+      if (token.userId === userId && (!kind || token.kind === kind)) this.tokens.delete(hash);
+    }
+  }
+}
+
+// ==========================================
+// ADVISOR TOOLS
+// ==========================================
+
+// Functions advisors can call mid-answer to read live session data instead
+// of relying on the static company context in their prompts
+function createAdvisorTools(os, session) {
+  return [
+    {
+      name: 'get_projection',
+      description: 'Financial projection for this session. With no arguments returns the saved projection, or a saved scenario by name. Pass revenue, costs and growth to model a what-if instead.',
+      parameters: {
+        type: 'object',
+        properties: {
+          scenario: { type: 'string', description: 'Saved scenario name, e.g. base, conservative, optimistic' },
+          revenue: { type: 'number', description: 'Starting monthly revenue in USD' },
+          costs: { type: 'number', description: 'Starting monthly costs in USD' },
+          growth: { type: 'number', description: 'Monthly revenue growth rate, e.g. 0.1 for 10%' },
+          periods: { type: 'integer', description: 'Months to project (default 12)' },
+          startingCash: { type: 'number', description: 'Cash on hand in USD' }
+        }
+      },
+      handler: ({ scenario, revenue, costs, growth, periods = 12, startingCash = 0 }) => {
+        if (revenue !== undefined || costs !== undefined || growth !== undefined) {
+          if (![revenue, costs, growth].every(Number.isFinite)) {
+            throw new Error('revenue, costs and growth are all required for a what-if projection');
+          }
+          return summarizeProjection(os.financial.createProjection({ revenue, costs, growth, periods, startingCash }));
+        }
+        if (scenario) {
+          if (!session.scenarios.has(scenario)) {
+            throw new Error(`No scenario named '${scenario}'. Saved scenarios: ${[...session.scenarios.keys()].join(', ') || 'none'}`);
+          }
+          return summarizeProjection(session.scenarios.get(scenario));
+        }
+        if (!session.projections) throw new Error('No projection has been saved in this session yet');
+        return summarizeProjection(session.projections);
+      }
+    },
+    {
+      name: 'list_risks',
+      description: 'Risks in this session\'s register with probability, impact, score and mitigation progress.',
+      parameters: {
+        type: 'object',
+        properties: {
+          status: { type: 'string', description: 'Only risks in this status, e.g. identified, mitigating, monitoring, closed' },
+          minScore: { type: 'number', description: 'Only risks scoring at least this (1-16)' }
+        }
+      },
+      handler: ({ status, minScore = 0 }) => session.risks
+        .filter(r => (!status || r.status === status) && r.score >= minScore)
+        .sort((a, b) => b.score - a.score)
+        .map(r => ({
+          id: r.id,
+          title: r.title,
+          category: r.category,
+          owner: r.owner,
+          status: r.status,
+          probability: r.probability,
+          impact: r.impact,
+          score: r.score,
+          mitigations: r.mitigations.map(m => ({ plan: m.plan, status: m.status }))
+        }))
+    },
+    // Only offered when the document pipeline could be loaded
+    ...(os.documentSearch ? [{
+      name: 'search_documents',
+      description: 'Search uploaded company documents and return the most relevant passages.',
+      parameters: {
+        type: 'object',
+        properties: {
+          query: { type: 'string', description: 'What to look for' },
+          limit: { type: 'integer', description: 'Passages to return (default 5)' }
+        },
+        required: ['query']
+      },
+      handler: async ({ query, limit = 5 }) => {
+        if (typeof query !== 'string' || !query.trim()) throw new Error('query is required');
+        const pipeline = await os.getDocumentPipeline();
+        const chunks = await pipeline.findRelevantChunks(query, Math.min(limit, 10));
+        return chunks.map(chunk => ({
+          document: pipeline.getDocument(chunk.documentId)?.name,
+          page: chunk.page,
+          relevance: Number(chunk.relevanceScore.toFixed(3)),
+          text: chunk.text.slice(0, 1200)
+        }));
+      }
+    }] : []),
+    {
+      name: 'get_company_metrics',
+      description: `${os.context.company.name}'s latest recorded metrics, progress against quarterly targets, runway and monthly cost base.`,
+      parameters: { type: 'object', properties: {} },
+      handler: () => {
+        const report = os.kpis.report(os.context);
+        return {
+          current: report.current,
+          runwayMonths: report.runwayMonths,
+          targets: report.targets.map(({ quarter, metric, target, actual, status, projectedDate }) => ({ quarter, metric, target, actual, status, projectedDate })),
+          monthlyCosts: Object.fromEntries(
+            Object.entries(os.context.businessModel?.costs || {}).map(([area, cost]) => [area, cost.monthly])
+          )
+        };
+      }
+    }
+  ];
+}
+
+// Keep tool results small: headline metrics plus quarter-end months
+function summarizeProjection(projection) {
+  const round = value => Math.round(value);
+  return {
+    params: projection.params,
+    metrics: {
+      ...projection.metrics,
+      runway: Number.isFinite(projection.metrics.runway) ? Number(projection.metrics.runway.toFixed(1)) : 'cash-positive'
+    },
+    quarters: projection.periods
+      .filter(p => p.period % 3 === 0)
+      .map(p => ({ month: p.period, revenue: round(p.revenue), costs: round(p.costs), cash: round(p.cumulativeCash) }))
+  };
+}
+
+// ==========================================
+// HELPER FUNCTIONS
+// ==========================================
+
+// Error carrying an HTTP status, surfaced to API clients as JSON
+class ApiError extends Error {
+  constructor(status, message, details) {
+    super(message);
+    this.status = status;
+    this.details = details;
+  }
+}
+
+// For values interpolated into the server-rendered UI
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+}
+
+// JSON.stringify replacer so Map-based fields (votes, breakdowns) serialize
+function jsonReplacer(key, value) {
+  if (value instanceof Map) return Object.fromEntries(value);
+  return value;
+}
+
+const DECISION_FIELDS = {
+  title: { type: 'string', required: true, maxLength: 200 },
+  description: { type: 'string', maxLength: 5000 },
+  category: { type: 'string', enum: ['strategic', 'financial', 'operational', 'personnel', 'technology', 'compliance'] },
+  impact: { type: 'string', maxLength: 5000 },
+  rationale: { type: 'string', maxLength: 5000 },
+  priority: { type: 'string', enum: ['critical', 'high', 'medium', 'low'] },
+  confidenceLevel: { type: 'string', enum: ['high', 'medium', 'low'] },
+  timeline: { type: 'date' },
+  owner: { type: 'string', maxLength: 200 },
+  // Per-decision overrides of CONFIG.voting
+  quorum: { type: 'number', min: 1, max: 50 },
+  approvalThreshold: { type: 'number', min: 0.5, max: 1 }
+};
+
+// The voter is always the signed-in user, never a field in the body
+const VOTE_FIELDS = {
+  vote: { type: 'string', required: true, enum: ['approve', 'reject', 'abstain'] },
+  rationale: { type: 'string', maxLength: 5000 },
+  confidence: { type: 'number', min: 0, max: 1 }
+};
+
+const RISK_FIELDS = {
+  title: { type: 'string', required: true, maxLength: 200 },
+  description: { type: 'string', maxLength: 5000 },
+  category: { type: 'string', enum: ['market', 'regulatory', 'operational', 'financial', 'technology', 'strategic'] },
+  probability: { type: 'string', enum: RISK_LEVELS },
+  impact: { type: 'string', enum: RISK_LEVELS },
+  owner: { type: 'string', maxLength: 200 },
+  reviewDate: { type: 'date' }
+};
+
+const MITIGATION_FIELDS = {
+  plan: { type: 'string', required: true, maxLength: 5000 },
+  owner: { type: 'string', maxLength: 200 },
+  dueDate: { type: 'date' },
+  status: { type: 'string', enum: ['planned', 'in-progress', 'complete'] }
+};
+
+const ACTION_STATUSES = ['pending', 'in-progress', 'blocked', 'done'];
+
+const ACTION_FIELDS = {
+  title: { type: 'string', required: true, maxLength: 200 },
+  description: { type: 'string', maxLength: 5000 },
+  owner: { type: 'string', maxLength: 200 },
+  dueDate: { type: 'date' },
+  priority: { type: 'string', enum: ['critical', 'high', 'medium', 'low'] },
+  estimate: { type: 'number', min: 0, max: 365 }, // days
+  dependencies: { type: 'array' },
+  decisionId: { type: 'string' }
+};
+
+const MILESTONE_FIELDS = {
+  title: { type: 'string', required: true, maxLength: 200 },
+  description: { type: 'string', maxLength: 5000 },
+  owner: { type: 'string', maxLength: 200 },
+  startDate: { type: 'date' },
+  dueDate: { type: 'date', required: true },
+  status: { type: 'string', enum: MILESTONE_STATUSES },
+  actions: { type: 'array' } // [{ sessionId, actionId }]
+};
+
+const USER_FIELDS = {
+  username: { type: 'string', required: true, maxLength: 100 },
+  password: { type: 'string', required: true, minLength: 10, maxLength: 200 },
+  role: { type: 'string', required: true, enum: Object.keys(ROLE_PERMISSIONS) },
+  workspaces: { type: 'array' } // workspace ids; empty for all
+};
+
+const WORKSPACE_FIELDS = {
+  id: { type: 'string', required: true, maxLength: 40 },
+  name: { type: 'string', required: true, maxLength: 100 },
+  title: { type: 'string', maxLength: 100 },
+  welcome: { type: 'string', maxLength: 1000 },
+  context: { type: 'object', required: true },
+  templates: { type: 'object' }
+};
+
+const PERSONA_FIELDS = {
+  name: { type: 'string', required: true, maxLength: 100 },
+  role: { type: 'string', required: true, maxLength: 500 },
+  personality: { type: 'string', maxLength: 500 },
+  expertise: { type: 'array' },
+  constraints: { type: 'array' },
+  model: { type: 'string', maxLength: 100 },
+  temperature: { type: 'number', min: 0, max: 2 },
+  systemPrompt: { type: 'string', maxLength: 10000 }
+};
+
+const PROJECTION_FIELDS = {
+  revenue: { type: 'number', required: true, min: 0 },
+  costs: { type: 'number', required: true, min: 0 },
+  growth: { type: 'number', required: true, min: -1, max: 10 }, // monthly rate
+  periods: { type: 'number', min: 1, max: 120 },
+  startingCash: { type: 'number' },
+  currency: { type: 'string', maxLength: 3 }
+};
+
+// Validate a request body against a field spec. Returns only known fields so
+// clients can't overwrite ids, status or timestamps.
+function validateFields(body, spec, { partial = false } = {}) {
+  const errors = [];
+  const value = {};
+  
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { errors: ['Request body must be a JSON object'], value };
+  }
+  
+  for (const [field, rules] of Object.entries(spec)) {
+    const input = body[field];
+    
+    if (input === undefined || input === null || input === '') {
+      if (rules.required && !partial) errors.push(`${field} is required`);
+      continue;
+    }
+    
+    if (rules.type === 'string') {
+      if (typeof input !== 'string') {
+        errors.push(`${field} must be a string`);
+        continue;
+      }
+      if (rules.maxLength && input.length > rules.maxLength) {
+        errors.push(`${field} must be at most ${rules.maxLength} characters`);
+        continue;
+      }
+      if (rules.minLength && input.length < rules.minLength) {
+        errors.push(`${field} must be at least ${rules.minLength} characters`);
+        continue;
+      }
+    } else if (rules.type === 'number') {
+      if (typeof input !== 'number' || !Number.isFinite(input)) {
+        errors.push(`${field} must be a number`);
+        continue;
+      }
+      if (rules.min !== undefined && input < rules.min) {
+        errors.push(`${field} must be at least ${rules.min}`);
+        continue;
+      }
+      if (rules.max !== undefined && input > rules.max) {
+        errors.push(`${field} must be at most ${rules.max}`);
+        continue;
+      }
+    } else if (rules.type === 'date') {
+      if (!isCalendarDate(input)) {
+        errors.push(`${field} must be a calendar date (YYYY-MM-DD)`);
+        continue;
+      }
+    } else if (rules.type === 'array') {
+      if (!Array.isArray(input)) {
+        errors.push(`${field} must be an array`);
+        continue;
+      }
+    } else if (rules.type === 'boolean') {
+      if (typeof input !== 'boolean') {
+        errors.push(`${field} must be true or false`);
+        continue;
+      }
+    } else if (rules.type === 'object') {
+      if (typeof input !== 'object' || Array.isArray(input)) {
+        errors.push(`${field} must be an object`);
+        continue;
+      }
+    }
+    
+    if (rules.enum && !rules.enum.includes(input)) {
+      errors.push(`${field} must be one of: ${rules.enum.join(', ')}`);
+      continue;
+    }
+    
+    value[field] = typeof input === 'string' ? input.trim() : input;
+  }
+  
+  return { errors, value };
+}
+
+// Build an AIAgent from a registry persona. The persona's own system
+// prompt (the ClearHive prompts for built-in roles) follows its profile.
+function createAdvisorAgent(persona, { company, mock = null, tools = [], memory, apiKeys = CONFIG.providers } = {}) {
+  const systemPrompt = [
+    `You are the ${persona.name}, advising ${company}.`,
+    `Your role: ${persona.role}.`,
+    persona.personality && `Personality: ${persona.personality}.`,
+    persona.expertise?.length && `Expertise: ${persona.expertise.join(', ')}.`,
+    persona.constraints?.length && `Always:\n${persona.constraints.map(c => `- ${c}`).join('\n')}`,
+    persona.systemPrompt
+  ].filter(Boolean).join('\n');
+  const model = persona.model || CONFIG.ai.defaultModel;
+  const temperature = persona.temperature ?? CONFIG.ai.temperature;
+  
+  if (mock) {
+    return new AIAgent(persona.id, 'mock', null, 'mock-advisor', { systemPrompt, temperature, mock, tools, memory, schema: persona.responseSchema });
+  }
+  
+  const provider = getProviderForModel(model);
+  return new AIAgent(persona.id, provider, apiKeys[provider], model, {
+    systemPrompt,
+    temperature,
+    fallbacks: persona.fallbacks || CONFIG.ai.fallbacks,
+    apiKeys,
+    retry: CONFIG.ai.retry,
+    tools,
+    maxToolRounds: CONFIG.ai.maxToolRounds,
+    memory,
+    summaryModels: CONFIG.ai.memory.summaryModels,
+    schema: persona.responseSchema
+  });
+}
+
+const BALLOT_SCHEMA = {
+  type: 'object',
+  required: ['vote', 'confidence', 'rationale'],
+  properties: {
+    vote: { type: 'string', enum: ['approve', 'reject', 'abstain'] },
+    confidence: { type: 'number', minimum: 0 },
+    rationale: { type: 'string' }
+  }
+};
+
+// A structured reply that matched BALLOT_SCHEMA, with confidence capped at 1
+function toBallot(structured) {
+  if (!structured) return null;
+  const { vote, confidence, rationale } = structured;
+  return { vote, confidence: Math.min(1, confidence), rationale };
+}
+
+const AGENT_ID_PATTERN = /^[a-z][a-z0-9-]{1,39}$/;
+
+// Persona fields plus the list and model checks validateFields can't express
+function validatePersona(body, { partial = false } = {}) {
+  const { errors, value } = validateFields(body, PERSONA_FIELDS, { partial });
+  
+  for (const field of ['expertise', 'constraints']) {
+    const items = value[field];
+    if (items && (items.length > 20 || !items.every(item => typeof item === 'string' && item.trim() && item.length <= 300))) {
+      errors.push(`${field} must be a list of up to 20 short strings`);
+      delete value[field];
+    } else if (items) {
+      value[field] = items.map(item => item.trim());
+    }
+  }
+  
+  const provider = value.model && getProviderForModel(value.model);
+  if (value.model && (!provider || provider === 'mock')) {
+    errors.push(`model '${value.model}' is not supported`);
+  }
+  return { errors, value };
+}
+
+const WORKSPACE_ID_PATTERN = /^[a-z][a-z0-9-]{1,39}$/;
+
+// Workspace fields plus the context and template shapes. The context must
+// match COMPANY_CONTEXT_SCHEMA; templates need phases of { type, topic,
+// agents } to be runnable.
+function validateWorkspace(body, { partial = false } = {}) {
+  const { errors, value } = validateFields(body, WORKSPACE_FIELDS, { partial });
+  
+  if (value.id && !WORKSPACE_ID_PATTERN.test(value.id)) {
+    errors.push('id must be 2-40 lowercase letters, digits or dashes, starting with a letter');
+  }
+  if (value.context) errors.push(...validateAgainstSchema(value.context, COMPANY_CONTEXT_SCHEMA, 'context'));
+  for (const [id, template] of Object.entries(value.templates || {})) {
+    const phasesValid = Array.isArray(template?.phases) && template.phases.length > 0 && template.phases.every(phase =>
+      typeof phase?.type === 'string' && typeof phase.topic === 'string' &&
+      Array.isArray(phase.agents) && phase.agents.every(agent => typeof agent === 'string'));
+    if (!WORKSPACE_ID_PATTERN.test(id)) {
+      errors.push(`template id '${id}' must be lowercase letters, digits or dashes`);
+    } else if (typeof template?.name !== 'string' || !phasesValid) {
+      errors.push(`templates.${id} needs a name and phases of { type, topic, agents }`);
+    }
+  }
+  return { errors, value };
+}
+
+const KPI_REPORT_SCHEMA = {
+  type: 'object',
+  required: ['date', 'values'],
+  properties: {
+    date: { type: 'string', format: 'date' },
+    note: { type: 'string' },
+    values: { type: 'object', additionalProperties: { type: 'number', minimum: 0 } }
+  }
+};
+
+// { date, values: { metric: number }, note } for one day's actuals
+function validateKpiReport(body) {
+  const errors = validateAgainstSchema(body, KPI_REPORT_SCHEMA, 'report');
+  if (errors.length) return errors;
+  
+  if (!isCalendarDate(body.date)) errors.push('report.date must be a calendar date (YYYY-MM-DD)');
+  else if (body.date > isoDate(new Date())) errors.push('report.date cannot be in the future');
+  const metrics = Object.keys(body.values);
+  if (!metrics.length) errors.push('report.values needs at least one metric');
+  for (const metric of metrics.filter(metric => !Object.hasOwn(KPI_METRICS, metric))) {
+    errors.push(`report.values.${metric} is not a tracked metric (${Object.keys(KPI_METRICS).join(', ')})`);
+  }
+  if (body.note !== undefined && body.note.length > 500) errors.push('report.note must be at most 500 characters');
+  return errors;
+}
+
+// Render a structured reply as text for the discussion feed
+function formatStructuredResponse(value) {
+  const sections = [
+    ['Recommendations', value.recommendations, r => (r.rationale ? `${r.title} — ${r.rationale}` : r.title)],
+    ['Risks', value.risks, r => `${r.title} (probability ${r.probability}, impact ${r.impact})${r.mitigation ? ` — mitigate: ${r.mitigation}` : ''}`],
+    ['Actions', value.actions, a => `${a.title} — ${a.owner}, due ${a.due}`],
+    ['Claims', value.claims, c => c]
+  ].filter(([, items]) => Array.isArray(items) && items.length);
+  
+  // Custom schemas without the usual sections are shown as they came
+  if (!value.summary && !sections.length) return JSON.stringify(value, null, 2);
+  
+  return [
+    value.summary,
+    ...sections.map(([heading, items, line]) => `${heading}:\n${items.map(item => `- ${line(item)}`).join('\n')}`)
+  ].filter(Boolean).join('\n\n');
+}
+
+function countCreated(replies) {
+  const created = replies.map(r => r.created).filter(Boolean);
+  return {
+    decisions: created.reduce((n, c) => n + c.decisions.length, 0),
+    risks: created.reduce((n, c) => n + c.risks.length, 0),
+    actions: created.reduce((n, c) => n + c.actions.length, 0)
+  };
+}
+
+// ==========================================
+// HTTP SERVER & API
+// ==========================================
+
+class DecisionOSServer {
+  constructor(workspaces) {
+    this.workspaces = workspaces;
+    this.server = http.createServer(this.handleRequest.bind(this));
+  }
+  
+  async handleRequest(req, res) {
+    // CORS only for configured origins; the UI itself is same-origin
+    const origin = req.headers.origin;
+    res.setHeader('Vary', 'Origin');
+    if (origin && CONFIG.security.allowedOrigins.includes(origin)) {
+      res.setHeader('Access-Control-Allow-Origin', origin);
+      res.setHeader('Access-Control-Allow-Credentials', 'true');
+      res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+      res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    }
+    
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+    
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    const path = url.pathname;
+    
+    // Routing
+    try {
+      await this.workspaces.ready;
+      
+      if (path === '/' && req.method === 'GET') {
+        await this.serveUI(req, res, null);
+      } else if (path.startsWith('/w/') && req.method === 'GET') {
+        await this.serveUI(req, res, path.slice(3));
+      } else if (path.startsWith('/api/')) {
+        req.user = this.authenticate(req) || (CONFIG.security.requireAuth ? null : LOCAL_FOUNDER);
+        await requestContext.run({ user: req.user }, () => this.handleAPI(req, res, path.slice(5)));
+      } else if (path.startsWith('/ws')) {
+        await this.handleWebSocket(req, res);
+      } else {
+        res.writeHead(404);
+        res.end('Not Found');
+      }
+    } catch (error) {
+      if (error instanceof ApiError) {
+        this.sendJSON(res, error.status, { error: error.message, details: error.details });
+        return;
+      }
+      console.error('Server error:', error);
+      res.writeHead(500);
+      res.end(JSON.stringify({ error: 'Internal Server Error' }));
+    }
+  }
+  
+  sendJSON(res, status, payload) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(payload, jsonReplacer));
+  }
+  
+  async readJSON(req) {
+    let size = 0;
+    const chunks = [];
+    
+    for await (const chunk of req) {
+      size += chunk.length;
+      if (size > CONFIG.security.maxRequestSize) {
+        throw new ApiError(413, 'Request body too large');
+      }
+      chunks.push(chunk);
+    }
+    
+    if (chunks.length === 0) return {};
+    
+    let body;
+    try {
+      body = JSON.parse(Buffer.concat(chunks).toString('utf-8'));
+    } catch (error) {
+      throw new ApiError(400, 'Request body must be valid JSON');
+    }
+    // Every route takes an object; null, arrays and scalars stop here
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      throw new ApiError(400, 'Request body must be a JSON object');
+    }
+    return body;
+  }
+  
+  // Validation error when any id isn't an active advisor, otherwise null
+  checkAgents(os, agents) {
+    const active = os.registry.ids();
+    return agents.every(id => active.includes(id)) ? null : `agents must be drawn from: ${active.join(', ')}`;
+  }
+  
+  // A session in the request's workspace
+  findSession(req, sessionId) {
+    const session = sessionId && req.os.getSession(sessionId);
+    if (!session) throw new ApiError(404, 'Session not found');
+    return session;
+  }
+  
+  // Look up a session for a write: completed and archived sessions refuse
+  // changes, and paused ones resume
+  requireSession(sessionId, req) {
+    const session = this.findSession(req, sessionId);
+    
+    if (req.method !== 'GET') {
+      if (session.state === 'completed' || session.state === 'archived') {
+        throw new ApiError(409, `Session is ${session.state}; reopen it to make changes`);
+      }
+      if (session.state === 'paused') {
+        session.setState('active', 'resumed-on-write');
+        req.os.auditLog.log('session_state_changed', { sessionId, from: 'paused', to: 'active' });
+      }
+    }
+    return session;
+  }
+  
+  // The workspace page names the company and its templates, so it's only
+  // rendered for someone who may open that workspace. Anyone not signed in
+  // gets a sign-in page with nothing about any workspace; `/` goes to the
+  // default workspace, or the user's first one if they're limited to others.
+  async serveUI(req, res, workspaceId) {
+    const user = this.authenticate(req) || (CONFIG.security.requireAuth ? null : LOCAL_FOUNDER);
+    if (!user) {
+      res.writeHead(401, { 'Content-Type': 'text/html' });
+      res.end(this.getSignInUI());
+      return;
+    }
+    
+    if (!workspaceId) {
+      const ids = [this.workspaces.defaultId, ...this.workspaces.workspaces.keys()];
+      const id = ids.find(candidate => canAccessWorkspace(user, candidate));
+      if (!id) throw new ApiError(403, 'No workspace access');
+      if (id !== this.workspaces.defaultId) {
+        res.writeHead(302, { Location: `/w/${encodeURIComponent(id)}` });
+        res.end();
+        return;
+      }
+      workspaceId = id;
+    }
+    
+    // Workspaces the user can't open look the same as missing ones
+    const os = this.workspaces.get(workspaceId);
+    if (!os || !canAccessWorkspace(user, workspaceId)) throw new ApiError(404, 'Workspace not found');
+    res.writeHead(200, { 'Content-Type': 'text/html' });
+    res.end(this.getFullInteractiveUI(os));
+  }
+  
+  // Bearer token (API clients, ADMIN_TOKEN) or the login cookie
+  authenticate(req) {
+    const bearer = req.headers.authorization?.match(/^Bearer\s+(\S+)$/i)?.[1];
+    const cookie = req.headers.cookie?.split(';')
+      .map(part => part.trim().split('='))
+      .find(([name]) => name === SESSION_COOKIE)?.[1];
+    const token = bearer || cookie;
+    if (!token) return null;
+    
+    const { adminToken } = CONFIG.security;
+    if (adminToken && crypto.timingSafeEqual(Buffer.from(hashToken(token)), Buffer.from(hashToken(adminToken)))) {
+      return ADMIN_PRINCIPAL;
+    }
+    return this.workspaces.users.resolve(token);
+  }
+  
+  async handleAPI(req, res, endpoint) {
+    let [resource, ...params] = endpoint.split('/');
+    
+    // Sign-in is open; everything else needs a role that allows the route
+    if (resource === 'auth') {
+      await this.handleAuth(req, res, params);
+      return;
+    }
+    if (!req.user) throw new ApiError(401, 'Sign in required');
+    
+    // /api/workspaces/:workspaceId/<resource>/... is scoped to that
+    // workspace; the same routes without the prefix use the default one
+    let workspaceId = this.workspaces.defaultId;
+    if (resource === 'workspaces' && params.length > 1) {
+      [workspaceId, resource, ...params] = params;
+      if (!this.workspaces.get(workspaceId)) throw new ApiError(404, 'Workspace not found');
+    }
+    req.os = this.workspaces.get(workspaceId);
+    
+    const permission = permissionFor(req.method, resource);
+    if (!can(req.user, permission)) {
+      throw new ApiError(403, `The ${req.user.role} role does not have '${permission}' access`);
+    }
+    if (resource !== 'workspaces' && !canAccessWorkspace(req.user, workspaceId)) {
+      throw new ApiError(403, `No access to the ${workspaceId} workspace`);
+    }
+    
+    if (resource === 'workspaces') {
+      await this.handleWorkspaces(req, res, params);
+    } else if (resource === 'session') {
+      await this.handleSession(req, res, params);
+    } else if (resource === 'decision') {
+      await this.handleDecision(req, res, params);
+    } else if (resource === 'risk') {
+      await this.handleRisk(req, res, params);
+    } else if (resource === 'action') {
+      await this.handleAction(req, res, params);
+    } else if (resource === 'financial') {
+      await this.handleFinancial(req, res, params);
+    } else if (resource === 'compliance') {
+      await this.handleCompliance(req, res, params);
+    } else if (resource === 'export') {
+      await this.handleExport(req, res, params);
+    } else if (resource === 'metrics') {
+      await this.handleMetrics(req, res, params);
+    } else if (resource === 'milestones') {
+      await this.handleMilestones(req, res, params);
+    } else if (resource === 'company' || resource === 'clearhive') {
+      await this.handleCompany(req, res, params);
+    } else if (resource === 'audit') {
+      await this.handleAudit(req, res, params);
+    } else if (resource === 'template') {
+      await this.handleTemplate(req, res, params);
+    } else if (resource === 'agents') {
+      await this.handleAgents(req, res, params);
+    } else if (resource === 'credentials') {
+      await this.handleCredentials(req, res, params);
+    } else {
+      res.writeHead(404);
+      res.end(JSON.stringify({ error: 'Endpoint not found' }));
+    }
+  }
+  
+  // The workspace's company context (/api/clearhive is the ClearHive-era
+  // name for /api/company)
+  async handleCompany(req, res, params) {
+    const [action, ...rest] = params;
+    const { context } = req.os;
+    
+    if (action === 'context') {
+      await this.handleContext(req, res, rest);
+    } else if (action === 'metrics') {
+      // Latest actuals from the KPI ledger, plus the full report
+      const report = req.os.kpis.report(context);
+      const goals = context.metrics?.targets?.[report.currentQuarter] || {};
+      const metrics = {
+        ...report.current,
+        runway: report.runwayMonths,
+        pilotsToCloseThisQuarter: goals.conversions === undefined ? undefined : Math.max(0, goals.conversions - (report.current.conversions || 0)),
+        ...report
+      };
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(metrics));
+    } else {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ message: `${context.company.name} data loaded` }));
+    }
+  }
+  
+  async handleContext(req, res, [section, version]) {
+    const os = req.os;
+    
+    // /api/company/context - the context itself, with its version as the ETag
+    if (!section) {
+      if (req.method === 'GET') {
+        res.writeHead(200, { 'Content-Type': 'application/json', ETag: `"${os.contextVersion}"` });
+        res.end(JSON.stringify(os.context));
+      } else if (req.method === 'PUT') {
+        // If-Match guards against overwriting someone else's edit
+        const expected = req.headers['if-match']?.replace(/"/g, '');
+        if (expected && Number(expected) !== os.contextVersion) {
+          throw new ApiError(412, `The context is now at version ${os.contextVersion}; reload it and reapply your changes`);
+        }
+        const context = await this.readJSON(req);
+        const errors = validateAgainstSchema(context, COMPANY_CONTEXT_SCHEMA, 'context');
+        if (errors.length) throw new ApiError(400, 'Invalid company context', errors);
+        
+        const record = await os.updateContext(context);
+        if (!record) {
+          this.sendJSON(res, 200, { version: os.contextVersion, diff: [], unchanged: true });
+        } else {
+          const { version, createdAt, createdBy, diff } = record;
+          this.sendJSON(res, 200, { version, createdAt, createdBy, diff });
+        }
+      } else {
+        throw new ApiError(405, 'Method not allowed');
+      }
+      return;
+    }
+    
+    if (req.method !== 'GET') throw new ApiError(405, 'Method not allowed');
+    
+    // /api/company/context/versions[/:version]
+    if (section === 'versions') {
+      if (!version) {
+        const versions = os.contextStore.versions.map(({ context, diff, ...fields }) => ({ ...fields, changes: diff.length }));
+        this.sendJSON(res, 200, { current: os.contextVersion, versions });
+        return;
+      }
+      const record = os.contextStore.get(Number(version));
+      if (!record) throw new ApiError(404, 'Context version not found');
+      this.sendJSON(res, 200, record);
+      return;
+    }
+    
+    // /api/company/context/diff?from=&to= (to defaults to the current version)
+    if (section === 'diff') {
+      const query = new URL(req.url, `http://${req.headers.host}`).searchParams;
+      const from = os.contextStore.get(Number(query.get('from')));
+      const to = os.contextStore.get(Number(query.get('to') || os.contextVersion));
+      if (!from || !to) throw new ApiError(400, 'Invalid context diff', ['from and to must be existing versions']);
+      this.sendJSON(res, 200, { from: from.version, to: to.version, diff: diffValues(from.context, to.context) });
+      return;
+    }
+    
+    throw new ApiError(404, 'Endpoint not found');
+  }
+  
+  async handleSession(req, res, params) {
+    const [sessionId, subresource, mode] = params;
+    
+    // /api/session
+    if (!sessionId) {
+      if (req.method === 'POST') {
+        const { errors, value } = validateFields(await this.readJSON(req), {
+          title: { type: 'string', maxLength: 200 },
+          template: { type: 'string', enum: [...req.os.templates.keys()] }
+        });
+        if (errors.length) throw new ApiError(400, 'Invalid session', errors);
+        
+        const session = await req.os.createSession(value);
+        this.sendJSON(res, 200, { sessionId: session.id });
+      } else if (req.method === 'GET') {
+        this.sendJSON(res, 200, this.querySessions(req.os, new URL(req.url, `http://${req.headers.host}`).searchParams));
+      } else {
+        throw new ApiError(405, 'Method not allowed');
+      }
+      return;
+    }
+    
+    const session = this.findSession(req, sessionId);
+    
+    // /api/session/:sessionId/state
+    if (subresource === 'state') {
+      if (req.method !== 'POST') throw new ApiError(405, 'Method not allowed');
+      
+      const body = await this.readJSON(req);
+      if (!Object.hasOwn(SESSION_TRANSITIONS, body.state)) {
+        throw new ApiError(400, 'Invalid session', [`state must be one of: ${Object.keys(SESSION_TRANSITIONS).join(', ')}`]);
+      }
+      await req.os.transitionSession(session, body.state, typeof body.reason === 'string' ? body.reason : '');
+      this.sendJSON(res, 200, session.getListing());
+      return;
+    }
+    
+    // /api/session/:sessionId/messages[/stream]
+    if (subresource === 'messages') {
+      if (mode && mode !== 'stream') throw new ApiError(404, 'Endpoint not found');
+      
+      if (req.method === 'GET' && !mode) {
+        this.sendJSON(res, 200, { messages: session.messages });
+      } else if (req.method === 'POST') {
+        this.requireSession(sessionId, req);
+        const input = await this.readMessage(req);
+        
+        if (mode === 'stream') {
+          await this.streamDiscussion(req, res, session, input);
+        } else {
+          this.sendJSON(res, 200, await req.os.discuss(session, input));
+        }
+      } else {
+        throw new ApiError(405, 'Method not allowed');
+      }
+      return;
+    }
+    
+    // /api/session/:sessionId/agents[/:agentId]
+    if (subresource === 'agents') {
+      await this.handleSessionAgents(req, res, session, mode);
+      return;
+    }
+    
+    // /api/session/:sessionId/debates[/:debateId]
+    if (subresource === 'debates') {
+      if (req.method === 'POST' && !mode) {
+        this.requireSession(sessionId, req);
+        const body = await this.readJSON(req);
+        const { errors, value } = validateFields(body, {
+          section: { type: 'string', required: true, maxLength: 200 },
+          prompt: { type: 'string', required: true, maxLength: 5000 },
+          agents: { type: 'array' },
+          rounds: { type: 'number', min: 1, max: 5 },
+          convergence: { type: 'number', min: 0, max: 100 }
+        });
+        const agents = value.agents?.length ? [...new Set(value.agents)] : req.os.registry.roster;
+        const unknown = this.checkAgents(req.os, agents);
+        if (unknown) errors.push(unknown);
+        if (agents.length < 2) errors.push('a debate needs at least two agents');
+        if (value.rounds !== undefined && !Number.isInteger(value.rounds)) errors.push('rounds must be a whole number');
+        if (errors.length) throw new ApiError(400, 'Invalid debate', errors);
+        
+        if (session.debates.some(d => d.status === 'running')) {
+          throw new ApiError(409, 'A debate is already running in this session');
+        }
+        this.sendJSON(res, 202, req.os.startDebate(session, { ...value, agents }));
+      } else if (req.method === 'GET') {
+        if (!mode) {
+          this.sendJSON(res, 200, { debates: session.debates });
+          return;
+        }
+        const debate = session.debates.find(d => d.id === mode);
+        if (!debate) throw new ApiError(404, 'Debate not found');
+        this.sendJSON(res, 200, debate);
+      } else {
+        throw new ApiError(405, 'Method not allowed');
+      }
+      return;
+    }
+    
+    // /api/session/:sessionId/memory[/:agentId[/pins[/:pinId]]]
+    if (subresource === 'memory') {
+      await this.handleMemory(req, res, session, params.slice(2));
+      return;
+    }
+    
+    // /api/session/:sessionId/consensus
+    if (subresource === 'consensus' && req.method === 'GET') {
+      this.sendJSON(res, 200, {
+        score: session.consensus.getScore(),
+        topics: session.consensus.getReport()
+      });
+      return;
+    }
+    
+    if (subresource) throw new ApiError(404, 'Endpoint not found');
+    
+    // /api/session/:sessionId
+    if (req.method === 'GET') {
+      this.sendJSON(res, 200, session.getExecutiveSummary());
+    } else if (req.method === 'PUT') {
+      this.requireSession(sessionId, req);
+      const { errors, value } = validateFields(await this.readJSON(req), {
+        title: { type: 'string', required: true, maxLength: 200 }
+      });
+      if (errors.length) throw new ApiError(400, 'Invalid session', errors);
+      
+      session.title = value.title;
+      await req.os.recordChange(session, 'session_updated', { title: value.title });
+      this.sendJSON(res, 200, session.getListing());
+    } else {
+      throw new ApiError(405, 'Method not allowed');
+    }
+  }
+  
+  // Pin an advisor to a persona version for this session, or unpin to
+  // follow the latest
+  async handleSessionAgents(req, res, session, agentId) {
+    const registry = req.os.registry;
+    
+    if (!agentId) {
+      if (req.method !== 'GET') throw new ApiError(405, 'Method not allowed');
+      const agents = registry.list({ includeRetired: true })
+        .filter(agent => !agent.retired || session.agentVersions[agent.id])
+        .map(agent => {
+          const pinned = session.agentVersions[agent.id] || null;
+          return { id: agent.id, name: agent.name, latest: agent.version, pinned, version: pinned || agent.version };
+        });
+      this.sendJSON(res, 200, { agents, roster: registry.roster });
+      return;
+    }
+    
+    if (!registry.agents.has(agentId)) throw new ApiError(404, 'Agent not found');
+    this.requireSession(session.id, req);
+    
+    if (req.method === 'PUT') {
+      const { errors, value } = validateFields(await this.readJSON(req), {
+        version: { type: 'number', min: 1 }
+      });
+      const version = value.version ?? registry.get(agentId).version;
+      if (!errors.length && !registry.get(agentId, version)) errors.push(`version ${version} does not exist`);
+      if (errors.length) throw new ApiError(400, 'Invalid pin', errors);
+      
+      session.agentVersions[agentId] = version;
+      await req.os.recordChange(session, 'agent_version_pinned', { agentId, version });
+      this.sendJSON(res, 200, { agentId, pinned: version });
+    } else if (req.method === 'DELETE') {
+      delete session.agentVersions[agentId];
+      await req.os.recordChange(session, 'agent_version_unpinned', { agentId });
+      this.sendJSON(res, 200, { agentId, pinned: null, version: registry.get(agentId).version });
+    } else {
+      throw new ApiError(405, 'Method not allowed');
+    }
+  }
+  
+  async handleMemory(req, res, session, [agentId, section, pinId]) {
+    if (!agentId) {
+      if (req.method !== 'GET') throw new ApiError(405, 'Method not allowed');
+      const agents = Object.fromEntries(Array.from(session.agentMemory, ([id, memory]) => {
+        const { turns, ...overview } = ConversationMemory.from(memory, CONFIG.ai.memory).snapshot();
+        return [id, { ...overview, turns: turns.length }];
+      }));
+      this.sendJSON(res, 200, { agents });
+      return;
+    }
+    
+    if (!req.os.registry.get(agentId)) throw new ApiError(404, 'Agent not found');
+    if (req.method !== 'GET') this.requireSession(session.id, req);
+    const memory = req.os.getMemory(session, agentId);
+    
+    // /api/session/:sessionId/memory/:agentId
+    if (!section) {
+      if (req.method === 'GET') {
+        this.sendJSON(res, 200, memory.snapshot());
+      } else if (req.method === 'PUT') {
+        const { errors, value } = validateFields(await this.readJSON(req), {
+          summary: { type: 'string', required: true, maxLength: 10000 }
+        });
+        if (errors.length) throw new ApiError(400, 'Invalid memory', errors);
+        
+        memory.setSummary(value.summary);
+        await req.os.recordChange(session, 'agent_memory_edited', { agentId });
+        this.sendJSON(res, 200, memory.snapshot());
+      } else if (req.method === 'DELETE') {
+        memory.clear();
+        await req.os.recordChange(session, 'agent_memory_cleared', { agentId });
+        this.sendJSON(res, 200, memory.snapshot());
+      } else {
+        throw new ApiError(405, 'Method not allowed');
+      }
+      return;
+    }
+    
+    if (section !== 'pins') throw new ApiError(404, 'Endpoint not found');
+    
+    // /api/session/:sessionId/memory/:agentId/pins[/:pinId]
+    if (req.method === 'POST' && !pinId) {
+      const { errors, value } = validateFields(await this.readJSON(req), {
+        text: { type: 'string', required: true, maxLength: 1000 }
+      });
+      if (errors.length) throw new ApiError(400, 'Invalid pinned fact', errors);
+      
+      const fact = memory.pin(value.text);
+      await req.os.recordChange(session, 'agent_fact_pinned', { agentId, pinId: fact.id });
+      this.sendJSON(res, 200, fact);
+    } else if (req.method === 'DELETE' && pinId) {
+      if (!memory.unpin(pinId)) throw new ApiError(404, 'Pinned fact not found');
+      await req.os.recordChange(session, 'agent_fact_unpinned', { agentId, pinId });
+      this.sendJSON(res, 200, { success: true });
+    } else {
+      throw new ApiError(405, 'Method not allowed');
+    }
+  }
+  
+  async readMessage(req) {
+    const { errors, value } = validateFields(await this.readJSON(req), {
+      content: { type: 'string', required: true, maxLength: 5000 },
+      author: { type: 'string', maxLength: 100 },
+      agents: { type: 'array' },
+      structured: { type: 'boolean' }
+    });
+    const agents = value.agents?.length ? [...new Set(value.agents)] : req.os.registry.roster;
+    const unknown = this.checkAgents(req.os, agents);
+    if (unknown) errors.push(unknown);
+    if (errors.length) throw new ApiError(400, 'Invalid message', errors);
+    return { ...value, agents };
+  }
+  
+  // Server-Sent Events: 'message' echoes the stored user message, then
+  // each advisor's 'start', 'token' and 'reply' events are tagged with its
+  // agentId. A final 'done' event carries usage totals for the exchange.
+  async streamDiscussion(req, res, session, input) {
+    // Checked up front so a limit hit still gets a plain JSON error
+    req.os.checkCostLimit(session);
+    
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive'
+    });
+    
+    // Advisors keep answering if the browser goes away; replies are still stored
+    const send = (event, data) => {
+      if (res.destroyed) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data, jsonReplacer)}\n\n`);
+    };
+    
+    try {
+      const { responses } = await req.os.discuss(session, input, {
+        onMessage: message => send('message', message),
+        onStart: (agentId, author) => send('start', { agentId, author }),
+        onToken: (agentId, text) => send('token', { agentId, text }),
+        onReply: reply => send('reply', reply)
+      });
+      
+      const answered = responses.filter(r => !r.error);
+      send('done', {
+        tokens: answered.reduce((sum, r) => sum + (r.tokens?.total || 0), 0),
+        cost: answered.reduce((sum, r) => sum + (r.cost || 0), 0),
+        byAgent: Object.fromEntries(answered.map(r => [r.agentId, { tokens: r.tokens, cost: r.cost }])),
+        sessionCosts: { tokens: session.costs.tokens, dollars: session.costs.dollars }
+      });
+    } catch (error) {
+      send('error', { error: error instanceof ApiError ? error.message : 'Internal Server Error' });
+      if (!(error instanceof ApiError)) console.error('Stream error:', error);
+    }
+    res.end();
+  }
+  
+  querySessions(os, query) {
+    const errors = [];
+    const page = Number(query.get('page') || 1);
+    const pageSize = Number(query.get('pageSize') || 20);
+    const from = query.get('from') ? new Date(query.get('from')) : null;
+    const to = query.get('to') ? new Date(query.get('to')) : null;
+    const state = query.get('state');
+    
+    if (!Number.isInteger(page) || page < 1) errors.push('page must be a positive integer');
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > 100) errors.push('pageSize must be between 1 and 100');
+    if (from && Number.isNaN(from.getTime())) errors.push('from must be a valid date');
+    if (to && Number.isNaN(to.getTime())) errors.push('to must be a valid date');
+    if (state && !Object.hasOwn(SESSION_TRANSITIONS, state)) errors.push(`state must be one of: ${Object.keys(SESSION_TRANSITIONS).join(', ')}`);
+    if (errors.length) throw new ApiError(400, 'Invalid session query', errors);
+    
+    const sessions = os.listSessions({
+      state,
+      from,
+      to,
+      template: query.get('template'),
+      query: query.get('q')?.trim()
+    });
+    
+    return {
+      sessions: sessions.slice((page - 1) * pageSize, page * pageSize),
+      total: sessions.length,
+      page,
+      pageSize
+    };
+  }
+  
+  async handleDecision(req, res, params) {
+    const [sessionId, decisionId, subresource] = params;
+    const session = this.requireSession(sessionId, req);
+    
+    // /api/decision/:sessionId
+    if (!decisionId) {
+      if (req.method === 'GET') {
+        const url = new URL(req.url, `http://${req.headers.host}`);
+        const status = url.searchParams.get('status');
+        const decisions = status
+          ? session.decisions.filter(d => d.status === status)
+          : session.decisions;
+        this.sendJSON(res, 200, { decisions });
+      } else if (req.method === 'POST') {
+        const { errors, value } = validateFields(await this.readJSON(req), DECISION_FIELDS);
+        if (errors.length) throw new ApiError(400, 'Invalid decision', errors);
+        
+        const decision = session.addDecision(value);
+        await req.os.recordChange(session, 'decision_created', { decisionId: decision.id, title: decision.title });
+        this.sendJSON(res, 201, decision);
+      } else {
+        throw new ApiError(405, 'Method not allowed');
+      }
+      return;
+    }
+    
+    const decision = session.getDecision(decisionId);
+    if (!decision) throw new ApiError(404, 'Decision not found');
+    
+    // /api/decision/:sessionId/:decisionId/status
+    if (subresource === 'status') {
+      if (req.method !== 'POST') throw new ApiError(405, 'Method not allowed');
+      
+      const body = await this.readJSON(req);
+      if (!Object.hasOwn(DECISION_TRANSITIONS, body.status)) {
+        throw new ApiError(400, 'Invalid decision', [`status must be one of: ${Object.keys(DECISION_TRANSITIONS).join(', ')}`]);
+      }
+      
+      const from = decision.status;
+      session.setDecisionStatus(decisionId, body.status, typeof body.reason === 'string' ? body.reason : '');
+      await req.os.recordChange(session, 'decision_status_changed', { decisionId, from, to: body.status });
+      this.sendJSON(res, 200, decision);
+      return;
+    }
+    
+    // /api/decision/:sessionId/:decisionId/votes
+    if (subresource === 'votes') {
+      if (req.method === 'GET') {
+        this.sendJSON(res, 200, { votes: Array.from(decision.votes.values()), tally: req.os.voting.tally(decision) });
+      } else if (req.method === 'POST') {
+        const { errors, value } = validateFields(await this.readJSON(req), VOTE_FIELDS);
+        if (errors.length) throw new ApiError(400, 'Invalid vote', errors);
+        
+        // One ballot per user: voting again replaces the earlier one
+        const tally = await req.os.castVote(session, decision, { ...value, voterId: req.user.id, voterType: 'human' });
+        this.sendJSON(res, 200, { decision, tally });
+      } else {
+        throw new ApiError(405, 'Method not allowed');
+      }
+      return;
+    }
+    
+    // /api/decision/:sessionId/:decisionId/agent-votes
+    if (subresource === 'agent-votes') {
+      if (req.method !== 'POST') throw new ApiError(405, 'Method not allowed');
+      
+      const body = await this.readJSON(req);
+      const agents = body.agents || req.os.registry.roster;
+      const unknown = Array.isArray(agents) ? this.checkAgents(req.os, agents) : 'agents must be an array';
+      if (unknown) throw new ApiError(400, 'Invalid vote', [unknown]);
+      
+      const results = await req.os.collectAgentVotes(session, decision, agents);
+      this.sendJSON(res, 200, { decision, results, tally: req.os.voting.tally(decision) });
+      return;
+    }
+    
+    if (subresource) throw new ApiError(404, 'Endpoint not found');
+    
+    // /api/decision/:sessionId/:decisionId
+    if (req.method === 'GET') {
+      this.sendJSON(res, 200, decision);
+    } else if (req.method === 'PUT') {
+      const { errors, value } = validateFields(await this.readJSON(req), DECISION_FIELDS, { partial: true });
+      if (errors.length) throw new ApiError(400, 'Invalid decision', errors);
+      
+      session.updateDecision(decisionId, value);
+      await req.os.recordChange(session, 'decision_updated', { decisionId, fields: Object.keys(value) });
+      this.sendJSON(res, 200, decision);
+    } else if (req.method === 'DELETE') {
+      session.removeDecision(decisionId);
+      await req.os.recordChange(session, 'decision_deleted', { decisionId });
+      this.sendJSON(res, 200, { deleted: decisionId });
+    } else {
+      throw new ApiError(405, 'Method not allowed');
+    }
+  }
+  
+  async handleRisk(req, res, params) {
+    const [sessionId, riskId, subresource, mitigationId] = params;
+    const session = this.requireSession(sessionId, req);
+    
+    // /api/risk/:sessionId/heatmap
+    if (riskId === 'heatmap' && req.method === 'GET') {
+      this.sendJSON(res, 200, session.getRiskHeatMap());
+      return;
+    }
+    
+    // /api/risk/:sessionId
+    if (!riskId) {
+      if (req.method === 'GET') {
+        const url = new URL(req.url, `http://${req.headers.host}`);
+        const status = url.searchParams.get('status');
+        const risks = status ? session.risks.filter(r => r.status === status) : session.risks;
+        this.sendJSON(res, 200, { risks });
+      } else if (req.method === 'POST') {
+        const { errors, value } = validateFields(await this.readJSON(req), RISK_FIELDS);
+        if (errors.length) throw new ApiError(400, 'Invalid risk', errors);
+        
+        const risk = session.addRisk(value);
+        await req.os.recordChange(session, 'risk_created', { riskId: risk.id, score: risk.score });
+        this.sendJSON(res, 201, risk);
+      } else {
+        throw new ApiError(405, 'Method not allowed');
+      }
+      return;
+    }
+    
+    const risk = session.getRisk(riskId);
+    if (!risk) throw new ApiError(404, 'Risk not found');
+    
+    if (!subresource) {
+      // /api/risk/:sessionId/:riskId
+      if (req.method === 'GET') {
+        this.sendJSON(res, 200, risk);
+      } else if (req.method === 'PUT') {
+        const { errors, value } = validateFields(await this.readJSON(req), RISK_FIELDS, { partial: true });
+        if (errors.length) throw new ApiError(400, 'Invalid risk', errors);
+        
+        session.updateRisk(riskId, value);
+        await req.os.recordChange(session, 'risk_updated', { riskId, fields: Object.keys(value) });
+        this.sendJSON(res, 200, risk);
+      } else {
+        throw new ApiError(405, 'Method not allowed');
+      }
+    } else if (subresource === 'reassess' && req.method === 'POST') {
+      const body = await this.readJSON(req);
+      const { errors, value } = validateFields(body, {
+        probability: { ...RISK_FIELDS.probability, required: true },
+        impact: { ...RISK_FIELDS.impact, required: true },
+        note: { type: 'string', maxLength: 2000 }
+      });
+      if (errors.length) throw new ApiError(400, 'Invalid reassessment', errors);
+      
+      const previousScore = risk.score;
+      session.reassessRisk(riskId, value);
+      await req.os.recordChange(session, 'risk_reassessed', { riskId, from: previousScore, to: risk.score });
+      this.sendJSON(res, 200, risk);
+    } else if (subresource === 'close' && req.method === 'POST') {
+      const body = await this.readJSON(req);
+      session.closeRisk(riskId, typeof body.resolution === 'string' ? body.resolution : '');
+      await req.os.recordChange(session, 'risk_closed', { riskId });
+      this.sendJSON(res, 200, risk);
+    } else if (subresource === 'mitigations' && !mitigationId && req.method === 'POST') {
+      const { errors, value } = validateFields(await this.readJSON(req), MITIGATION_FIELDS);
+      if (errors.length) throw new ApiError(400, 'Invalid mitigation', errors);
+      
+      const mitigation = session.addMitigation(riskId, value);
+      await req.os.recordChange(session, 'risk_mitigation_added', { riskId, mitigationId: mitigation.id });
+      this.sendJSON(res, 201, mitigation);
+    } else if (subresource === 'mitigations' && mitigationId && req.method === 'PUT') {
+      const { errors, value } = validateFields(await this.readJSON(req), MITIGATION_FIELDS, { partial: true });
+      if (errors.length) throw new ApiError(400, 'Invalid mitigation', errors);
+      
+      const mitigation = session.updateMitigation(riskId, mitigationId, value);
+      if (!mitigation) throw new ApiError(404, 'Mitigation not found');
+      await req.os.recordChange(session, 'risk_mitigation_updated', { riskId, mitigationId, status: mitigation.status });
+      this.sendJSON(res, 200, mitigation);
+    } else {
+      throw new ApiError(404, 'Endpoint not found');
+    }
+  }
+  
+  async handleAction(req, res, params) {
+    const [sessionId, actionId, subresource] = params;
+    const session = this.requireSession(sessionId, req);
+    
+    const readAction = async (partial) => {
+      const { errors, value } = validateFields(await this.readJSON(req), ACTION_FIELDS, { partial });
+      if (value.dependencies && !value.dependencies.every(d => typeof d === 'string')) {
+        errors.push('dependencies must be an array of action ids');
+      }
+      if (value.decisionId && !session.getDecision(value.decisionId)) {
+        errors.push('decisionId does not match a decision in this session');
+      }
+      if (errors.length) throw new ApiError(400, 'Invalid action', errors);
+      return value;
+    };
+    
+    // /api/action/:sessionId/graph
+    if (actionId === 'graph' && req.method === 'GET') {
+      const graph = new ActionGraph(session.actions);
+      this.sendJSON(res, 200, {
+        order: graph.topologicalOrder(),
+        criticalPath: graph.criticalPath(),
+        blocked: graph.blocked(),
+        overdue: graph.overdue()
+      });
+      return;
+    }
+    
+    // /api/action/:sessionId
+    if (!actionId) {
+      if (req.method === 'GET') {
+        const url = new URL(req.url, `http://${req.headers.host}`);
+        const status = url.searchParams.get('status');
+        const owner = url.searchParams.get('owner');
+        const actions = session.actions.filter(a =>
+          (!status || a.status === status) && (!owner || a.owner === owner));
+        this.sendJSON(res, 200, { actions });
+      } else if (req.method === 'POST') {
+        const action = session.addAction(await readAction(false));
+        await req.os.recordChange(session, 'action_created', { actionId: action.id, owner: action.owner });
+        this.sendJSON(res, 201, action);
+      } else {
+        throw new ApiError(405, 'Method not allowed');
+      }
+      return;
+    }
+    
+    const action = session.getAction(actionId);
+    if (!action) throw new ApiError(404, 'Action not found');
+    
+    // /api/action/:sessionId/:actionId/status
+    if (subresource === 'status') {
+      if (req.method !== 'POST') throw new ApiError(405, 'Method not allowed');
+      
+      const body = await this.readJSON(req);
+      if (!ACTION_STATUSES.includes(body.status)) {
+        throw new ApiError(400, 'Invalid action', [`status must be one of: ${ACTION_STATUSES.join(', ')}`]);
+      }
+      
+      const from = action.status;
+      session.setActionStatus(actionId, body.status, typeof body.note === 'string' ? body.note : '');
+      await req.os.recordChange(session, 'action_status_changed', { actionId, from, to: body.status });
+      this.sendJSON(res, 200, action);
+      return;
+    }
+    
+    if (subresource) throw new ApiError(404, 'Endpoint not found');
+    
+    // /api/action/:sessionId/:actionId
+    if (req.method === 'GET') {
+      this.sendJSON(res, 200, action);
+    } else if (req.method === 'PUT') {
+      const value = await readAction(true);
+      session.updateAction(actionId, value);
+      await req.os.recordChange(session, 'action_updated', { actionId, fields: Object.keys(value) });
+      this.sendJSON(res, 200, action);
+    } else if (req.method === 'DELETE') {
+      session.removeAction(actionId);
+      await req.os.recordChange(session, 'action_deleted', { actionId });
+      this.sendJSON(res, 200, { deleted: actionId });
+    } else {
+      throw new ApiError(405, 'Method not allowed');
+    }
+  }
+  
+  async handleFinancial(req, res, params) {
+    const [model] = params;
+    
+    if (model !== 'projection' && model !== 'scenarios') {
+      throw new ApiError(404, 'Endpoint not found');
+    }
+    
+    if (req.method === 'GET') {
+      const url = new URL(req.url, `http://${req.headers.host}`);
+      const session = this.findSession(req, url.searchParams.get('sessionId'));
+      this.sendJSON(res, 200, model === 'projection' ? session.projections : session.scenarios);
+      return;
+    }
+    
+    if (req.method !== 'POST') throw new ApiError(405, 'Method not allowed');
+    
+    const body = await this.readJSON(req);
+    // Previews (the scenario lab while a slider is dragged) aren't stored,
+    // so they don't resume a paused session or touch the audit trail
+    const preview = model === 'scenarios' && body.preview === true;
+    const session = preview ? this.findSession(req, body.sessionId) : this.requireSession(body.sessionId, req);
+    
+    const { errors, value: baseCase } = validateFields(body, PROJECTION_FIELDS);
+    if (baseCase.periods !== undefined && !Number.isInteger(baseCase.periods)) {
+      errors.push('periods must be a whole number of months');
+    }
+    if (errors.length) throw new ApiError(400, 'Invalid financial model', errors);
+    
+    if (model === 'projection') {
+      const projection = req.os.financial.createProjection({
+        currency: CONFIG.financial.defaultCurrency,
+        ...baseCase
+      });
+      session.projections = projection;
+      await req.os.recordChange(session, 'projection_created', { params: projection.params });
+      this.sendJSON(res, 200, projection);
+      return;
+    }
+    
+    // Custom variations override any subset of the base case
+    const variations = {};
+    const variationErrors = [];
+    for (const [name, variation] of Object.entries(body.variations || {})) {
+      const { errors: fieldErrors, value } = validateFields(variation, PROJECTION_FIELDS, { partial: true });
+      variationErrors.push(...fieldErrors.map(e => `${name}: ${e}`));
+      variations[name] = value;
+    }
+    if (variationErrors.length) throw new ApiError(400, 'Invalid scenario variations', variationErrors);
+    
+    const scenarios = req.os.financial.runScenarioAnalysis({
+      currency: CONFIG.financial.defaultCurrency,
+      ...baseCase
+    }, variations);
+    if (preview) {
+      this.sendJSON(res, 200, scenarios);
+      return;
+    }
+    for (const [name, scenario] of Object.entries(scenarios)) {
+      session.scenarios.set(name, scenario);
+    }
+    await req.os.recordChange(session, 'scenarios_created', { scenarios: Object.keys(scenarios) });
+    this.sendJSON(res, 200, scenarios);
+  }
+  
+  async handleAuth(req, res, [section, id]) {
+    const users = this.workspaces.users;
+    
+    // /api/auth/login
+    if (section === 'login') {
+      if (req.method !== 'POST') throw new ApiError(405, 'Method not allowed');
+      const { errors, value } = validateFields(await this.readJSON(req), {
+        username: { type: 'string', required: true, maxLength: 100 },
+        password: { type: 'string', required: true, maxLength: 200 }
+      });
+      if (errors.length) throw new ApiError(400, 'Invalid sign-in', errors);
+      
+      try {
+        const { user, token, tokenInfo } = await users.login(value.username, value.password, req.socket.remoteAddress);
+        this.workspaces.auditLog.log('user_signed_in', { user: user.username });
+        res.setHeader('Set-Cookie', this.sessionCookie(req, token, CONFIG.security.loginTtl / 1000));
+        this.sendJSON(res, 200, { user, token, expiresAt: tokenInfo.expiresAt, permissions: ROLE_PERMISSIONS[user.role] });
+      } catch (error) {
+        if (error.status === 401) this.workspaces.auditLog.log('user_sign_in_failed', { user: value.username });
+        throw error;
+      }
+      return;
+    }
+    
+    if (!req.user) throw new ApiError(401, 'Sign in required');
+    
+    // /api/auth/me
+    if (section === 'me') {
+      if (req.method !== 'GET') throw new ApiError(405, 'Method not allowed');
+      this.sendJSON(res, 200, { user: req.user, permissions: ROLE_PERMISSIONS[req.user.role], requireAuth: CONFIG.security.requireAuth });
+      return;
+    }
+    
+    // /api/auth/logout
+    if (section === 'logout') {
+      if (req.method !== 'POST') throw new ApiError(405, 'Method not allowed');
+      if (req.user.tokenId) await users.revoke(req.user.tokenId);
+      res.setHeader('Set-Cookie', this.sessionCookie(req, '', 0));
+      this.sendJSON(res, 200, { signedOut: true });
+      return;
+    }
+    
+    if (!can(req.user, 'admin')) throw new ApiError(403, `The ${req.user.role} role cannot manage users`);
+    requirePlatformAdmin(req.user, 'manage users and tokens');
+    
+    // /api/auth/users[/:userId]
+    if (section === 'users') {
+      if (!id && req.method === 'GET') {
+        this.sendJSON(res, 200, { users: Array.from(users.users.values()).map(u => users.describe(u)) });
+      } else if (!id && req.method === 'POST') {
+        const body = await this.readJSON(req);
+        const { errors, value } = validateFields(body, USER_FIELDS);
+        if (value.username && !/^[\w.@-]{3,100}$/.test(value.username)) errors.push('username may only use letters, digits and . _ @ -');
+        if (value.workspaces?.some(id => !this.workspaces.get(id))) errors.push('workspaces must be existing workspace ids');
+        if (errors.length) throw new ApiError(400, 'Invalid user', errors);
+        
+        const user = await users.create(value);
+        this.workspaces.auditLog.log('user_created', { userId: user.id, username: user.username, role: user.role });
+        this.sendJSON(res, 201, user);
+      } else if (id && req.method === 'PUT') {
+        const { errors, value } = validateFields(await this.readJSON(req), {
+          password: USER_FIELDS.password,
+          role: USER_FIELDS.role,
+          workspaces: USER_FIELDS.workspaces,
+          disabled: { type: 'boolean' }
+        }, { partial: true });
+        if (value.workspaces?.some(id => !this.workspaces.get(id))) errors.push('workspaces must be existing workspace ids');
+        if (errors.length) throw new ApiError(400, 'Invalid user', errors);
+        this.assertFounderRemains(id, value);
+        
+        const user = await users.update(id, value);
+        this.workspaces.auditLog.log('user_updated', { userId: id, fields: Object.keys(value) });
+        this.sendJSON(res, 200, user);
+      } else if (id && req.method === 'DELETE') {
+        this.assertFounderRemains(id, { disabled: true });
+        await users.remove(id);
+        this.workspaces.auditLog.log('user_removed', { userId: id });
+        this.sendJSON(res, 200, { removed: id });
+      } else {
+        throw new ApiError(405, 'Method not allowed');
+      }
+      return;
+    }
+    
+    // /api/auth/tokens[/:tokenId] - long-lived API tokens, shown once
+    if (section === 'tokens') {
+      if (!id && req.method === 'GET') {
+        const tokens = Array.from(users.tokens.values()).filter(t => t.kind === 'api').map(t => users.describeToken(t));
+        this.sendJSON(res, 200, { tokens });
+      } else if (!id && req.method === 'POST') {
+        const { errors, value } = validateFields(await this.readJSON(req), {
+          userId: { type: 'string', required: true },
+          label: { type: 'string', maxLength: 200 },
+          expiresInDays: { type: 'number', min: 1, max: 365 }
+        });
+        if (value.userId && !users.users.has(value.userId)) errors.push('userId does not match a user');
+        if (errors.length) throw new ApiError(400, 'Invalid token', errors);
+        
+        const { token, tokenInfo } = await users.issue(value.userId, {
+          label: value.label,
+          ttl: value.expiresInDays ? value.expiresInDays * 86400000 : null
+        });
+        this.workspaces.auditLog.log('api_token_issued', { tokenId: tokenInfo.id, userId: value.userId });
+        this.sendJSON(res, 201, { token, ...tokenInfo });
+      } else if (id && req.method === 'DELETE') {
+        if (!(await users.revoke(id))) throw new ApiError(404, 'Token not found');
+        this.workspaces.auditLog.log('api_token_revoked', { tokenId: id });
+        this.sendJSON(res, 200, { revoked: id });
+      } else {
+        throw new ApiError(405, 'Method not allowed');
+      }
+      return;
+    }
+    
+    throw new ApiError(404, 'Endpoint not found');
+  }
+  
+  // Without ADMIN_TOKEN, losing the last founder would lock everyone out
+  assertFounderRemains(userId, { role, disabled }) {
+    if (CONFIG.security.adminToken) return;
+    const founders = Array.from(this.workspaces.users.users.values()).filter(u => u.role === 'founder' && !u.disabled);
+    const leaving = (role && role !== 'founder') || disabled;
+    if (leaving && founders.length === 1 && founders[0].id === userId) {
+      throw new ApiError(409, 'This is the only founder account; add another founder first');
     }
   }
   
-  async serveUI(res) {
-    // Always serve the full interactive UI
-    res.writeHead(200, { 'Content-Type': 'text/html' });
-    res.end(this.getFullInteractiveUI());
+  sessionCookie(req, token, maxAge) {
+    const secure = req.socket.encrypted || req.headers['x-forwarded-proto'] === 'https';
+    return `${SESSION_COOKIE}=${token}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${Math.floor(maxAge)}${secure ? '; Secure' : ''}`;
   }
   
-  async handleAPI(req, res, endpoint) {
-    const [resource, ...params] = endpoint.split('/');
+  async handleWorkspaces(req, res, [workspaceId]) {
+    // /api/workspaces
+    if (!workspaceId) {
+      if (req.method === 'GET') {
+        const workspaces = Array.from(this.workspaces.workspaces.values())
+          .filter(os => canAccessWorkspace(req.user, os.workspace.id))
+          .map(os => this.workspaces.describe(os));
+        this.sendJSON(res, 200, { workspaces, defaultId: this.workspaces.defaultId });
+      } else if (req.method === 'POST') {
+        requirePlatformAdmin(req.user, 'create workspaces');
+        const { errors, value } = validateWorkspace(await this.readJSON(req));
+        if (errors.length) throw new ApiError(400, 'Invalid workspace', errors);
+        
+        const os = await this.workspaces.create(value);
+        this.sendJSON(res, 201, this.workspaces.describe(os));
+      } else {
+        throw new ApiError(405, 'Method not allowed');
+      }
+      return;
+    }
     
-    if (resource === 'session') {
-      await this.handleSession(req, res, params);
-    } else if (resource === 'decision') {
-      await this.handleDecision(req, res, params);
-    } else if (resource === 'risk') {
-      await this.handleRisk(req, res, params);
-    } else if (resource === 'action') {
-      await this.handleAction(req, res, params);
-    } else if (resource === 'financial') {
-      await this.handleFinancial(req, res, params);
-    } else if (resource === 'compliance') {
-      await this.handleCompliance(req, res, params);
-    } else if (resource === 'export') {
-      await this.handleExport(req, res, params);
-    } else if (resource === 'metrics') {
-      await this.handleMetrics(req, res, params);
-    } else if (resource === 'clearhive') {
-      await this.handleClearHive(req, res, params);
+    // /api/workspaces/:workspaceId
+    const os = this.workspaces.get(workspaceId);
+    if (!os || !canAccessWorkspace(req.user, workspaceId)) throw new ApiError(404, 'Workspace not found');
+    
+    if (req.method === 'GET') {
+      this.sendJSON(res, 200, this.workspaces.describe(os));
+    } else if (req.method === 'PUT') {
+      const { name, title, welcome } = WORKSPACE_FIELDS;
+      const { errors, value } = validateFields(await this.readJSON(req), { name, title, welcome }, { partial: true });
+      if (errors.length) throw new ApiError(400, 'Invalid workspace', errors);
+      
+      await this.workspaces.update(workspaceId, value);
+      this.sendJSON(res, 200, this.workspaces.describe(os));
     } else {
-      res.writeHead(404);
-      res.end(JSON.stringify({ error: 'Endpoint not found' }));
+      throw new ApiError(405, 'Method not allowed');
     }
   }
   
-  async handleClearHive(req, res, params) {
-    const [action] = params;
+  async handleAgents(req, res, params) {
+    const [agentId, section, version] = params;
+    const registry = req.os.registry;
     
-    if (action === 'context') {
-      res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify(CLEARHIVE_CONTEXT));
-    } else if (action === 'metrics') {
-      // Calculate real-time ClearHive metrics
-      const metrics = {
-        ...CLEARHIVE_CONTEXT.metrics.current,
-        daysUntilRunway: CLEARHIVE_CONTEXT.metrics.current.runway * 30,
-        burnRate: CLEARHIVE_CONTEXT.businessModel.costs.development.monthly +
-                  CLEARHIVE_CONTEXT.businessModel.costs.sales.monthly +
-                  CLEARHIVE_CONTEXT.businessModel.costs.operations.monthly,
-        pilotsToCloseThisQuarter: CLEARHIVE_CONTEXT.metrics.targets.q1_2025.conversions
-      };
-      res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify(metrics));
-    } else {
-      res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ message: 'ClearHive data loaded' }));
+    // /api/agents
+    if (!agentId) {
+      if (req.method === 'GET') {
+        const includeRetired = new URL(req.url, `http://${req.headers.host}`).searchParams.get('includeRetired') === 'true';
+        this.sendJSON(res, 200, { agents: registry.list({ includeRetired }), roster: registry.roster });
+      } else if (req.method === 'POST') {
+        const body = await this.readJSON(req);
+        const { errors, value } = validatePersona(body);
+        if (typeof body?.id !== 'string' || !AGENT_ID_PATTERN.test(body.id) || body.id === 'roster') {
+          errors.unshift('id must be 2-40 lowercase letters, digits or dashes, starting with a letter');
+        }
+        if (errors.length) throw new ApiError(400, 'Invalid agent', errors);
+        
+        const agent = await registry.create(body.id, value);
+        req.os.auditLog.log('agent_created', { agentId: agent.id, version: agent.version });
+        this.sendJSON(res, 201, agent);
+      } else {
+        throw new ApiError(405, 'Method not allowed');
+      }
+      return;
     }
-  }
-  
-  async handleSession(req, res, params) {
-    if (req.method === 'POST') {
-      const session = this.os.createSession();
-      res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ sessionId: session.id }));
-    } else if (req.method === 'GET' && params[0]) {
-      const session = this.os.getSession(params[0]);
-      if (session) {
-        res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify(session.getExecutiveSummary()));
+    
+    // /api/agents/roster
+    if (agentId === 'roster') {
+      if (req.method === 'GET') {
+        this.sendJSON(res, 200, { roster: registry.roster });
+      } else if (req.method === 'PUT') {
+        const { errors, value } = validateFields(await this.readJSON(req), {
+          agents: { type: 'array', required: true }
+        });
+        const unknown = value.agents && this.checkAgents(req.os, value.agents);
+        if (unknown) errors.push(unknown);
+        if (value.agents && !value.agents.length) errors.push('agents must name at least one advisor');
+        if (errors.length) throw new ApiError(400, 'Invalid roster', errors);
+        
+        const roster = await registry.setRoster(value.agents);
+        req.os.auditLog.log('agent_roster_updated', { roster });
+        this.sendJSON(res, 200, { roster });
       } else {
-        res.writeHead(404);
-        res.end(JSON.stringify({ error: 'Session not found' }));
+        throw new ApiError(405, 'Method not allowed');
       }
+      return;
+    }
+    
+    if (!registry.agents.has(agentId)) throw new ApiError(404, 'Agent not found');
+    
+    // /api/agents/:agentId/versions[/:version]
+    if (section === 'versions') {
+      if (req.method !== 'GET') throw new ApiError(405, 'Method not allowed');
+      if (!version) {
+        this.sendJSON(res, 200, { versions: registry.agents.get(agentId).versions });
+        return;
+      }
+      const persona = registry.get(agentId, Number(version));
+      if (!persona) throw new ApiError(404, 'Version not found');
+      this.sendJSON(res, 200, persona);
+      return;
+    }
+    if (section) throw new ApiError(404, 'Endpoint not found');
+    
+    // /api/agents/:agentId
+    if (req.method === 'GET') {
+      this.sendJSON(res, 200, registry.describe(agentId));
+    } else if (req.method === 'PUT') {
+      const { errors, value } = validatePersona(await this.readJSON(req), { partial: true });
+      if (errors.length) throw new ApiError(400, 'Invalid agent', errors);
+      if (!Object.keys(value).length) throw new ApiError(400, 'Invalid agent', ['No persona fields to update']);
+      
+      const agent = await registry.update(agentId, value);
+      req.os.auditLog.log('agent_updated', { agentId, version: agent.version, fields: Object.keys(value) });
+      this.sendJSON(res, 200, agent);
+    } else if (req.method === 'DELETE') {
+      const agent = await registry.retire(agentId);
+      req.os.auditLog.log('agent_retired', { agentId, version: agent.version });
+      this.sendJSON(res, 200, agent);
+    } else {
+      throw new ApiError(405, 'Method not allowed');
     }
   }
   
-  async handleDecision(req, res, params) {
-    res.writeHead(200, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify({ message: 'Decision handler' }));
-  }
-  
-  async handleRisk(req, res, params) {
-    res.writeHead(200, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify({ message: 'Risk handler' }));
+  // Write-only: keys go in, but only status and hints come back out
+  async handleCredentials(req, res, params) {
+    const [provider, action] = params;
+    const vault = this.workspaces.vault;
+    requirePlatformAdmin(req.user, 'manage API keys');
+    
+    // /api/credentials
+    if (!provider) {
+      if (req.method !== 'GET') throw new ApiError(405, 'Method not allowed');
+      this.sendJSON(res, 200, { credentials: VAULT_PROVIDERS.map(p => vault.describe(p)) });
+      return;
+    }
+    
+    // /api/credentials/rotate
+    if (provider === 'rotate') {
+      if (req.method !== 'POST') throw new ApiError(405, 'Method not allowed');
+      const result = await vault.rotate();
+      this.workspaces.auditLog.log('credentials_rotated', result);
+      this.sendJSON(res, 200, result);
+      return;
+    }
+    
+    if (!VAULT_PROVIDERS.includes(provider)) throw new ApiError(404, 'Unknown provider');
+    
+    // /api/credentials/:provider/test - the stored key, or a candidate in the body
+    if (action === 'test') {
+      if (req.method !== 'POST') throw new ApiError(405, 'Method not allowed');
+      const { errors, value } = validateFields(await this.readJSON(req), {
+        apiKey: { type: 'string', maxLength: 500 }
+      });
+      if (errors.length) throw new ApiError(400, 'Invalid key test', errors);
+      
+      const apiKey = value.apiKey || vault.apiKeys()[provider];
+      if (!apiKey) throw new ApiError(400, `No ${provider} key is configured`);
+      const result = await testApiKey(provider, apiKey, { signal: AbortSignal.timeout(15000) });
+      this.workspaces.auditLog.log('credential_tested', { provider, stored: !value.apiKey, valid: result.valid });
+      this.sendJSON(res, 200, { provider, ...result });
+      return;
+    }
+    if (action) throw new ApiError(404, 'Endpoint not found');
+    
+    // /api/credentials/:provider
+    if (req.method === 'GET') {
+      this.sendJSON(res, 200, vault.describe(provider));
+      return;
+    }
+    if (req.method === 'PUT') {
+      const { errors, value } = validateFields(await this.readJSON(req), {
+        apiKey: { type: 'string', required: true, maxLength: 500 }
+      });
+      if (value.apiKey && /\s/.test(value.apiKey)) errors.push('apiKey must not contain whitespace');
+      if (errors.length) throw new ApiError(400, 'Invalid credential', errors);
+      
+      const status = await vault.set(provider, value.apiKey);
+      this.workspaces.clearAgents(); // cached advisors hold the old key
+      this.workspaces.auditLog.log(status.replacedAt ? 'credential_replaced' : 'credential_stored', { provider });
+      this.sendJSON(res, 200, status);
+    } else if (req.method === 'DELETE') {
+      if (!(await vault.remove(provider))) throw new ApiError(404, `No ${provider} key is stored`);
+      this.workspaces.clearAgents();
+      this.workspaces.auditLog.log('credential_removed', { provider });
+      this.sendJSON(res, 200, vault.describe(provider));
+    } else {
+      throw new ApiError(405, 'Method not allowed');
+    }
   }
   
-  async handleAction(req, res, params) {
-    res.writeHead(200, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify({ message: 'Action handler' }));
+  async handleAudit(req, res, params) {
+    const [action] = params;
+    if (req.method !== 'GET') throw new ApiError(405, 'Method not allowed');
+    
+    // The workspace's trail, or with ?scope=platform the shared one
+    // (sign-ins, accounts, API keys and workspace changes)
+    const query = new URL(req.url, `http://${req.headers.host}`).searchParams;
+    const platform = query.get('scope') === 'platform';
+    if (platform) requirePlatformAdmin(req.user, 'read the platform audit trail');
+    const auditLog = platform ? this.workspaces.auditLog : req.os.auditLog;
+    
+    // /api/audit/verify
+    if (action === 'verify') {
+      this.sendJSON(res, 200, await auditLog.verify());
+      return;
+    }
+    if (action) throw new ApiError(404, 'Endpoint not found');
+    
+    // /api/audit
+    const errors = [];
+    const page = Number(query.get('page') || 1);
+    const pageSize = Number(query.get('pageSize') || 50);
+    const startDate = query.get('from') ? new Date(query.get('from')) : null;
+    const endDate = query.get('to') ? new Date(query.get('to')) : null;
+    const order = query.get('order') || 'desc';
+    
+    if (!Number.isInteger(page) || page < 1) errors.push('page must be a positive integer');
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > 500) errors.push('pageSize must be between 1 and 500');
+    if (startDate && Number.isNaN(startDate.getTime())) errors.push('from must be a valid date');
+    if (endDate && Number.isNaN(endDate.getTime())) errors.push('to must be a valid date');
+    if (order !== 'asc' && order !== 'desc') errors.push('order must be asc or desc');
+    if (errors.length) throw new ApiError(400, 'Invalid audit query', errors);
+    
+    const entries = await auditLog.query({
+      event: query.get('event'),
+      sessionId: query.get('sessionId'),
+      actor: query.get('actor'),
+      startDate,
+      endDate
+    });
+    if (order === 'desc') entries.reverse();
+    
+    this.sendJSON(res, 200, {
+      entries: entries.slice((page - 1) * pageSize, page * pageSize),
+      total: entries.length,
+      page,
+      pageSize
+    });
   }
   
-  async handleFinancial(req, res, params) {
-    res.writeHead(200, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify({ message: 'Financial handler' }));
+  async handleTemplate(req, res, params) {
+    const [sessionId, subresource, runId] = params;
+    
+    // /api/template
+    if (!sessionId) {
+      if (req.method !== 'GET') throw new ApiError(405, 'Method not allowed');
+      const templates = Array.from(req.os.templates, ([id, t]) => ({ id, ...t }));
+      this.sendJSON(res, 200, { templates });
+      return;
+    }
+    
+    const session = this.requireSession(sessionId, req);
+    
+    // /api/template/:sessionId/run
+    if (subresource === 'run' && req.method === 'POST') {
+      const body = await this.readJSON(req);
+      const { errors, value } = validateFields(body, {
+        templateId: { type: 'string', required: true },
+        agents: { type: 'array' },
+        brief: { type: 'string', maxLength: 5000 }
+      });
+      const unknown = value.agents && this.checkAgents(req.os, value.agents);
+      if (unknown) errors.push(unknown);
+      if (errors.length) throw new ApiError(400, 'Invalid template run', errors);
+      
+      if (session.templateRuns.some(r => r.status === 'running')) {
+        throw new ApiError(409, 'A template is already running in this session');
+      }
+      
+      const run = req.os.runner.start(session, value.templateId, value);
+      this.sendJSON(res, 202, run);
+    } else if (subresource === 'runs' && req.method === 'GET') {
+      // /api/template/:sessionId/runs[/:runId]
+      if (!runId) {
+        this.sendJSON(res, 200, { runs: session.templateRuns });
+        return;
+      }
+      const run = session.templateRuns.find(r => r.id === runId);
+      if (!run) throw new ApiError(404, 'Template run not found');
+      this.sendJSON(res, 200, run);
+    } else {
+      throw new ApiError(404, 'Endpoint not found');
+    }
   }
   
   async handleCompliance(req, res, params) {
@@ -1020,18 +5617,218 @@ class DecisionOSServer {
     res.end(JSON.stringify({ message: 'Export handler' }));
   }
   
-  async handleMetrics(req, res, params) {
-    res.writeHead(200, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify({ message: 'Metrics handler' }));
+  // The KPI ledger: dated actuals and the report built from them
+  async handleMetrics(req, res, [section, entryId]) {
+    const os = req.os;
+    
+    if (!section) {
+      if (req.method !== 'GET') throw new ApiError(405, 'Method not allowed');
+      this.sendJSON(res, 200, os.kpis.report(os.context));
+      return;
+    }
+    if (section !== 'entries') throw new ApiError(404, 'Endpoint not found');
+    
+    // /api/metrics/entries/:entryId
+    if (entryId) {
+      if (req.method !== 'DELETE') throw new ApiError(405, 'Method not allowed');
+      const entry = await os.removeKpi(entryId);
+      if (!entry) throw new ApiError(404, 'KPI entry not found');
+      this.sendJSON(res, 200, { deleted: entry.id });
+      return;
+    }
+    
+    // /api/metrics/entries[?metric=]
+    if (req.method === 'GET') {
+      const metric = new URL(req.url, `http://${req.headers.host}`).searchParams.get('metric');
+      const entries = os.kpis.entries
+        .filter(entry => !metric || entry.metric === metric)
+        .sort((a, b) => b.date.localeCompare(a.date));
+      this.sendJSON(res, 200, { entries });
+    } else if (req.method === 'POST') {
+      const body = await this.readJSON(req);
+      const errors = validateKpiReport(body);
+      if (errors.length) throw new ApiError(400, 'Invalid KPI report', errors);
+      
+      const entries = await os.recordKpis({ date: body.date, values: body.values, note: body.note });
+      this.sendJSON(res, 201, { entries });
+    } else {
+      throw new ApiError(405, 'Method not allowed');
+    }
+  }
+  
+  // Workspace milestones and the session actions that deliver them
+  async handleMilestones(req, res, [milestoneId, subresource, actionId]) {
+    const os = req.os;
+    const tracker = os.milestones;
+    
+    // Links must name an action in one of this workspace's sessions
+    const checkLinks = (links, errors) => {
+      if (!links.every(link => typeof link?.sessionId === 'string' && typeof link.actionId === 'string')) {
+        errors.push('actions must be an array of { sessionId, actionId }');
+        return;
+      }
+      for (const { sessionId, actionId } of links) {
+        if (!os.sessions.get(sessionId)?.getAction(actionId)) {
+          errors.push(`action ${actionId} was not found in session ${sessionId}`);
+        }
+      }
+    };
+    // Edits are checked against the dates they leave unchanged
+    const readMilestone = async (partial, current = {}) => {
+      const { errors, value } = validateFields(await this.readJSON(req), MILESTONE_FIELDS, { partial });
+      const startDate = value.startDate ?? current.startDate;
+      const dueDate = value.dueDate ?? current.dueDate;
+      if (startDate && dueDate && startDate > dueDate) errors.push('startDate must be on or before dueDate');
+      if (Array.isArray(value.actions)) checkLinks(value.actions, errors);
+      if (errors.length) throw new ApiError(400, 'Invalid milestone', errors);
+      if (value.actions) value.actions = value.actions.map(({ sessionId, actionId }) => ({ sessionId, actionId }));
+      return value;
+    };
+    
+    // /api/milestones/timeline - Gantt rows for the timeline view
+    if (milestoneId === 'timeline' && !subresource) {
+      if (req.method !== 'GET') throw new ApiError(405, 'Method not allowed');
+      this.sendJSON(res, 200, tracker.timeline(os.sessions));
+      return;
+    }
+    
+    // /api/milestones[?status=&owner=&health=]
+    if (!milestoneId) {
+      if (req.method === 'GET') {
+        const query = new URL(req.url, `http://${req.headers.host}`).searchParams;
+        const milestones = tracker.milestones
+          .map(m => tracker.assess(m, os.sessions))
+          .filter(m => ['status', 'owner', 'health'].every(field => !query.get(field) || m[field] === query.get(field)))
+          .sort((a, b) => (a.dueDate || '').localeCompare(b.dueDate || ''));
+        this.sendJSON(res, 200, { milestones });
+      } else if (req.method === 'POST') {
+        const milestone = tracker.create(await readMilestone(false));
+        await tracker.save();
+        os.auditLog.log('milestone_created', { milestoneId: milestone.id, dueDate: milestone.dueDate, owner: milestone.owner });
+        this.sendJSON(res, 201, tracker.assess(milestone, os.sessions));
+      } else {
+        throw new ApiError(405, 'Method not allowed');
+      }
+      return;
+    }
+    
+    const milestone = tracker.get(milestoneId);
+    if (!milestone) throw new ApiError(404, 'Milestone not found');
+    
+    // /api/milestones/:milestoneId/actions[/:actionId]
+    if (subresource === 'actions') {
+      if (req.method === 'POST' && !actionId) {
+        const link = await this.readJSON(req);
+        const errors = [];
+        checkLinks([link], errors);
+        if (errors.length) throw new ApiError(400, 'Invalid milestone', errors);
+        if (!milestone.actions.some(a => a.sessionId === link.sessionId && a.actionId === link.actionId)) {
+          tracker.update(milestoneId, { actions: [...milestone.actions, { sessionId: link.sessionId, actionId: link.actionId }] });
+          await tracker.save();
+          os.auditLog.log('milestone_action_linked', { milestoneId, sessionId: link.sessionId, actionId: link.actionId });
+        }
+        this.sendJSON(res, 200, tracker.assess(milestone, os.sessions));
+      } else if (req.method === 'DELETE' && actionId) {
+        if (!milestone.actions.some(a => a.actionId === actionId)) throw new ApiError(404, 'Action is not linked to this milestone');
+        tracker.update(milestoneId, { actions: milestone.actions.filter(a => a.actionId !== actionId) });
+        await tracker.save();
+        os.auditLog.log('milestone_action_unlinked', { milestoneId, actionId });
+        this.sendJSON(res, 200, tracker.assess(milestone, os.sessions));
+      } else {
+        throw new ApiError(405, 'Method not allowed');
+      }
+      return;
+    }
+    
+    if (subresource) throw new ApiError(404, 'Endpoint not found');
+    
+    // /api/milestones/:milestoneId
+    if (req.method === 'GET') {
+      this.sendJSON(res, 200, tracker.assess(milestone, os.sessions));
+    } else if (req.method === 'PUT') {
+      const value = await readMilestone(true, milestone);
+      const from = milestone.status;
+      tracker.update(milestoneId, value);
+      await tracker.save();
+      os.auditLog.log('milestone_updated', {
+        milestoneId,
+        fields: Object.keys(value),
+        ...(value.status && value.status !== from && { from, to: value.status })
+      });
+      this.sendJSON(res, 200, tracker.assess(milestone, os.sessions));
+    } else if (req.method === 'DELETE') {
+      tracker.remove(milestoneId);
+      await tracker.save();
+      os.auditLog.log('milestone_deleted', { milestoneId });
+      this.sendJSON(res, 200, { deleted: milestoneId });
+    } else {
+      throw new ApiError(405, 'Method not allowed');
+    }
+  }
+  
+  // Served in place of any workspace page until the visitor signs in
+  getSignInUI() {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Sign in - Decision OS</title>
+  <script src="https://cdn.tailwindcss.com"></script>
+</head>
+<body class="bg-slate-900 text-slate-100 min-h-screen flex items-center justify-center" style="font-family: Inter, sans-serif">
+  <form class="bg-gray-800 rounded-lg p-6 w-[400px]" onsubmit="event.preventDefault(); signIn()">
+    <h1 class="text-xl font-semibold mb-4">Sign in to Decision OS</h1>
+    <div class="space-y-3">
+      <input type="text" id="sign-in-username" placeholder="Username" autocomplete="username" autofocus
+        class="w-full bg-gray-700 border border-gray-600 rounded px-3 py-2 text-sm">
+      <input type="password" id="sign-in-password" placeholder="Password" autocomplete="current-password"
+        class="w-full bg-gray-700 border border-gray-600 rounded px-3 py-2 text-sm">
+      <p class="text-sm text-red-400" id="sign-in-error"></p>
+    </div>
+    <div class="flex justify-end mt-4">
+      <button type="submit" class="bg-sky-500 hover:bg-sky-600 text-white font-medium rounded-md px-4 py-2">Sign in</button>
+    </div>
+  </form>
+  <script>
+    async function signIn() {
+      const response = await fetch('/api/auth/login', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          username: document.getElementById('sign-in-username').value,
+          password: document.getElementById('sign-in-password').value
+        })
+      });
+      if (!response.ok) {
+        const { error } = await response.json();
+        document.getElementById('sign-in-error').textContent = error;
+        return;
+      }
+      location.reload();
+    }
+  </script>
+</body>
+</html>`;
   }
   
-  getFullInteractiveUI() {
+  // The page for one workspace: its name, welcome and sidebar templates
+  // are rendered here, and every workspace API call goes through API
+  getFullInteractiveUI(os) {
+    const { workspace, context } = os;
+    const runnable = Array.from(os.templates).filter(([, template]) => template.phases);
+    const pinned = runnable.filter(([, template]) => template.icon);
+    const sidebar = (pinned.length ? pinned : runnable).map(([id, template]) => `
+          <button class="w-full exec-button secondary text-left" onclick="runTemplate('${id}')">
+            ${escapeHtml(template.icon || '▸')} ${escapeHtml(template.name)}
+          </button>`).join('');
+    
     return `<!DOCTYPE html>
 <html lang="en">
 <head>
   <meta charset="UTF-8">
   <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>ClearHive Health - Launch Command Center</title>
+  <title>${escapeHtml(workspace.name)} - ${escapeHtml(workspace.title || 'Command Center')}</title>
   <script src="https://cdn.tailwindcss.com"></script>
   <script src="https://cdn.jsdelivr.net/npm/chart.js"></script>
   <script src="https://unpkg.com/lucide@latest"></script>
@@ -1235,9 +6032,13 @@ class DecisionOSServer {
               <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M13 10V3L4 14h7v7l9-11h-7z" />
             </svg>
           </div>
-          <h1 class="text-xl font-bold bg-gradient-to-r from-blue-400 to-green-400 bg-clip-text text-transparent">ClearHive Health</h1>
+          <h1 class="text-xl font-bold bg-gradient-to-r from-blue-400 to-green-400 bg-clip-text text-transparent">${escapeHtml(workspace.name)}</h1>
         </div>
-        <span class="text-xs text-gray-500">Launch Command Center</span>
+        <span class="text-xs text-gray-500">${escapeHtml(workspace.title || 'Command Center')}</span>
+        <select id="workspace-select" class="hidden bg-gray-800 border border-gray-600 rounded px-2 py-1 text-xs"
+          onchange="location.href = '/w/' + this.value"></select>
+        <select id="session-select" class="bg-gray-800 border border-gray-600 rounded px-2 py-1 text-xs"
+          onchange="selectSession(this.value)"></select>
       </div>
       <div class="flex items-center gap-4">
         <!-- Session Metrics -->
@@ -1262,34 +6063,19 @@ class DecisionOSServer {
         <button class="exec-button secondary" onclick="openSettings()">
           Settings
         </button>
+        <button class="exec-button secondary hidden" id="sign-out-button" onclick="signOut()">
+          Sign out <span class="text-xs text-gray-400" id="signed-in-user"></span>
+        </button>
       </div>
     </div>
     
     <!-- Left Sidebar: Command Center -->
     <div class="panel">
       <div class="p-4 border-b border-gray-700">
-        <h2 class="text-sm font-semibold text-gray-300 mb-3">Launch Templates</h2>
+        <h2 class="text-sm font-semibold text-gray-300 mb-3">Templates</h2>
         
-        <!-- Healthcare Launch Actions -->
-        <div class="space-y-2">
-          <button class="w-full exec-button secondary text-left" onclick="runTemplate('mvp-planning')">
-            🚀 MVP Planning
-          </button>
-          <button class="w-full exec-button secondary text-left" onclick="runTemplate('provider-outreach')">
-            🏥 Provider Outreach Strategy
-          </button>
-          <button class="w-full exec-button secondary text-left" onclick="runTemplate('hipaa-compliance')">
-            🔒 HIPAA Compliance Check
-          </button>
-          <button class="w-full exec-button secondary text-left" onclick="runTemplate('funding-strategy')">
-            💰 Funding Strategy
-          </button>
-          <button class="w-full exec-button secondary text-left" onclick="runTemplate('pilot-program')">
-            🔬 Pilot Program Design
-          </button>
-          <button class="w-full exec-button secondary text-left" onclick="runTemplate('market-analysis')">
-            📊 Healthcare Market Analysis
-          </button>
+        <!-- Workspace templates (those with an icon, or all of them) -->
+        <div class="space-y-2">${sidebar}
         </div>
       </div>
       
@@ -1338,15 +6124,15 @@ class DecisionOSServer {
           <div id="discussion-area" class="flex-1 overflow-y-auto p-4">
             <div class="executive-card mb-4 border-l-4 border-green-400">
               <h3 class="font-semibold mb-2 flex items-center gap-2">
-                <span class="text-green-400">🚀</span> Welcome to ClearHive Health Launch Center
+                <span class="text-green-400">🚀</span> Welcome to ${escapeHtml(workspace.name)}
               </h3>
-              <p class="text-sm text-gray-400">Hey Jimmy & Mike! Ready to launch ClearHive Health? Select a template to get started or ask your healthcare advisors anything about building, launching, and scaling your health tech startup.</p>
+              <p class="text-sm text-gray-400">${escapeHtml(workspace.welcome || `Select a template to get started or ask your advisors anything about ${context.company.name}.`)}</p>
               <div class="mt-3 grid grid-cols-2 gap-2 text-xs">
                 <div class="bg-blue-900/20 border border-blue-600/30 rounded px-2 py-1">
-                  <span class="text-blue-400">Focus:</span> Healthcare Innovation
+                  <span class="text-blue-400">Focus:</span> ${escapeHtml(context.company.industry || '—')}
                 </div>
                 <div class="bg-green-900/20 border border-green-600/30 rounded px-2 py-1">
-                  <span class="text-green-400">Stage:</span> Pre-Launch
+                  <span class="text-green-400">Stage:</span> ${escapeHtml(context.company.stage || '—')}
                 </div>
               </div>
             </div>
@@ -1368,6 +6154,7 @@ class DecisionOSServer {
             <h3 class="font-semibold mb-3">Decision Management</h3>
             <p class="text-sm text-gray-400">Track and manage strategic decisions made during sessions.</p>
             <button class="exec-button mt-4" onclick="addDecision()">Add Decision</button>
+            <div id="decisions-list" class="mt-4"></div>
           </div>
         </div>
         
@@ -1382,25 +6169,21 @@ class DecisionOSServer {
         <!-- Metrics Tab -->
         <div id="metrics-tab" class="h-full p-4 overflow-y-auto hidden">
           <div class="executive-card">
-            <h3 class="font-semibold mb-3">Key Performance Indicators</h3>
-            <div class="grid grid-cols-2 gap-4 mt-4">
-              <div class="metric-card">
-                <div class="text-xs text-gray-400">Sessions Today</div>
-                <div class="text-2xl font-bold">3</div>
-              </div>
-              <div class="metric-card">
-                <div class="text-xs text-gray-400">Decisions Made</div>
-                <div class="text-2xl font-bold">12</div>
-              </div>
-              <div class="metric-card">
-                <div class="text-xs text-gray-400">Avg Consensus</div>
-                <div class="text-2xl font-bold">87%</div>
-              </div>
-              <div class="metric-card">
-                <div class="text-xs text-gray-400">Cost per Decision</div>
-                <div class="text-2xl font-bold">$2.45</div>
-              </div>
-            </div>
+            <h3 class="font-semibold mb-3 flex items-center justify-between">
+              <span>Key Performance Indicators</span>
+              <button onclick="recordActuals()" class="exec-button text-xs">Record Actuals</button>
+            </h3>
+            <div id="kpi-cards" class="grid grid-cols-3 gap-4 mt-4"></div>
+          </div>
+          
+          <div class="executive-card mt-4">
+            <h3 class="font-semibold mb-3">Quarterly Targets</h3>
+            <table class="w-full text-xs text-left">
+              <thead class="text-gray-400">
+                <tr><th class="py-1">Quarter</th><th>Metric</th><th>Target</th><th>Actual</th><th>Variance</th><th>Projected</th><th>Status</th></tr>
+              </thead>
+              <tbody id="kpi-targets"></tbody>
+            </table>
           </div>
         </div>
       </div>
@@ -1418,25 +6201,12 @@ class DecisionOSServer {
         <div class="executive-card">
           <h3 class="text-sm font-semibold mb-3 flex items-center justify-between">
             <span>🎯 Key Milestones</span>
-            <span class="text-xs text-green-400">Pre-Launch</span>
+            <span class="text-xs text-green-400" id="milestone-summary"></span>
           </h3>
-          <div class="space-y-2 text-xs">
-            <div class="flex items-center gap-2">
-              <input type="checkbox" class="rounded" id="m1">
-              <label for="m1">Complete MVP definition</label>
-            </div>
-            <div class="flex items-center gap-2">
-              <input type="checkbox" class="rounded" id="m2">
-              <label for="m2">HIPAA compliance setup</label>
-            </div>
-            <div class="flex items-center gap-2">
-              <input type="checkbox" class="rounded" id="m3">
-              <label for="m3">First provider partner</label>
-            </div>
-            <div class="flex items-center gap-2">
-              <input type="checkbox" class="rounded" id="m4">
-              <label for="m4">Seed funding secured</label>
-            </div>
+          <div class="space-y-2 text-xs" id="milestone-list"></div>
+          <div class="flex gap-3 mt-3 text-xs">
+            <button class="text-blue-400 hover:text-blue-300" onclick="showTimeline()">Timeline</button>
+            <button class="text-blue-400 hover:text-blue-300" onclick="addMilestone()">+ Add</button>
           </div>
         </div>
         
@@ -1446,19 +6216,19 @@ class DecisionOSServer {
           <div class="space-y-2">
             <div class="flex justify-between text-xs">
               <span class="text-gray-400">Runway</span>
-              <span class="font-mono">18 months</span>
+              <span class="font-mono" id="launch-runway">—</span>
             </div>
             <div class="flex justify-between text-xs">
-              <span class="text-gray-400">Burn Rate</span>
-              <span class="font-mono">$50k/mo</span>
+              <span class="text-gray-400">Net Burn</span>
+              <span class="font-mono" id="launch-burn">—</span>
             </div>
             <div class="flex justify-between text-xs">
               <span class="text-gray-400">Target ARR</span>
-              <span class="font-mono">$1M</span>
+              <span class="font-mono" id="launch-target-arr">—</span>
             </div>
             <div class="flex justify-between text-xs">
-              <span class="text-gray-400">Provider Pipeline</span>
-              <span class="font-mono">0</span>
+              <span class="text-gray-400">Pilots</span>
+              <span class="font-mono" id="launch-pilots">—</span>
             </div>
           </div>
         </div>
@@ -1494,25 +6264,25 @@ class DecisionOSServer {
           <div class="space-y-2">
             <div>
               <label class="text-xs text-gray-400">Monthly Provider Subscription</label>
-              <input type="range" class="scenario-slider" min="500" max="5000" value="1500" id="price-slider" oninput="updateScenario()">
+              <input type="range" class="scenario-slider" min="500" max="5000" value="1500" id="price-slider" oninput="updateScenario()" onchange="updateScenario(true)">
               <span class="text-xs font-mono" id="price-value">$1,500</span>
             </div>
             
             <div>
               <label class="text-xs text-gray-400">Provider Acquisition Cost</label>
-              <input type="range" class="scenario-slider" min="1000" max="10000" value="3000" id="cac-slider" oninput="updateScenario()">
+              <input type="range" class="scenario-slider" min="1000" max="10000" value="3000" id="cac-slider" oninput="updateScenario()" onchange="updateScenario(true)">
               <span class="text-xs font-mono" id="cac-value">$3,000</span>
             </div>
             
             <div>
               <label class="text-xs text-gray-400">Provider Conversion Rate</label>
-              <input type="range" class="scenario-slider" min="5" max="30" value="15" id="winrate-slider" oninput="updateScenario()">
+              <input type="range" class="scenario-slider" min="5" max="30" value="15" id="winrate-slider" oninput="updateScenario()" onchange="updateScenario(true)">
               <span class="text-xs font-mono" id="winrate-value">15%</span>
             </div>
             
             <div>
               <label class="text-xs text-gray-400">Monthly Churn Rate</label>
-              <input type="range" class="scenario-slider" min="1" max="10" value="3" id="churn-slider" oninput="updateScenario()">
+              <input type="range" class="scenario-slider" min="1" max="10" value="3" id="churn-slider" oninput="updateScenario()" onchange="updateScenario(true)">
               <span class="text-xs font-mono" id="churn-value">3%</span>
             </div>
           </div>
@@ -1539,30 +6309,61 @@ class DecisionOSServer {
       lucide.createIcons();
     }
     
-    // Agent configuration helper functions
-    function getAvailableAgents() {
-      return {
-        ceo: { name: 'Chief Executive', role: 'Strategic vision and leadership', expertise: ['Strategy', 'Leadership', 'Vision'] },
-        cfo: { name: 'Chief Financial Officer', role: 'Financial strategy and analysis', expertise: ['Financial Modeling', 'Risk Management', 'Valuation'] },
-        cto: { name: 'Chief Technology Officer', role: 'Technology strategy and innovation', expertise: ['Architecture', 'Digital Transformation', 'Cybersecurity'] },
-        coo: { name: 'Chief Operating Officer', role: 'Operational excellence', expertise: ['Operations', 'Process Optimization', 'Quality'] },
-        cmo: { name: 'Chief Marketing Officer', role: 'Market strategy and growth', expertise: ['Market Strategy', 'Brand', 'Customer Experience'] },
-        legal: { name: 'General Counsel', role: 'Legal and compliance', expertise: ['Corporate Law', 'Compliance', 'Contracts'] },
-        strategist: { name: 'Chief Strategy Officer', role: 'Strategic planning', expertise: ['Planning', 'Competitive Analysis', 'M&A'] }
-      };
+    // Workspace-scoped API routes; sign-in, API keys and the workspace list are shared
+    const WORKSPACE_ID = ${JSON.stringify(workspace.id)};
+    const API = '/api/workspaces/' + WORKSPACE_ID;
+    
+    // Advisor registry (GET API/agents); the roster is who answers messages
+    const MODEL_OPTIONS = ${JSON.stringify(Object.entries(AI_PROVIDERS).filter(([id]) => id !== 'mock').flatMap(([, provider]) => Object.keys(provider.models)))};
+    let advisorRegistry = { agents: [], roster: [] };
+    
+    async function loadAdvisors() {
+      const response = await fetch(API + '/agents');
+      if (response.ok) advisorRegistry = await response.json();
+      updateAgentList(advisorRegistry.roster);
+      return advisorRegistry;
     }
     
-    function getDefaultAgents() {
-      return ['ceo', 'cfo', 'strategist'];
+    // The session this browser works in: the one picked in the session
+    // switcher, else the workspace's most recently active session, so
+    // founders on different browsers land in the same one
+    let sessionPromise = null;
+    
+    function ensureSession() {
+      if (!sessionPromise) {
+        sessionPromise = (async () => {
+          const savedId = localStorage.getItem('session_id:' + WORKSPACE_ID);
+          if (savedId) {
+            const existing = await fetch(API + '/session/' + savedId);
+            if (existing.ok) {
+              const { state } = await existing.json();
+              if (state !== 'completed' && state !== 'archived') return savedId;
+            }
+          }
+          
+          const active = await fetch(API + '/session?state=active&pageSize=1');
+          if (active.ok) {
+            const { sessions } = await active.json();
+            if (sessions.length) {
+              localStorage.setItem('session_id:' + WORKSPACE_ID, sessions[0].id);
+              return sessions[0].id;
+            }
+          }
+          
+          const response = await fetch(API + '/session', { method: 'POST' });
+          const { sessionId } = await response.json();
+          localStorage.setItem('session_id:' + WORKSPACE_ID, sessionId);
+          return sessionId;
+        })();
+        sessionPromise.catch(() => { sessionPromise = null; });
+      }
+      return sessionPromise;
     }
     
-    function getClearHiveAdvisors() {
-      return {
-        healthcare: { name: 'Healthcare Strategy Advisor', role: 'Behavioral health industry expertise' },
-        compliance: { name: 'HIPAA Compliance Expert', role: 'Healthcare regulatory compliance' },
-        sales: { name: 'B2B Healthcare Sales', role: 'Enterprise healthcare sales strategy' },
-        clinical: { name: 'Clinical Operations', role: 'Treatment center operations expertise' }
-      };
+    function escapeHtml(text) {
+      const div = document.createElement('div');
+      div.textContent = text == null ? '' : String(text);
+      return div.innerHTML;
     }
     
     // Tab switching
@@ -1578,57 +6379,53 @@ class DecisionOSServer {
       document.getElementById(tabName + '-tab').classList.remove('hidden');
     }
     
-    // Template execution
+    // Template execution - phases run server-side; poll for progress
     async function runTemplate(templateName) {
-      const templates = {
-        'mvp-planning': {
-          title: '🚀 MVP Planning Session',
-          message: "Let's define the Minimum Viable Product for ClearHive Health. What are the core features that providers absolutely need?",
-          context: 'Focus on: Core value proposition, Must-have features vs nice-to-have, Technical feasibility, Time to market'
-        },
-        'provider-outreach': {
-          title: '🏥 Provider Outreach Strategy',
-          message: "Let's develop our provider outreach and onboarding strategy. How do we get our first 10 healthcare providers?",
-          context: 'Consider: Target provider profile, Value messaging, Pilot program structure, Onboarding process'
-        },
-        'hipaa-compliance': {
-          title: '🔒 HIPAA Compliance Checklist',
-          message: "Let's review HIPAA compliance requirements and create an implementation plan for ClearHive Health.",
-          context: 'Cover: Technical safeguards, Administrative safeguards, Physical safeguards, Business Associate Agreements'
-        },
-        'funding-strategy': {
-          title: '💰 Funding Strategy Session',
-          message: "Let's plan our fundraising strategy. What's our path to seed funding and beyond?",
-          context: 'Discuss: Funding timeline, Investor targets, Valuation expectations, Use of funds'
-        },
-        'pilot-program': {
-          title: '🔬 Pilot Program Design',
-          message: "Let's design our pilot program for initial provider partners. How do we prove value quickly?",
-          context: 'Define: Success metrics, Timeline, Support structure, Feedback loops'
-        },
-        'market-analysis': {
-          title: '📊 Healthcare Market Analysis',
-          message: "Let's analyze the healthcare market opportunity for ClearHive Health. What's our TAM/SAM/SOM?",
-          context: 'Analyze: Market size, Competition, Growth trends, Entry barriers'
+      const sessionId = await ensureSession();
+      const response = await fetch(API + '/template/' + sessionId + '/run', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ templateId: templateName })
+      });
+      const run = await response.json();
+      
+      if (!response.ok) {
+        addMessageToDiscussion('System', run.error, 'system');
+        return;
+      }
+      
+      addMessageToDiscussion('System', \`Starting: \${run.name} (\${run.phases.length} phases)\`, 'system');
+      addMessageToDiscussion('Objective', run.brief, 'system');
+      pollTemplateRun(sessionId, run.id, { phase: -1, outputs: 0 });
+    }
+    
+    async function pollTemplateRun(sessionId, runId, shown) {
+      const response = await fetch(API + '/template/' + sessionId + '/runs/' + runId);
+      if (!response.ok) return;
+      const run = await response.json();
+      
+      run.phases.forEach((phase, index) => {
+        if (phase.status === 'pending' || index < shown.phase) return;
+        if (index > shown.phase) {
+          addMessageToDiscussion('System', \`Phase \${index + 1}/\${run.phases.length}: \${phase.topic}\`, 'system');
+          shown.phase = index;
+          shown.outputs = 0;
         }
-      };
+        phase.outputs.slice(shown.outputs).forEach(output => {
+          addMessageToDiscussion(output.name, output.content || 'No response: ' + output.error, output.content ? 'ai' : 'system');
+        });
+        shown.outputs = phase.outputs.length;
+      });
       
-      const template = templates[templateName];
-      if (template) {
-        addMessageToDiscussion('System', \`Starting: \${template.title}\`, 'system');
-        setTimeout(() => {
-          addMessageToDiscussion('Healthcare Advisors', template.message, 'ai');
-          if (template.context) {
-            addMessageToDiscussion('Focus Areas', template.context, 'system');
-          }
-        }, 500);
+      if (run.status === 'running') {
+        setTimeout(() => pollTemplateRun(sessionId, runId, shown), 2000);
       } else {
-        addMessageToDiscussion('System', 'Template not found', 'system');
+        addMessageToDiscussion('System', \`\${run.name} \${run.status}\${run.error ? ': ' + run.error : ''}\`, 'system');
       }
     }
     
     // Message handling
-    function sendMessage() {
+    async function sendMessage() {
       const input = document.getElementById('message-input');
       const message = input.value.trim();
       if (!message) return;
@@ -1636,10 +6433,57 @@ class DecisionOSServer {
       addMessageToDiscussion('You', message, 'user');
       input.value = '';
       
-      // Simulate response
-      setTimeout(() => {
-        addMessageToDiscussion('AI Advisor', 'Processing your strategic query...', 'ai');
-      }, 1000);
+      const sessionId = await ensureSession();
+      const response = await fetch(API + '/session/' + sessionId + '/messages/stream', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ content: message, author: 'You' })
+      });
+      
+      if (!response.ok) {
+        addMessageToDiscussion('System', (await response.json()).error, 'system');
+        return;
+      }
+      
+      // One card per advisor, filled in as tokens arrive
+      const cards = {};
+      const discussionArea = document.getElementById('discussion-area');
+      
+      await readEventStream(response, (event, data) => {
+        if (event === 'start') {
+          cards[data.agentId] = addMessageToDiscussion(data.author, '', 'ai');
+        } else if (event === 'token') {
+          cards[data.agentId].textContent += data.text;
+          discussionArea.scrollTop = discussionArea.scrollHeight;
+        } else if (event === 'reply') {
+          cards[data.agentId].textContent = data.content || 'No response: ' + data.error;
+        } else if (event === 'done') {
+          updateSessionCost(data.sessionCosts);
+          updateConsensus();
+        } else if (event === 'error') {
+          addMessageToDiscussion('System', data.error, 'system');
+        }
+      });
+    }
+    
+    async function readEventStream(response, onEvent) {
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = '';
+      
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+        
+        const blocks = buffer.split('\\n\\n');
+        buffer = blocks.pop();
+        blocks.forEach(block => {
+          const event = block.match(/^event: (.*)$/m);
+          const data = block.match(/^data: (.*)$/m);
+          if (event && data) onEvent(event[1], JSON.parse(data[1]));
+        });
+      }
     }
     
     function addMessageToDiscussion(author, text, type) {
@@ -1650,63 +6494,110 @@ class DecisionOSServer {
       const authorClass = type === 'user' ? 'text-blue-400' : type === 'system' ? 'text-yellow-400' : 'text-green-400';
       
       messageDiv.innerHTML = \`
-        <div class="font-semibold text-sm \${authorClass}">\${author}</div>
-        <div class="text-sm mt-1">\${text}</div>
+        <div class="font-semibold text-sm \${authorClass}">\${escapeHtml(author)}</div>
+        <div class="text-sm mt-1 whitespace-pre-wrap">\${escapeHtml(text)}</div>
         <div class="text-xs text-gray-500 mt-2">\${new Date().toLocaleTimeString()}</div>
       \`;
       
       discussionArea.appendChild(messageDiv);
       discussionArea.scrollTop = discussionArea.scrollHeight;
+      return messageDiv.querySelector('.whitespace-pre-wrap');
+    }
+    
+    function updateSessionCost(costs) {
+      document.getElementById('session-cost').textContent = '$' + costs.dollars.toFixed(2);
+    }
+    
+    // Consensus score from the executive summary; hovering lists where advisors split
+    async function updateConsensus() {
+      const sessionId = await ensureSession();
+      const response = await fetch(API + '/session/' + sessionId);
+      if (!response.ok) return;
+      
+      const { consensus, disagreements } = await response.json();
+      const score = document.getElementById('consensus-score');
+      score.textContent = Math.round(consensus) + '%';
+      score.title = disagreements.length
+        ? disagreements.map(d => d.topic + ': ' + d.agents.join(' vs ') + ' (' + d.stances.join(' / ') + ')').join('\\n')
+        : 'No disagreements';
     }
     
-    // Scenario modeling
-    function updateScenario() {
+    // Scenario modeling - sliders drive the server-side FinancialEngine
+    let scenarioTimer = null;
+    
+    // Dragging previews the model; releasing the slider saves it to the session
+    function updateScenario(save = false) {
       const price = document.getElementById('price-slider').value;
       const cac = document.getElementById('cac-slider').value;
       const winRate = document.getElementById('winrate-slider').value;
+      const churn = document.getElementById('churn-slider').value;
       
       document.getElementById('price-value').textContent = '$' + parseInt(price).toLocaleString();
       document.getElementById('cac-value').textContent = '$' + parseInt(cac).toLocaleString();
       document.getElementById('winrate-value').textContent = winRate + '%';
+      document.getElementById('churn-value').textContent = churn + '%';
+      
+      // Debounce so dragging a slider doesn't flood the server
+      clearTimeout(scenarioTimer);
+      scenarioTimer = setTimeout(() => runScenarioModel(price, cac, winRate, churn, save), 250);
+    }
+    
+    async function runScenarioModel(price, cac, winRate, churn, save) {
+      // 10 qualified providers in the funnel each month, 3 pilots converting today
+      const newDeals = 10 * (winRate / 100);
+      const baseCase = {
+        revenue: 3 * parseInt(price),
+        costs: 15000 + newDeals * parseInt(cac),
+        growth: (winRate - churn) / 100,
+        periods: 12,
+        startingCash: 100000
+      };
+      
+      const sessionId = await ensureSession();
+      const response = await fetch(API + '/financial/scenarios', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ sessionId, ...baseCase, preview: !save })
+      });
+      if (!response.ok) return;
       
-      // Calculate metrics
-      const monthlyDeals = 10 * (winRate / 100);
-      const arr = monthlyDeals * price * 12;
-      const monthlyBurn = 50000;
-      const runway = (100000 / monthlyBurn).toFixed(0);
+      const scenarios = await response.json();
+      const { metrics } = scenarios.base;
       
-      document.getElementById('arr-value').textContent = '$' + (arr / 1000).toFixed(0) + 'K';
-      document.getElementById('runway-value').textContent = runway + ' mo';
+      document.getElementById('arr-value').textContent = '$' + (metrics.arr / 1000).toFixed(0) + 'K';
+      document.getElementById('runway-value').textContent = metrics.runway === null ? '∞' : metrics.runway.toFixed(0) + ' mo';
       
-      updateChart();
+      updateChart(scenarios);
     }
     
     // Chart initialization
-    function updateChart() {
+    function updateChart(scenarios) {
       const ctx = document.getElementById('financial-chart');
-      if (!ctx) return;
+      if (!ctx || !scenarios) return;
       
       if (window.financialChart) {
         window.financialChart.destroy();
       }
       
+      const line = (label, data, color, dashed) => ({
+        label,
+        data,
+        borderColor: color,
+        backgroundColor: 'transparent',
+        borderDash: dashed ? [4, 4] : [],
+        tension: 0.4
+      });
+      
       window.financialChart = new Chart(ctx, {
         type: 'line',
         data: {
-          labels: ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun'],
-          datasets: [{
-            label: 'Revenue',
-            data: [20000, 35000, 45000, 60000, 75000, 95000],
-            borderColor: '#10B981',
-            backgroundColor: 'rgba(16, 185, 129, 0.1)',
-            tension: 0.4
-          }, {
-            label: 'Expenses',
-            data: [50000, 50000, 50000, 50000, 50000, 50000],
-            borderColor: '#EF4444',
-            backgroundColor: 'rgba(239, 68, 68, 0.1)',
-            tension: 0.4
-          }]
+          labels: scenarios.base.periods.map(p => 'M' + p.period),
+          datasets: [
+            line('Revenue', scenarios.base.periods.map(p => Math.round(p.revenue)), '#10B981'),
+            line('Conservative', scenarios.conservative.periods.map(p => Math.round(p.revenue)), '#F59E0B', true),
+            line('Optimistic', scenarios.optimistic.periods.map(p => Math.round(p.revenue)), '#00A6FB', true),
+            line('Expenses', scenarios.base.periods.map(p => Math.round(p.costs)), '#EF4444')
+          ]
         },
         options: {
           responsive: true,
@@ -1786,73 +6677,23 @@ class DecisionOSServer {
           <!-- Advisors Tab -->
           <div id="advisors-content">
             <div class="mb-4">
-              <p class="text-sm text-gray-400">Select AI advisors for your virtual board. Each brings specialized expertise to strategic discussions.</p>
-            </div>
-            
-            <!-- Executive Advisors -->
-            <h3 class="font-semibold text-sm mb-3">Executive Team</h3>
-            <div class="grid grid-cols-2 gap-3 mb-6">
-              ${Object.entries(getAvailableAgents()).map(([key, agent]) => `
-                <div class="executive-card p-3 hover:border-blue-500 transition-colors">
-                  <div class="flex items-start gap-3">
-                    <input type="checkbox" id="agent-${key}" value="${key}" 
-                      class="mt-1 cursor-pointer" ${getDefaultAgents().includes(key) ? 'checked' : ''}>
-                    <div class="flex-1">
-                      <label for="agent-${key}" class="font-semibold text-sm cursor-pointer flex items-center gap-2">
-                        ${agent.name}
-                        <select class="text-xs bg-gray-700 border border-gray-600 rounded px-2 py-1" 
-                          id="model-${key}" onclick="event.stopPropagation()">
-                          <option value="gpt-4-turbo-preview">GPT-4 Turbo</option>
-                          <option value="gpt-4o-mini">GPT-4 Mini</option>
-                          <option value="gpt-3.5-turbo">GPT-3.5</option>
-                          <option value="claude-3-opus">Claude 3 Opus</option>
-                          <option value="claude-3-sonnet">Claude 3 Sonnet</option>
-                          <option value="claude-3-haiku">Claude 3 Haiku</option>
-                          <option value="gemini-pro">Gemini Pro</option>
-                        </select>
-                      </label>
-                      <p class="text-xs text-gray-400 mt-1">${agent.role}</p>
-                      <div class="flex flex-wrap gap-1 mt-2">
-                        ${agent.expertise.slice(0, 3).map(skill => 
-                          `<span class="text-xs bg-gray-700 px-2 py-1 rounded">${skill}</span>`
-                        ).join('')}
-                      </div>
-                    </div>
-                  </div>
-                </div>
-              `).join('')}
+              <p class="text-sm text-gray-400">Select AI advisors for your virtual board. Each brings specialized expertise to strategic discussions.</p>
             </div>
             
-            <!-- ClearHive Specific Advisors -->
-            <h3 class="font-semibold text-sm mb-3">ClearHive Health Specialists</h3>
-            <div class="grid grid-cols-2 gap-3 mb-6">
-              ${Object.entries(getClearHiveAdvisors()).map(([key, advisor]) => `
-                <div class="executive-card p-3 border-blue-500/30 hover:border-blue-500 transition-colors">
-                  <div class="flex items-start gap-3">
-                    <input type="checkbox" id="clearhive-${key}" value="clearhive-${key}" 
-                      class="mt-1 cursor-pointer">
-                    <div class="flex-1">
-                      <label for="clearhive-${key}" class="font-semibold text-sm cursor-pointer text-blue-400 flex items-center gap-2">
-                        ${advisor.name}
-                        <select class="text-xs bg-gray-700 border border-gray-600 rounded px-2 py-1 text-white" 
-                          id="model-clearhive-${key}" onclick="event.stopPropagation()">
-                          <option value="gpt-4-turbo-preview">GPT-4 Turbo</option>
-                          <option value="gpt-4o-mini">GPT-4 Mini</option>
-                          <option value="claude-3-sonnet">Claude 3 Sonnet</option>
-                        </select>
-                      </label>
-                      <p class="text-xs text-gray-400 mt-1">${advisor.role}</p>
-                    </div>
-                  </div>
-                </div>
-              `).join('')}
+            <div class="flex justify-between items-center mb-3">
+              <h3 class="font-semibold text-sm">Advisory Board</h3>
+              <button onclick="editAdvisor()" class="text-xs text-blue-400 hover:text-blue-300">+ New advisor</button>
+            </div>
+            <div id="advisor-editor" class="hidden executive-card p-4 mb-4"></div>
+            <div id="advisor-cards" class="grid grid-cols-2 gap-3 mb-6">
+              <div class="text-xs text-gray-500">Loading advisors...</div>
             </div>
           </div>
           
           <!-- API Keys Tab -->
           <div id="api-keys-content" class="hidden">
             <div class="mb-4">
-              <p class="text-sm text-gray-400">Configure your API keys for different AI providers. Keys are stored securely in your browser.</p>
+              <p class="text-sm text-gray-400">Configure your API keys for different AI providers. Keys are encrypted on the server and never sent back to the browser.</p>
             </div>
             
             <div class="space-y-4">
@@ -1864,8 +6705,9 @@ class DecisionOSServer {
                     value="">
                   <button onclick="toggleKeyVisibility('openai-key')" class="exec-button secondary">Show</button>
                   <button onclick="testApiKey('openai')" class="exec-button">Test</button>
+                  <button onclick="removeApiKey('openai')" class="exec-button secondary">Remove</button>
                 </div>
-                <p class="text-xs text-gray-500 mt-1">For GPT-4, GPT-3.5 models</p>
+                <p class="text-xs text-gray-500 mt-1">For GPT-4, GPT-3.5 models · <span id="openai-key-status">Not configured</span></p>
               </div>
               
               <div>
@@ -1876,8 +6718,9 @@ class DecisionOSServer {
                     value="">
                   <button onclick="toggleKeyVisibility('anthropic-key')" class="exec-button secondary">Show</button>
                   <button onclick="testApiKey('anthropic')" class="exec-button">Test</button>
+                  <button onclick="removeApiKey('anthropic')" class="exec-button secondary">Remove</button>
                 </div>
-                <p class="text-xs text-gray-500 mt-1">For Claude 3 models</p>
+                <p class="text-xs text-gray-500 mt-1">For Claude 3 models · <span id="anthropic-key-status">Not configured</span></p>
               </div>
               
               <div>
@@ -1888,12 +6731,13 @@ class DecisionOSServer {
                     value="">
                   <button onclick="toggleKeyVisibility('gemini-key')" class="exec-button secondary">Show</button>
                   <button onclick="testApiKey('gemini')" class="exec-button">Test</button>
+                  <button onclick="removeApiKey('gemini')" class="exec-button secondary">Remove</button>
                 </div>
-                <p class="text-xs text-gray-500 mt-1">For Gemini Pro models</p>
+                <p class="text-xs text-gray-500 mt-1">For Gemini Pro models · <span id="gemini-key-status">Not configured</span></p>
               </div>
               
               <div class="mt-6 p-4 bg-yellow-900/20 border border-yellow-600/30 rounded">
-                <p class="text-xs text-yellow-400">⚠️ API keys are stored locally in your browser and never sent to our servers.</p>
+                <p class="text-xs text-yellow-400">🔒 Keys are stored AES-GCM encrypted under the server's ENCRYPTION_KEY. Leave a field empty to keep the saved key.</p>
               </div>
             </div>
           </div>
@@ -2102,6 +6946,121 @@ class DecisionOSServer {
       
       // Load saved configuration if exists
       loadSavedConfiguration();
+      loadAdvisors().then(renderAdvisorCards);
+    }
+    
+    function renderAdvisorCards() {
+      const container = document.getElementById('advisor-cards');
+      if (!container) return;
+      
+      container.innerHTML = advisorRegistry.agents.map(agent => \`
+        <div class="executive-card p-3 hover:border-blue-500 transition-colors">
+          <div class="flex items-start gap-3">
+            <input type="checkbox" id="agent-\${agent.id}" value="\${agent.id}" 
+              class="mt-1 cursor-pointer" \${advisorRegistry.roster.includes(agent.id) ? 'checked' : ''}>
+            <div class="flex-1">
+              <label for="agent-\${agent.id}" class="font-semibold text-sm cursor-pointer flex items-center gap-2">
+                \${escapeHtml(agent.name)}
+                <select class="text-xs bg-gray-700 border border-gray-600 rounded px-2 py-1" 
+                  id="model-\${agent.id}" onclick="event.stopPropagation()">
+                  \${MODEL_OPTIONS.map(model => \`<option value="\${model}" \${model === agent.model ? 'selected' : ''}>\${model}</option>\`).join('')}
+                </select>
+              </label>
+              <p class="text-xs text-gray-400 mt-1">\${escapeHtml(agent.role)}</p>
+              <div class="flex flex-wrap gap-1 mt-2">
+                \${(agent.expertise || []).slice(0, 3).map(skill => 
+                  \`<span class="text-xs bg-gray-700 px-2 py-1 rounded">\${escapeHtml(skill)}</span>\`
+                ).join('')}
+              </div>
+              <div class="flex gap-3 mt-2 text-xs">
+                <span class="text-gray-500">v\${agent.version}</span>
+                <button onclick="editAdvisor('\${agent.id}')" class="text-blue-400 hover:text-blue-300">Edit</button>
+                <button onclick="retireAdvisor('\${agent.id}')" class="text-red-400 hover:text-red-300">Retire</button>
+              </div>
+            </div>
+          </div>
+        </div>
+      \`).join('') || '<div class="text-xs text-gray-500">No advisors yet</div>';
+    }
+    
+    // Create (no id) or edit a persona; saving an edit adds a new version
+    function editAdvisor(agentId) {
+      const agent = advisorRegistry.agents.find(a => a.id === agentId) || {};
+      const editor = document.getElementById('advisor-editor');
+      const field = 'w-full bg-gray-700 border border-gray-600 rounded px-3 py-2 text-sm';
+      
+      editor.innerHTML = \`
+        <h4 class="font-semibold text-sm mb-3">\${agentId ? 'Edit ' + escapeHtml(agent.name) + ' (v' + agent.version + ')' : 'New advisor'}</h4>
+        <div class="grid grid-cols-2 gap-3">
+          <input id="persona-id" placeholder="id, e.g. payer-expert" class="\${field}" \${agentId ? 'disabled' : ''}>
+          <input id="persona-name" placeholder="Name" class="\${field}">
+          <input id="persona-role" placeholder="Role" class="\${field} col-span-2">
+          <input id="persona-personality" placeholder="Personality" class="\${field} col-span-2">
+          <input id="persona-expertise" placeholder="Expertise (comma separated)" class="\${field} col-span-2">
+          <textarea id="persona-constraints" placeholder="Constraints (one per line)" rows="3" class="\${field} col-span-2"></textarea>
+          <select id="persona-model" class="\${field}">
+            \${MODEL_OPTIONS.map(model => \`<option value="\${model}">\${model}</option>\`).join('')}
+          </select>
+          <input id="persona-temperature" type="number" min="0" max="2" step="0.1" placeholder="Temperature" class="\${field}">
+          <textarea id="persona-prompt" placeholder="System prompt" rows="5" class="\${field} col-span-2"></textarea>
+        </div>
+        <div class="flex justify-end gap-3 mt-3">
+          <button onclick="document.getElementById('advisor-editor').classList.add('hidden')" class="exec-button secondary">Cancel</button>
+          <button onclick="saveAdvisor(\${agentId ? "'" + agentId + "'" : ''})" class="exec-button">Save advisor</button>
+        </div>
+      \`;
+      
+      document.getElementById('persona-id').value = agentId || '';
+      document.getElementById('persona-name').value = agent.name || '';
+      document.getElementById('persona-role').value = agent.role || '';
+      document.getElementById('persona-personality').value = agent.personality || '';
+      document.getElementById('persona-expertise').value = (agent.expertise || []).join(', ');
+      document.getElementById('persona-constraints').value = (agent.constraints || []).join('\\n');
+      document.getElementById('persona-model').value = agent.model || MODEL_OPTIONS[0];
+      document.getElementById('persona-temperature').value = agent.temperature ?? 0.7;
+      document.getElementById('persona-prompt').value = agent.systemPrompt || '';
+      editor.classList.remove('hidden');
+    }
+    
+    async function saveAdvisor(agentId) {
+      const value = id => document.getElementById(id).value.trim();
+      const persona = {
+        name: value('persona-name'),
+        role: value('persona-role'),
+        personality: value('persona-personality'),
+        expertise: value('persona-expertise').split(',').map(s => s.trim()).filter(Boolean),
+        constraints: value('persona-constraints').split('\\n').map(s => s.trim()).filter(Boolean),
+        model: value('persona-model'),
+        temperature: Number(value('persona-temperature')),
+        systemPrompt: value('persona-prompt')
+      };
+      
+      const response = await fetch(agentId ? API + '/agents/' + agentId : API + '/agents', {
+        method: agentId ? 'PUT' : 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(agentId ? persona : { id: value('persona-id'), ...persona })
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        document.getElementById('config-status').textContent = [result.error, ...(result.details || [])].join(': ');
+        return;
+      }
+      
+      document.getElementById('config-status').textContent = \`Saved \${result.name} (v\${result.version})\`;
+      document.getElementById('advisor-editor').classList.add('hidden');
+      await loadAdvisors();
+      renderAdvisorCards();
+    }
+    
+    async function retireAdvisor(agentId) {
+      if (!confirm('Retire this advisor? Sessions pinned to it keep their version.')) return;
+      const response = await fetch(API + '/agents/' + agentId, { method: 'DELETE' });
+      if (!response.ok) {
+        document.getElementById('config-status').textContent = (await response.json()).error;
+        return;
+      }
+      await loadAdvisors();
+      renderAdvisorCards();
     }
     
     function closeAgentConfig() {
@@ -2142,69 +7101,89 @@ class DecisionOSServer {
       }
     }
     
+    // Tests the key typed in, or the stored one when the field is empty
     async function testApiKey(provider) {
-      const keyInput = document.getElementById(provider + '-key');
-      const key = keyInput.value.trim();
-      
-      if (!key) {
-        alert('Please enter an API key first');
-        return;
-      }
+      const button = event.target;
+      const key = document.getElementById(provider + '-key').value.trim();
+      const status = document.getElementById('config-status');
       
-      event.target.textContent = 'Testing...';
-      event.target.disabled = true;
+      button.textContent = 'Testing...';
+      button.disabled = true;
       
       try {
-        // Test the API key with a simple request
-        let response;
-        if (provider === 'openai') {
-          response = await fetch('https://api.openai.com/v1/models', {
-            headers: { 'Authorization': 'Bearer ' + key }
-          });
-        } else if (provider === 'anthropic') {
-          response = await fetch('https://api.anthropic.com/v1/messages', {
-            method: 'POST',
-            headers: {
-              'x-api-key': key,
-              'anthropic-version': '2023-06-01',
-              'content-type': 'application/json'
-            },
-            body: JSON.stringify({
-              model: 'claude-3-haiku-20240307',
-              messages: [{ role: 'user', content: 'Hi' }],
-              max_tokens: 10
-            })
-          });
-        } else if (provider === 'gemini') {
-          response = await fetch('https://generativelanguage.googleapis.com/v1beta/models?key=' + key);
-        }
+        const response = await fetch('/api/credentials/' + provider + '/test', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(key ? { apiKey: key } : {})
+        });
+        const result = await response.json();
         
-        if (response.ok || response.status === 429) { // 429 is rate limit, but key is valid
-          alert('✓ API key is valid!');
-          document.getElementById('config-status').textContent = provider + ' key validated';
-          document.getElementById('config-status').className = 'text-xs text-green-400';
+        if (response.ok && result.valid) {
+          status.textContent = provider + ' key validated';
+          status.className = 'text-xs text-green-400';
         } else {
-          alert('✗ Invalid API key. Please check and try again.');
-          document.getElementById('config-status').textContent = provider + ' key invalid';
-          document.getElementById('config-status').className = 'text-xs text-red-400';
+          status.textContent = provider + ' key invalid: ' + (result.error || 'rejected');
+          status.className = 'text-xs text-red-400';
         }
       } catch (error) {
-        alert('Error testing API key: ' + error.message);
+        status.textContent = 'Error testing API key: ' + error.message;
+        status.className = 'text-xs text-red-400';
       }
       
-      event.target.textContent = 'Test';
-      event.target.disabled = false;
+      button.textContent = 'Test';
+      button.disabled = false;
     }
     
-    function loadSavedConfiguration() {
-      // Load API keys from localStorage
-      const openaiKey = localStorage.getItem('openai_api_key');
-      const anthropicKey = localStorage.getItem('anthropic_api_key');
-      const geminiKey = localStorage.getItem('gemini_api_key');
+    async function removeApiKey(provider) {
+      if (!confirm('Remove the saved ' + provider + ' key?')) return;
+      const response = await fetch('/api/credentials/' + provider, { method: 'DELETE' });
+      if (!response.ok) {
+        const body = await response.json().catch(() => ({}));
+        document.getElementById('config-status').textContent = body.error || 'Could not remove the ' + provider + ' key';
+      }
+      loadCredentialStatus();
+    }
+    
+    async function saveApiKey(provider, apiKey) {
+      const response = await fetch('/api/credentials/' + provider, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ apiKey })
+      });
+      if (!response.ok) throw new Error((await response.json()).details?.join(', ') || 'Could not save the ' + provider + ' key');
+    }
+    
+    async function loadCredentialStatus() {
+      const response = await fetch('/api/credentials');
+      if (!response.ok) return;
       
-      if (openaiKey) document.getElementById('openai-key').value = openaiKey;
-      if (anthropicKey) document.getElementById('anthropic-key').value = anthropicKey;
-      if (geminiKey) document.getElementById('gemini-key').value = geminiKey;
+      const { credentials } = await response.json();
+      credentials.forEach(credential => {
+        const label = document.getElementById(credential.provider + '-key-status');
+        if (!label) return;
+        label.textContent = credential.source === 'vault'
+          ? (credential.readable ? 'Saved (' + credential.hint + ')' : 'Saved under a different ENCRYPTION_KEY; re-enter it')
+          : credential.source === 'environment' ? 'Set by server environment' : 'Not configured';
+      });
+    }
+    
+    // Keys saved by older versions lived in localStorage; move them to the vault
+    async function migrateLocalApiKeys() {
+      for (const provider of ['openai', 'anthropic', 'gemini']) {
+        const legacyKey = localStorage.getItem(provider + '_api_key');
+        if (!legacyKey) continue;
+        try {
+          await saveApiKey(provider, legacyKey);
+          localStorage.removeItem(provider + '_api_key');
+        } catch (error) {
+          console.warn('Could not migrate ' + provider + ' key:', error.message);
+        }
+      }
+    }
+    
+    function loadSavedConfiguration() {
+      // Stored keys are never sent back; show their status instead
+      migrateLocalApiKeys().then(loadCredentialStatus);
       
       // Load budget settings
       const sessionLimit = localStorage.getItem('session_limit') || '10.00';
@@ -2215,17 +7194,6 @@ class DecisionOSServer {
       document.getElementById('daily-limit').value = dailyLimit;
       document.getElementById('monthly-limit').value = monthlyLimit;
       
-      // Load saved agent configuration
-      const savedAgents = localStorage.getItem('selected_agents');
-      if (savedAgents) {
-        const agents = JSON.parse(savedAgents);
-        agents.forEach(agentId => {
-          const checkbox = document.getElementById('agent-' + agentId) || 
-                           document.getElementById('clearhive-' + agentId);
-          if (checkbox) checkbox.checked = true;
-        });
-      }
-      
       // Load advanced settings
       const advancedSettings = localStorage.getItem('advanced_settings');
       if (advancedSettings) {
@@ -2249,40 +7217,22 @@ class DecisionOSServer {
       document.getElementById('temp-display').textContent = (value / 10).toFixed(1);
     }
     
-    function getAvailableAgents() {
-      return {
-        ceo: { name: 'Chief Executive', role: 'Strategic vision and leadership', expertise: ['Strategy', 'Leadership', 'Vision'] },
-        cfo: { name: 'Chief Financial Officer', role: 'Financial strategy and analysis', expertise: ['Financial Modeling', 'Risk Management', 'Valuation'] },
-        cto: { name: 'Chief Technology Officer', role: 'Technology strategy and innovation', expertise: ['Architecture', 'Digital Transformation', 'Cybersecurity'] },
-        coo: { name: 'Chief Operating Officer', role: 'Operational excellence', expertise: ['Operations', 'Process Optimization', 'Quality'] },
-        cmo: { name: 'Chief Marketing Officer', role: 'Market strategy and growth', expertise: ['Market Strategy', 'Brand', 'Customer Experience'] },
-        legal: { name: 'General Counsel', role: 'Legal and compliance', expertise: ['Corporate Law', 'Compliance', 'Contracts'] },
-        strategist: { name: 'Chief Strategy Officer', role: 'Strategic planning', expertise: ['Planning', 'Competitive Analysis', 'M&A'] }
-      };
-    }
-    
-    function getDefaultAgents() {
-      return ['ceo', 'cfo', 'strategist'];
-    }
-    
-    function getClearHiveAdvisors() {
-      return {
-        healthcare: { name: 'Healthcare Strategy Advisor', role: 'Behavioral health industry expertise' },
-        compliance: { name: 'HIPAA Compliance Expert', role: 'Healthcare regulatory compliance' },
-        sales: { name: 'B2B Healthcare Sales', role: 'Enterprise healthcare sales strategy' },
-        clinical: { name: 'Clinical Operations', role: 'Treatment center operations expertise' }
-      };
-    }
-    
-    function saveAgentConfig() {
-      // Save API keys
-      const openaiKey = document.getElementById('openai-key')?.value.trim();
-      const anthropicKey = document.getElementById('anthropic-key')?.value.trim();
-      const geminiKey = document.getElementById('gemini-key')?.value.trim();
-      
-      if (openaiKey) localStorage.setItem('openai_api_key', openaiKey);
-      if (anthropicKey) localStorage.setItem('anthropic_api_key', anthropicKey);
-      if (geminiKey) localStorage.setItem('gemini_api_key', geminiKey);
+    async function saveAgentConfig() {
+      // Save API keys to the server vault (empty fields keep the stored key)
+      const savedKeys = [];
+      for (const provider of ['openai', 'anthropic', 'gemini']) {
+        const input = document.getElementById(provider + '-key');
+        const apiKey = input?.value.trim();
+        if (!apiKey) continue;
+        try {
+          await saveApiKey(provider, apiKey);
+          input.value = '';
+          savedKeys.push(provider);
+        } catch (error) {
+          document.getElementById('config-status').textContent = error.message;
+          return;
+        }
+      }
       
       // Save budget settings
       const sessionLimit = document.getElementById('session-limit')?.value || '10.00';
@@ -2293,23 +7243,46 @@ class DecisionOSServer {
       localStorage.setItem('daily_limit', dailyLimit);
       localStorage.setItem('monthly_limit', monthlyLimit);
       
-      // Save selected agents
+      // Save the roster, and a new persona version for any model change
       const selectedAgents = [];
       const agentModels = {};
+      const modelErrors = [];
       
-      document.querySelectorAll('input[type="checkbox"]:checked').forEach(cb => {
-        const agentId = cb.value;
-        selectedAgents.push(agentId);
+      for (const agent of advisorRegistry.agents) {
+        const checkbox = document.getElementById('agent-' + agent.id);
+        const modelSelect = document.getElementById('model-' + agent.id);
+        if (checkbox?.checked) selectedAgents.push(agent.id);
+        if (!modelSelect) continue;
         
-        // Get the selected model for this agent
-        const modelSelect = document.getElementById('model-' + agentId);
-        if (modelSelect) {
-          agentModels[agentId] = modelSelect.value;
+        agentModels[agent.id] = modelSelect.value;
+        if (modelSelect.value !== agent.model) {
+          const response = await fetch(API + '/agents/' + agent.id, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ model: modelSelect.value })
+          });
+          if (!response.ok) {
+            const body = await response.json().catch(() => ({}));
+            modelErrors.push(agent.name + ': ' + (body.details?.join(', ') || body.error || 'model not saved'));
+          }
         }
-      });
+      }
+      if (modelErrors.length) {
+        document.getElementById('config-status').textContent = 'Could not change models. ' + modelErrors.join('; ');
+        await loadAdvisors();
+        return;
+      }
       
-      localStorage.setItem('selected_agents', JSON.stringify(selectedAgents));
-      localStorage.setItem('agent_models', JSON.stringify(agentModels));
+      const rosterResponse = await fetch(API + '/agents/roster', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ agents: selectedAgents })
+      });
+      if (!rosterResponse.ok) {
+        document.getElementById('config-status').textContent = (await rosterResponse.json()).details?.join(', ') || 'Could not save the advisory board';
+        return;
+      }
+      await loadAdvisors();
       
       // Save advanced settings
       const advancedSettings = {
@@ -2332,11 +7305,7 @@ class DecisionOSServer {
       const config = {
         agents: selectedAgents,
         agentModels: agentModels,
-        apiKeys: {
-          openai: openaiKey,
-          anthropic: anthropicKey,
-          gemini: geminiKey
-        },
+        apiKeys: savedKeys,
         budget: {
           session: parseFloat(sessionLimit),
           daily: parseFloat(dailyLimit),
@@ -2349,7 +7318,6 @@ class DecisionOSServer {
       window.agentConfiguration = config;
       
       // Update UI
-      updateAgentList(selectedAgents);
       closeAgentConfig();
       
       addMessageToDiscussion('System', \`Configuration saved! Selected \${selectedAgents.length} advisors with budget limits.\`, 'system');
@@ -2357,12 +7325,11 @@ class DecisionOSServer {
     
     function updateAgentList(agents) {
       const agentList = document.getElementById('agent-list');
-      const allAgents = {...getAvailableAgents(), ...getClearHiveAdvisors()};
       
-      agentList.innerHTML = agents.map(agentKey => {
-        const agent = allAgents[agentKey] || allAgents[agentKey.replace('clearhive-', '')];
+      agentList.innerHTML = agents.map(agentId => {
+        const agent = advisorRegistry.agents.find(a => a.id === agentId);
         if (!agent) return '';
-        return \`<div class="text-xs text-gray-400">• \${agent.name}</div>\`;
+        return \`<div class="text-xs text-gray-400">• \${escapeHtml(agent.name)}</div>\`;
       }).join('');
     }
     
@@ -2431,6 +7398,7 @@ class DecisionOSServer {
                 <option value="operational">Operational</option>
                 <option value="personnel">Personnel</option>
                 <option value="technology">Technology</option>
+                <option value="compliance">Compliance</option>
               </select>
             </div>
             
@@ -2482,47 +7450,361 @@ class DecisionOSServer {
       document.body.appendChild(modal);
     }
     
-    function saveDecision() {
+    async function saveDecision() {
       const decision = {
         title: document.getElementById('decision-title').value,
         category: document.getElementById('decision-category').value,
         impact: document.getElementById('decision-impact').value,
-        confidence: document.getElementById('decision-confidence').value,
+        confidenceLevel: document.getElementById('decision-confidence').value,
         priority: document.getElementById('decision-priority').value,
-        timeline: document.getElementById('decision-timeline').value,
-        timestamp: new Date().toISOString()
+        timeline: document.getElementById('decision-timeline').value
       };
       
-      // Save to localStorage for now
-      const decisions = JSON.parse(localStorage.getItem('decisions') || '[]');
-      decisions.push(decision);
-      localStorage.setItem('decisions', JSON.stringify(decisions));
+      const sessionId = await ensureSession();
+      const response = await fetch(API + '/decision/' + sessionId, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(decision)
+      });
+      const result = await response.json();
+      
+      if (!response.ok) {
+        alert(result.error + (result.details ? ': ' + result.details.join('; ') : ''));
+        return;
+      }
       
       // Update UI
-      updateDecisionsList();
+      await updateDecisionsList();
       document.getElementById('decision-modal').remove();
     }
     
-    function updateDecisionsList() {
-      const decisions = JSON.parse(localStorage.getItem('decisions') || '[]');
-      const decisionOS = document.querySelector('.executive-card h3 span').parentElement.parentElement;
+    async function setDecisionStatus(decisionId, status) {
+      const sessionId = await ensureSession();
+      const response = await fetch(API + '/decision/' + sessionId + '/' + decisionId + '/status', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ status })
+      });
+      
+      if (!response.ok) {
+        const result = await response.json();
+        alert(result.error);
+      }
+      await updateDecisionsList();
+    }
+    
+    async function requestAdvisorVotes(decisionId) {
+      const sessionId = await ensureSession();
+      addMessageToDiscussion('System', 'Collecting advisor votes...', 'system');
+      
+      const response = await fetch(API + '/decision/' + sessionId + '/' + decisionId + '/agent-votes', {
+        method: 'POST'
+      });
+      const result = await response.json();
+      
+      if (!response.ok) {
+        alert(result.error);
+        return;
+      }
+      result.results.forEach(r => {
+        addMessageToDiscussion(r.agentId.toUpperCase() + ' vote', r.error ? 'No vote: ' + r.error : r.vote + ' (' + Math.round(r.confidence * 100) + '%): ' + r.rationale, r.error ? 'system' : 'ai');
+      });
+      await updateDecisionsList();
+    }
+    
+    async function updateDecisionsList() {
+      const sessionId = await ensureSession();
+      const response = await fetch(API + '/decision/' + sessionId);
+      if (!response.ok) return;
       
-      if (decisions.length > 0) {
-        const listHtml = decisions.map(d => \`
-          <div class="mt-2 p-2 bg-gray-700 rounded">
-            <div class="font-semibold text-sm">\${d.title}</div>
-            <div class="text-xs text-gray-400">\${d.category} • \${d.priority} priority</div>
+      const { decisions } = await response.json();
+      document.getElementById('decision-count').textContent = decisions.length;
+      
+      const statusClass = { proposed: 'text-yellow-400', approved: 'text-green-400', rejected: 'text-red-400', deferred: 'text-gray-400' };
+      document.getElementById('decisions-list').innerHTML = decisions.map(d => \`
+        <div class="mt-2 p-2 bg-gray-700 rounded">
+          <div class="flex justify-between">
+            <div class="font-semibold text-sm">\${escapeHtml(d.title)}</div>
+            <div class="text-xs \${statusClass[d.status] || ''}">\${d.status}</div>
           </div>
-        \`).join('');
-        
-        decisionOS.innerHTML = \`
-          <h3 class="text-sm font-semibold mb-3 flex items-center justify-between">
-            <span>Active Decisions</span>
-            <span class="text-xs text-gray-400">\${decisions.length}</span>
-          </h3>
-          \${listHtml}
-        \`;
+          <div class="text-xs text-gray-400">\${d.category || 'uncategorized'} • \${d.priority || 'medium'} priority • \${Object.keys(d.votes).length} votes • \${Math.round(d.confidence * 100)}% confidence</div>
+          \${d.status === 'proposed' || d.status === 'deferred' ? \`
+            <div class="flex gap-2 mt-2 text-xs">
+              <button class="text-blue-400" onclick="requestAdvisorVotes('\${d.id}')">Advisor vote</button>
+              <button class="text-green-400" onclick="setDecisionStatus('\${d.id}', 'approved')">Approve</button>
+              <button class="text-red-400" onclick="setDecisionStatus('\${d.id}', 'rejected')">Reject</button>
+              \${d.status === 'proposed' ? \`<button class="text-gray-400" onclick="setDecisionStatus('\${d.id}', 'deferred')">Defer</button>\` : ''}
+            </div>\` : ''}
+        </div>
+      \`).join('');
+    }
+    
+    // KPI ledger: actuals, quarterly targets and the launch metrics card
+    function formatKpi(value, unit) {
+      if (value === null || value === undefined) return '—';
+      return (unit === 'usd' ? '$' : '') + Math.round(value).toLocaleString();
+    }
+    
+    async function loadKpis() {
+      const response = await fetch(API + '/metrics');
+      if (!response.ok) return;
+      const report = await response.json();
+      const units = Object.fromEntries(report.kpis.map(k => [k.metric, k.unit]));
+      
+      document.getElementById('kpi-cards').innerHTML = report.kpis.map(k => \`
+        <div class="metric-card">
+          <div class="text-xs text-gray-400">\${escapeHtml(k.label)}</div>
+          <div class="text-2xl font-bold">\${formatKpi(k.current, k.unit)}</div>
+          <div class="text-xs text-gray-500">
+            \${k.asOf ? 'as of ' + k.asOf : k.source === 'context' ? 'from company context' : ''}
+            \${k.trend ? ' • ' + (k.trend.perMonth >= 0 ? '+' : '') + formatKpi(k.trend.perMonth, k.unit) + '/mo' : ''}
+          </div>
+        </div>
+      \`).join('');
+      
+      const statusClass = { met: 'text-green-400', on_track: 'text-blue-400', behind: 'text-yellow-400', missed: 'text-red-400', no_data: 'text-gray-500', open: 'text-gray-400' };
+      document.getElementById('kpi-targets').innerHTML = report.targets.map(t => \`
+        <tr class="border-t border-gray-700 \${t.quarter === report.currentQuarter ? 'bg-gray-700' : ''}">
+          <td class="py-1">\${escapeHtml(t.quarter.toUpperCase().replace('_', ' '))}</td>
+          <td>\${escapeHtml(t.metric)}</td>
+          <td class="font-mono">\${formatKpi(t.target, units[t.metric])}</td>
+          <td class="font-mono">\${formatKpi(t.actual, units[t.metric])}</td>
+          <td class="font-mono">\${t.variancePct === null ? '—' : (t.variancePct > 0 ? '+' : '') + t.variancePct + '%'}</td>
+          <td>\${t.attainedOn ? 'reached ' + t.attainedOn : t.projectedDate || '—'}</td>
+          <td class="\${statusClass[t.status] || ''}">\${t.status.replace('_', ' ')}</td>
+        </tr>
+      \`).join('');
+      
+      const finalTargets = Object.values(report.targets.reduce((last, t) => ({ ...last, [t.metric]: t }), {}));
+      const arrTarget = finalTargets.find(t => t.metric === 'arr');
+      document.getElementById('launch-runway').textContent = report.runwayMonths !== null ? report.runwayMonths + ' months'
+        : report.netBurn <= 0 ? 'Cash-flow positive' : '—';
+      document.getElementById('launch-burn').textContent = formatKpi(Math.max(0, report.netBurn), 'usd') + '/mo';
+      document.getElementById('launch-target-arr').textContent = arrTarget ? formatKpi(arrTarget.target, 'usd') : '—';
+      document.getElementById('launch-pilots').textContent = formatKpi(report.current.pilots, 'count');
+    }
+    
+    function recordActuals() {
+      const modal = document.createElement('div');
+      modal.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50';
+      modal.id = 'kpi-modal';
+      
+      const fields = [['mrr', 'MRR ($)'], ['arr', 'ARR ($, blank for MRR x 12)'], ['customers', 'Customers'], ['pilots', 'Pilots'], ['conversions', 'Pilot conversions'], ['cash', 'Cash ($)']];
+      modal.innerHTML = \`
+        <div class="bg-gray-800 rounded-lg p-6 w-[500px]">
+          <h2 class="text-xl font-semibold mb-4">Record Actuals</h2>
+          
+          <div class="space-y-4">
+            <div>
+              <label class="text-sm text-gray-400">As of</label>
+              <input type="date" id="kpi-date" value="\${new Date().toISOString().slice(0, 10)}"
+                class="w-full bg-gray-700 border border-gray-600 rounded px-3 py-2 mt-1">
+            </div>
+            
+            <div class="grid grid-cols-2 gap-4">
+              \${fields.map(([metric, label]) => \`
+                <div>
+                  <label class="text-sm text-gray-400">\${label}</label>
+                  <input type="number" min="0" data-metric="\${metric}"
+                    class="kpi-value w-full bg-gray-700 border border-gray-600 rounded px-3 py-2 mt-1">
+                </div>
+              \`).join('')}
+            </div>
+            
+            <div>
+              <label class="text-sm text-gray-400">Note</label>
+              <input type="text" id="kpi-note" maxlength="500"
+                class="w-full bg-gray-700 border border-gray-600 rounded px-3 py-2 mt-1"
+                placeholder="e.g., Month-end close">
+            </div>
+          </div>
+          
+          <div class="flex justify-end gap-3 mt-6">
+            <button onclick="document.getElementById('kpi-modal').remove()" 
+              class="exec-button secondary">Cancel</button>
+            <button onclick="saveActuals()" class="exec-button">Save</button>
+          </div>
+        </div>
+      \`;
+      
+      document.body.appendChild(modal);
+    }
+    
+    async function saveActuals() {
+      const values = {};
+      document.querySelectorAll('.kpi-value').forEach(input => {
+        if (input.value !== '') values[input.dataset.metric] = Number(input.value);
+      });
+      
+      const response = await fetch(API + '/metrics/entries', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          date: document.getElementById('kpi-date').value,
+          values,
+          note: document.getElementById('kpi-note').value
+        })
+      });
+      const result = await response.json();
+      
+      if (!response.ok) {
+        alert(result.error + (result.details ? ': ' + result.details.join('; ') : ''));
+        return;
+      }
+      
+      document.getElementById('kpi-modal').remove();
+      await loadKpis();
+    }
+    
+    // Milestones: the sidebar checklist, the timeline view and new milestones
+    const milestoneHealth = {
+      on_track: 'text-green-400', at_risk: 'text-yellow-400', slipping: 'text-orange-400',
+      overdue: 'text-red-400', complete: 'text-gray-500', cancelled: 'text-gray-500'
+    };
+    
+    async function loadMilestones() {
+      const response = await fetch(API + '/milestones/timeline');
+      if (!response.ok) return;
+      const { rows } = await response.json();
+      
+      const open = rows.filter(row => row.status !== 'complete');
+      const slipping = open.filter(row => row.health === 'slipping' || row.health === 'overdue').length;
+      const summary = document.getElementById('milestone-summary');
+      summary.textContent = slipping ? slipping + ' slipping' : open.length ? 'On track' : 'All complete';
+      summary.className = 'text-xs ' + (slipping ? 'text-red-400' : 'text-green-400');
+      
+      document.getElementById('milestone-list').innerHTML = open.slice(0, 6).map(row => \`
+        <div class="flex items-center gap-2">
+          <input type="checkbox" class="rounded" onchange="completeMilestone('\${row.id}')">
+          <div class="flex-1">
+            <div>\${escapeHtml(row.title)}</div>
+            <div class="text-gray-500">
+              due \${row.end}\${row.owner ? ' • ' + escapeHtml(row.owner) : ''}
+              \${row.progress.total ? ' • ' + row.progress.done + '/' + row.progress.total + ' actions' : ''}
+            </div>
+          </div>
+          <span class="\${milestoneHealth[row.health] || ''}">\${row.health.replace('_', ' ')}\${row.slipDays ? ' +' + row.slipDays + 'd' : ''}</span>
+        </div>
+      \`).join('') || '<div class="text-gray-500">No open milestones</div>';
+    }
+    
+    async function completeMilestone(milestoneId) {
+      const response = await fetch(API + '/milestones/' + milestoneId, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ status: 'complete' })
+      });
+      if (!response.ok) alert((await response.json()).error);
+      await loadMilestones();
+    }
+    
+    // Gantt chart: one bar per milestone from start to due date, a red
+    // overrun to the forecast finish when slipping, and a line for today
+    async function showTimeline() {
+      const response = await fetch(API + '/milestones/timeline');
+      if (!response.ok) return;
+      const { asOf, range, rows } = await response.json();
+      
+      const day = date => Date.parse(date) / 86400000;
+      const first = range ? Math.min(day(range.start), day(asOf)) : day(asOf);
+      const span = range ? Math.max(day(range.end), day(asOf)) - first + 1 : 1;
+      const offset = date => ((day(date) - first) / span * 100).toFixed(2) + '%';
+      const width = (from, to) => Math.max(0.6, (day(to) - day(from) + 1) / span * 100).toFixed(2) + '%';
+      const barColor = { on_track: 'bg-green-600', at_risk: 'bg-yellow-600', slipping: 'bg-orange-600', overdue: 'bg-red-600', complete: 'bg-gray-500' };
+      
+      const modal = document.createElement('div');
+      modal.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50';
+      modal.id = 'timeline-modal';
+      modal.innerHTML = \`
+        <div class="bg-gray-800 rounded-lg p-6 w-[900px] max-h-[80vh] overflow-y-auto">
+          <div class="flex justify-between items-center mb-4">
+            <h2 class="text-xl font-semibold">Milestone Timeline</h2>
+            <span class="text-xs text-gray-400">\${range ? range.start + ' → ' + range.end : ''}</span>
+          </div>
+          <div class="space-y-2 text-xs">
+            \${rows.map(row => \`
+              <div class="flex items-center gap-3">
+                <div class="w-56 truncate" title="\${escapeHtml(row.title)}">\${escapeHtml(row.title)}</div>
+                <div class="flex-1 relative h-4 bg-gray-700 rounded">
+                  <div class="absolute inset-y-0 border-l border-blue-400" style="left: \${offset(asOf)}"></div>
+                  <div class="absolute inset-y-0 rounded \${barColor[row.health] || 'bg-gray-500'}"
+                    style="left: \${offset(row.start)}; width: \${width(row.start, row.end)}"></div>
+                  \${row.slipDays ? \`<div class="absolute inset-y-0 rounded bg-red-800 opacity-75"
+                    style="left: \${offset(row.end)}; width: \${width(row.end, row.forecastEnd)}"></div>\` : ''}
+                </div>
+                <div class="w-24 text-right \${milestoneHealth[row.health] || ''}">\${row.end}</div>
+              </div>
+            \`).join('') || '<div class="text-gray-500">No dated milestones</div>'}
+          </div>
+          <div class="flex justify-end mt-6">
+            <button onclick="document.getElementById('timeline-modal').remove()" class="exec-button secondary">Close</button>
+          </div>
+        </div>
+      \`;
+      document.body.appendChild(modal);
+    }
+    
+    function addMilestone() {
+      const modal = document.createElement('div');
+      modal.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50';
+      modal.id = 'milestone-modal';
+      
+      modal.innerHTML = \`
+        <div class="bg-gray-800 rounded-lg p-6 w-[500px]">
+          <h2 class="text-xl font-semibold mb-4">Add Milestone</h2>
+          
+          <div class="space-y-4">
+            <div>
+              <label class="text-sm text-gray-400">Milestone</label>
+              <input type="text" id="milestone-title" maxlength="200"
+                class="w-full bg-gray-700 border border-gray-600 rounded px-3 py-2 mt-1"
+                placeholder="e.g., Complete SOC 2 Type I">
+            </div>
+            
+            <div class="grid grid-cols-2 gap-4">
+              <div>
+                <label class="text-sm text-gray-400">Owner</label>
+                <input type="text" id="milestone-owner" maxlength="200"
+                  class="w-full bg-gray-700 border border-gray-600 rounded px-3 py-2 mt-1">
+              </div>
+              <div>
+                <label class="text-sm text-gray-400">Due Date</label>
+                <input type="date" id="milestone-due"
+                  class="w-full bg-gray-700 border border-gray-600 rounded px-3 py-2 mt-1">
+              </div>
+            </div>
+          </div>
+          
+          <div class="flex justify-end gap-3 mt-6">
+            <button onclick="document.getElementById('milestone-modal').remove()" 
+              class="exec-button secondary">Cancel</button>
+            <button onclick="saveMilestone()" class="exec-button">Save Milestone</button>
+          </div>
+        </div>
+      \`;
+      
+      document.body.appendChild(modal);
+    }
+    
+    async function saveMilestone() {
+      const response = await fetch(API + '/milestones', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          title: document.getElementById('milestone-title').value,
+          owner: document.getElementById('milestone-owner').value,
+          dueDate: document.getElementById('milestone-due').value
+        })
+      });
+      const result = await response.json();
+      
+      if (!response.ok) {
+        alert(result.error + (result.details ? ': ' + result.details.join('; ') : ''));
+        return;
       }
+      
+      document.getElementById('milestone-modal').remove();
+      await loadMilestones();
     }
     
     // Scenario presets function
@@ -2540,16 +7822,138 @@ class DecisionOSServer {
         if (document.getElementById('growth-slider')) {
           document.getElementById('growth-slider').value = presets[preset].growth;
         }
-        updateScenario();
+        updateScenario(true);
       }
     }
     
-    // Initialize on load
-    document.addEventListener('DOMContentLoaded', () => {
-      updateChart();
+    // Authentication: the login cookie is HttpOnly, so ask the server who we are
+    async function checkSignIn() {
+      const response = await fetch('/api/auth/me');
+      if (response.status === 401) {
+        showSignIn();
+        return false;
+      }
+      const { user, requireAuth } = await response.json();
+      if (requireAuth) {
+        document.getElementById('signed-in-user').textContent = \`(\${user.username}, \${user.role})\`;
+        document.getElementById('sign-out-button').classList.remove('hidden');
+      }
+      return true;
+    }
+    
+    function showSignIn(message = '') {
+      document.getElementById('sign-in-modal')?.remove();
+      const modal = document.createElement('div');
+      modal.className = 'fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-50';
+      modal.id = 'sign-in-modal';
+      
+      modal.innerHTML = \`
+        <form class="bg-gray-800 rounded-lg p-6 w-[400px]" onsubmit="event.preventDefault(); signIn()">
+          <h2 class="text-xl font-semibold mb-4">Sign in to Decision OS</h2>
+          <div class="space-y-3">
+            <input type="text" id="sign-in-username" placeholder="Username" autocomplete="username"
+              class="w-full bg-gray-700 border border-gray-600 rounded px-3 py-2 text-sm">
+            <input type="password" id="sign-in-password" placeholder="Password" autocomplete="current-password"
+              class="w-full bg-gray-700 border border-gray-600 rounded px-3 py-2 text-sm">
+            <p class="text-sm text-red-400" id="sign-in-error"></p>
+          </div>
+          <div class="flex justify-end mt-4">
+            <button type="submit" class="exec-button">Sign in</button>
+          </div>
+        </form>
+      \`;
+      
+      document.body.appendChild(modal);
+      document.getElementById('sign-in-error').textContent = message;
+      document.getElementById('sign-in-username').focus();
+    }
+    
+    async function signIn() {
+      const response = await fetch('/api/auth/login', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          username: document.getElementById('sign-in-username').value,
+          password: document.getElementById('sign-in-password').value
+        })
+      });
+      if (!response.ok) {
+        const { error } = await response.json();
+        document.getElementById('sign-in-error').textContent = error;
+        return;
+      }
+      document.getElementById('sign-in-modal').remove();
+      await initializeWorkspace();
+    }
+    
+    async function signOut() {
+      await fetch('/api/auth/logout', { method: 'POST' });
+      location.reload();
+    }
+    
+    async function initializeWorkspace() {
+      if (!(await checkSignIn())) return;
       updateScenario();
       updateDecisionsList();
-    });
+      loadAdvisors();
+      loadKpis();
+      loadMilestones();
+      loadSessions();
+      updateConsensus();
+      loadWorkspaces();
+    }
+    
+    // Switcher between the workspace's active sessions
+    async function loadSessions() {
+      const currentId = await ensureSession();
+      const response = await fetch(API + '/session?state=active&pageSize=50');
+      if (!response.ok) return;
+      const { sessions } = await response.json();
+      
+      document.getElementById('session-select').innerHTML = sessions.map(s => \`
+        <option value="\${s.id}" \${s.id === currentId ? 'selected' : ''}>
+          \${escapeHtml(s.title || 'Session of ' + new Date(s.createdAt).toLocaleDateString())}
+        </option>
+      \`).join('') + '<option value="new">+ New session</option>';
+    }
+    
+    async function selectSession(sessionId) {
+      if (sessionId === 'new') {
+        const title = prompt('Session title');
+        if (title === null) return loadSessions();
+        const response = await fetch(API + '/session', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ title })
+        });
+        if (!response.ok) return alert((await response.json()).error);
+        sessionId = (await response.json()).sessionId;
+      }
+      localStorage.setItem('session_id:' + WORKSPACE_ID, sessionId);
+      location.reload();
+    }
+    
+    // Switcher between the workspaces this user can open
+    async function loadWorkspaces() {
+      const response = await fetch('/api/workspaces');
+      if (!response.ok) return;
+      const { workspaces } = await response.json();
+      // Users limited to other workspaces land on their first one
+      if (workspaces.length && !workspaces.some(w => w.id === WORKSPACE_ID)) {
+        location.href = '/w/' + workspaces[0].id;
+        return;
+      }
+      if (workspaces.length < 2) return;
+      
+      const select = document.getElementById('workspace-select');
+      select.innerHTML = workspaces.map(w =>
+        \`<option value="\${w.id}" \${w.id === WORKSPACE_ID ? 'selected' : ''}>\${escapeHtml(w.name)}</option>\`
+      ).join('');
+      select.classList.remove('hidden');
+    }
+    
+    // Initialize on load
+    document.addEventListener('DOMContentLoaded', initializeWorkspace);
   </script>
 </body>
 </html>`;
@@ -2560,19 +7964,19 @@ class DecisionOSServer {
       console.log(`
 ╔══════════════════════════════════════════════════════════════╗
 ║                                                              ║
-║                   🚀 CLEARHIVE HEALTH 🏥                    ║
-║               Launch Command Center v1.0                     ║
+║                      🧭 DECISION OS PRO                      ║
+║          Strategic Decision & Planning Platform v1.0         ║
 ║                                                              ║
-║  Founders: Jimmy & Mike                                      ║
-║  Mission:  Transform Healthcare Delivery                     ║
-║  Status:   ✓ Ready to Launch                                ║
 ║  Port:     ${CONFIG.port}                                          ║
 ║  URL:      http://localhost:${CONFIG.port}                         ║
 ║                                                              ║
-║  "Building the future of healthcare, one provider at a time" ║
-║                                                              ║
 ╚══════════════════════════════════════════════════════════════╝
       `);
+      this.workspaces.ready.then(() => {
+        for (const os of this.workspaces.workspaces.values()) {
+          console.log(`  ${os.workspace.name}: http://localhost:${CONFIG.port}/w/${os.workspace.id}`);
+        }
+      }, () => {});
     });
   }
 }
@@ -2581,8 +7985,8 @@ class DecisionOSServer {
 // INITIALIZATION
 // ==========================================
 
-const decisionOS = new DecisionOS();
-const server = new DecisionOSServer(decisionOS);
+const workspaces = new WorkspaceManager();
+const server = new DecisionOSServer(workspaces);
 server.start();
 
-export { DecisionOS, StrategicSession, FinancialEngine, MetricsEngine };
+export { WorkspaceManager, DecisionOS, StrategicSession, FinancialEngine, MetricsEngine };
@@ -0,0 +1,57 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, createSession } from './helpers.mjs';
+
+let server;
+let sessionId;
+
+before(async () => {
+  server = await startServer();
+  sessionId = await createSession(server);
+});
+after(() => server?.stop());
+
+async function addAction(fields) {
+  const { status, data } = await server.request('POST', `/api/action/${sessionId}`, { body: fields });
+  assert.equal(status, 201, JSON.stringify(data));
+  return data;
+}
+
+test('the critical path follows the longest chain of open work', async () => {
+  const design = await addAction({ title: 'Design pilot', estimate: 3 });
+  const build = await addAction({ title: 'Build integration', estimate: 10, dependencies: [design.id] });
+  const legal = await addAction({ title: 'Sign BAA', estimate: 2 });
+  const launch = await addAction({ title: 'Launch pilot', estimate: 1, dependencies: [build.id, legal.id] });
+  
+  const { data } = await server.request('GET', `/api/action/${sessionId}/graph`);
+  assert.deepEqual(data.criticalPath, { path: [design.id, build.id, launch.id], duration: 14 });
+  assert.ok(data.order.indexOf(build.id) > data.order.indexOf(design.id));
+  assert.deepEqual(data.blocked.map(b => b.id).sort(), [build.id, launch.id].sort());
+  
+  // Finished work drops off the path and out of the duration
+  await server.request('POST', `/api/action/${sessionId}/${design.id}/status`, { body: { status: 'done' } });
+  const after = await server.request('GET', `/api/action/${sessionId}/graph`);
+  assert.deepEqual(after.data.criticalPath, { path: [build.id, launch.id], duration: 11 });
+});
+
+test('dependencies that would form a cycle are rejected', async () => {
+  const first = await addAction({ title: 'First' });
+  const second = await addAction({ title: 'Second', dependencies: [first.id] });
+  
+  const { status, data } = await server.request('PUT', `/api/action/${sessionId}/${first.id}`, {
+    body: { dependencies: [second.id] }
+  });
+  assert.equal(status, 409);
+  assert.deepEqual(data.details, [first.id, second.id, first.id]);
+  
+  const unchanged = await server.request('GET', `/api/action/${sessionId}/${first.id}`);
+  assert.deepEqual(unchanged.data.dependencies, []);
+});
+
+test('due dates must be real calendar days', async () => {
+  for (const dueDate of ['2025-02-30', '1', '2025-13-01']) {
+    const { status } = await server.request('POST', `/api/action/${sessionId}`, { body: { title: 'Bad date', dueDate } });
+    assert.equal(status, 400, dueDate);
+  }
+  assert.equal((await addAction({ title: 'Good date', dueDate: '2024-02-29' })).dueDate, '2024-02-29');
+});
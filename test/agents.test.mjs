@@ -0,0 +1,64 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, createSession } from './helpers.mjs';
+
+let server;
+before(async () => {
+  server = await startServer();
+});
+after(() => server?.stop());
+
+const ADVISOR = {
+  id: 'head-of-growth',
+  name: 'Chief Marketing Officer',
+  role: 'Owns positioning, demand generation and the brand',
+  expertise: ['positioning', 'demand generation'],
+  model: 'gpt-4'
+};
+
+test('new advisors are validated before they are registered', async () => {
+  const { status, data } = await server.request('POST', '/api/agents', {
+    body: { id: 'Bad Id', name: 'X', role: 'Y', expertise: ['ok', 42], model: 'mock-advisor', temperature: 5 }
+  });
+  assert.equal(status, 400);
+  assert.deepEqual(data.details, [
+    'id must be 2-40 lowercase letters, digits or dashes, starting with a letter',
+    'temperature must be at most 2',
+    'expertise must be a list of up to 20 short strings',
+    "model 'mock-advisor' is not supported"
+  ]);
+  
+  assert.equal((await server.request('POST', '/api/agents', { body: { ...ADVISOR, id: 'roster' } })).status, 400);
+  assert.equal((await server.request('POST', '/api/agents', { body: ADVISOR })).status, 201);
+  assert.equal((await server.request('POST', '/api/agents', { body: ADVISOR })).status, 409);
+});
+
+test('editing a persona adds a version and replies record the one they used', async () => {
+  const sessionId = await createSession(server);
+  const edited = await server.request('PUT', '/api/agents/head-of-growth', { body: { role: 'Owns positioning and pricing pages' } });
+  assert.equal(edited.status, 200);
+  assert.equal(edited.data.version, 2);
+  assert.equal(edited.data.expertise.length, 2);
+  
+  const { data: first } = await server.request('GET', '/api/agents/head-of-growth/versions/1');
+  assert.equal(first.role, ADVISOR.role);
+  assert.equal((await server.request('PUT', '/api/agents/head-of-growth', { body: {} })).status, 400);
+  
+  const { data } = await server.request('POST', `/api/session/${sessionId}/messages`, {
+    body: { content: 'How do we position the pilot?', agents: ['head-of-growth'] }
+  });
+  assert.equal(data.responses[0].agentVersion, 2);
+});
+
+test('the roster only takes active advisors and keeps at least one', async () => {
+  const setRoster = agents => server.request('PUT', '/api/agents/roster', { body: { agents } });
+  assert.equal((await setRoster([])).status, 400);
+  assert.equal((await setRoster(['ceo', 'ghost'])).status, 400);
+  assert.deepEqual((await setRoster(['ceo', 'head-of-growth'])).data.roster, ['ceo', 'head-of-growth']);
+  
+  assert.equal((await server.request('DELETE', '/api/agents/head-of-growth')).status, 200);
+  const { data } = await server.request('GET', '/api/agents/roster');
+  assert.deepEqual(data.roster, ['ceo']);
+  assert.equal((await setRoster(['head-of-growth'])).status, 400);
+  assert.equal((await server.request('DELETE', '/api/agents/ceo')).status, 409);
+});
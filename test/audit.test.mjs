@@ -0,0 +1,100 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { startServer, createSession } from './helpers.mjs';
+
+const KEY = { AUDIT_HMAC_KEY: 'test-audit-key' };
+
+// Writes a few entries, stops the server, lets `edit` rewrite the workspace
+// audit log and returns what verify() says after a restart
+async function verifyAfter(edit, env = KEY) {
+  let server = await startServer(KEY);
+  const sessionId = await createSession(server);
+  await server.request('POST', `/api/decision/${sessionId}`, { body: { title: 'Open a second office' } });
+  await server.request('POST', `/api/decision/${sessionId}`, { body: { title: 'Hire a CFO' } });
+  await server.stop({ keepData: true });
+  
+  const dir = path.join(server.cwd, 'decision-os-data', 'workspaces', 'clearhive', 'audit');
+  const [file] = (await fs.readdir(dir)).filter(f => f.endsWith('.jsonl'));
+  const entries = (await fs.readFile(path.join(dir, file), 'utf-8')).trim().split('\n').map(line => JSON.parse(line));
+  const edited = await edit(entries, dir);
+  if (edited) await fs.writeFile(path.join(dir, file), edited.map(e => JSON.stringify(e)).join('\n') + '\n');
+  
+  server = await startServer(env, { cwd: server.cwd });
+  try {
+    const { data } = await server.request('GET', '/api/audit/verify');
+    return data;
+  } finally {
+    await server.stop();
+  }
+}
+
+// Re-hash the chain the way someone without the key would
+function rechain(entries) {
+  let prevHash = '0'.repeat(64);
+  for (const entry of entries) {
+    entry.prevHash = prevHash;
+    const { hash, mac, ...body } = entry;
+    entry.hash = prevHash = crypto.createHash('sha256').update(JSON.stringify(body)).digest('hex');
+  }
+  return entries;
+}
+
+const types = report => report.issues.map(issue => issue.type);
+
+test('an untouched log verifies after a restart', async () => {
+  const report = await verifyAfter(() => null);
+  assert.equal(report.valid, true, JSON.stringify(report.issues));
+  assert.equal(report.headRebuiltAt, null);
+  assert.ok(report.entries >= 3);
+});
+
+test('editing an entry breaks its hash', async () => {
+  const report = await verifyAfter(entries => {
+    entries[1].user = 'someone-else';
+    return entries;
+  });
+  assert.ok(types(report).includes('tampered'));
+});
+
+test('a rebuilt chain without the key fails its signatures', async () => {
+  const report = await verifyAfter(entries => {
+    entries[1].user = 'someone-else';
+    return rechain(entries);
+  });
+  assert.ok(types(report).includes('forged'));
+});
+
+test('stripping every signature is caught', async () => {
+  const stripped = await verifyAfter(entries => entries.map(({ mac, ...entry }) => entry));
+  assert.ok(types(stripped).includes('unsigned'));
+  
+  // Dropping the head's signature as well
+  const headless = await verifyAfter(async (entries, dir) => {
+    const { mac, ...head } = JSON.parse(await fs.readFile(path.join(dir, 'head.json'), 'utf-8'));
+    await fs.writeFile(path.join(dir, 'head.json'), JSON.stringify(head));
+    return entries.map(({ mac, ...entry }) => entry);
+  });
+  assert.ok(types(headless).includes('forged-head'));
+  assert.ok(types(headless).includes('unsigned'));
+});
+
+test('unsigned entries are accepted only from before AUDIT_SIGNED_SINCE', async () => {
+  const tomorrow = new Date(Date.now() + 86400000).toISOString().slice(0, 10);
+  const report = await verifyAfter(entries => entries.map(({ mac, ...entry }) => entry), { ...KEY, AUDIT_SIGNED_SINCE: tomorrow });
+  assert.equal(report.valid, true, JSON.stringify(report.issues));
+});
+
+test('entries cut from the end are missed after a restart', async () => {
+  const report = await verifyAfter(entries => entries.slice(0, -1));
+  assert.ok(types(report).includes('truncated'));
+  
+  // Deleting the head too means it is rebuilt, which verify() reports
+  const headless = await verifyAfter(async (entries, dir) => {
+    await fs.rm(path.join(dir, 'head.json'));
+    return entries.slice(0, -1);
+  });
+  assert.ok(headless.headRebuiltAt);
+});
@@ -0,0 +1,147 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { startServer } from './helpers.mjs';
+
+const ADMIN_TOKEN = 'test-admin-token';
+let server;
+
+before(async () => {
+  server = await startServer({ REQUIRE_AUTH: 'true', ADMIN_TOKEN });
+});
+
+after(() => server?.stop());
+
+async function createUser(username, role, extra = {}) {
+  const { status, data } = await server.request('POST', '/api/auth/users', {
+    token: ADMIN_TOKEN,
+    body: { username, password: 'correct horse battery', role, ...extra }
+  });
+  assert.equal(status, 201, JSON.stringify(data));
+  return data;
+}
+
+function login(username, password = 'correct horse battery') {
+  return server.request('POST', '/api/auth/login', { body: { username, password } });
+}
+
+test('the UI is not rendered until someone signs in', async () => {
+  const page = await server.request('GET', '/');
+  assert.equal(page.status, 401);
+  assert.match(page.data, /Sign in to Decision OS/);
+  assert.doesNotMatch(page.data, /ClearHive/);
+  
+  const workspacePage = await server.request('GET', '/w/clearhive');
+  assert.equal(workspacePage.status, 401);
+  assert.doesNotMatch(workspacePage.data, /ClearHive/);
+  
+  const signedIn = await server.request('GET', '/w/clearhive', { token: ADMIN_TOKEN });
+  assert.equal(signedIn.status, 200);
+  assert.match(signedIn.data, /ClearHive/);
+});
+
+test('users limited to a workspace only see that one', async () => {
+  const { data: context } = await server.request('GET', '/api/company/context', { token: ADMIN_TOKEN });
+  const created = await server.request('POST', '/api/workspaces', {
+    token: ADMIN_TOKEN,
+    body: { id: 'acme', name: 'Acme Robotics', context: { ...context, company: { ...context.company, name: 'Acme Robotics' } } }
+  });
+  assert.equal(created.status, 201, JSON.stringify(created.data));
+  
+  await createUser('dana', 'advisor', { workspaces: ['acme'] });
+  const { data } = await login('dana');
+  
+  const home = await fetch(server.url + '/', { headers: { Authorization: `Bearer ${data.token}` }, redirect: 'manual' });
+  assert.equal(home.status, 302);
+  assert.equal(home.headers.get('location'), '/w/acme');
+  
+  const other = await server.request('GET', '/w/clearhive', { token: data.token });
+  assert.equal(other.status, 404);
+  assert.doesNotMatch(JSON.stringify(other.data), /ClearHive/);
+  assert.equal((await server.request('GET', '/w/acme', { token: data.token })).status, 200);
+});
+
+test('founders limited to a workspace cannot manage platform-wide settings', async () => {
+  const erin = await createUser('erin', 'founder', { workspaces: ['acme'] });
+  const { data } = await login('erin');
+  const as = { token: data.token };
+  
+  const widen = await server.request('PUT', `/api/auth/users/${erin.id}`, { ...as, body: { workspaces: [] } });
+  assert.equal(widen.status, 403);
+  assert.equal((await server.request('GET', '/api/auth/users', as)).status, 403);
+  assert.equal((await server.request('POST', '/api/auth/tokens', { ...as, body: { userId: erin.id } })).status, 403);
+  const keys = await server.request('PUT', '/api/workspaces/acme/credentials/openai', { ...as, body: { apiKey: 'sk-acme' } });
+  assert.equal(keys.status, 403);
+  assert.equal((await server.request('GET', '/api/audit?scope=platform', as)).status, 403);
+  assert.equal((await server.request('POST', '/api/workspaces', { ...as, body: { id: 'other' } })).status, 403);
+  
+  // Their own workspace is still theirs to run
+  assert.equal((await server.request('GET', '/api/workspaces/acme/audit', as)).status, 200);
+  assert.equal((await server.request('GET', '/api/workspaces/clearhive/audit', as)).status, 403);
+});
+
+test('API routes need a sign-in', async () => {
+  assert.equal((await server.request('GET', '/api/session')).status, 401);
+  assert.equal((await server.request('GET', '/api/session', { token: 'not-a-token' })).status, 401);
+});
+
+test('passwords are stored as scrypt hashes and checked on login', async () => {
+  await createUser('alice', 'advisor');
+  const stored = await fs.readFile(path.join(server.cwd, 'decision-os-data/users/users.json'), 'utf-8');
+  assert.doesNotMatch(stored, /correct horse battery/);
+  assert.match(stored, /"scrypt\$/);
+  
+  assert.equal((await login('alice', 'wrong password!')).status, 401);
+  const { status, data, headers } = await login('alice');
+  assert.equal(status, 200);
+  assert.equal(data.user.role, 'advisor');
+  assert.match(headers.get('set-cookie'), /dos_session=.+; Path=\/; HttpOnly; SameSite=Strict/);
+  
+  const me = await server.request('GET', '/api/auth/me', { token: data.token });
+  assert.equal(me.data.user.username, 'alice');
+});
+
+test('five failed attempts lock the account for that address', async () => {
+  await createUser('bob', 'advisor');
+  for (let i = 0; i < 5; i++) {
+    assert.equal((await login('bob', 'wrong password!')).status, 401);
+  }
+  assert.equal((await login('bob')).status, 429);
+  // Other accounts are unaffected
+  assert.equal((await login('alice')).status, 200);
+});
+
+test('roles limit what a user can do', async () => {
+  await createUser('olivia', 'read-only');
+  const { data } = await login('olivia');
+  
+  assert.equal((await server.request('GET', '/api/session', { token: data.token })).status, 200);
+  const write = await server.request('POST', '/api/session', { token: data.token, body: { title: 'Nope' } });
+  assert.equal(write.status, 403);
+  assert.equal((await server.request('GET', '/api/auth/users', { token: data.token })).status, 403);
+  assert.equal((await server.request('GET', '/api/credentials', { token: data.token })).status, 403);
+});
+
+test('API tokens work until revoked', async () => {
+  const user = await createUser('carol', 'advisor');
+  const issued = await server.request('POST', '/api/auth/tokens', {
+    token: ADMIN_TOKEN,
+    body: { userId: user.id, label: 'CI', expiresInDays: 30 }
+  });
+  assert.equal(issued.status, 201);
+  
+  const listed = await server.request('GET', '/api/auth/tokens', { token: ADMIN_TOKEN });
+  assert.ok(listed.data.tokens.some(t => t.id === issued.data.id));
+  assert.ok(!JSON.stringify(listed.data).includes(issued.data.token), 'tokens are shown only once');
+  
+  assert.equal((await server.request('GET', '/api/session', { token: issued.data.token })).status, 200);
+  assert.equal((await server.request('DELETE', `/api/auth/tokens/${issued.data.id}`, { token: ADMIN_TOKEN })).status, 200);
+  assert.equal((await server.request('GET', '/api/session', { token: issued.data.token })).status, 401);
+});
+
+test('signing out revokes the login token', async () => {
+  const { data } = await login('alice');
+  assert.equal((await server.request('POST', '/api/auth/logout', { token: data.token })).status, 200);
+  assert.equal((await server.request('GET', '/api/auth/me', { token: data.token })).status, 401);
+});
@@ -0,0 +1,57 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from './helpers.mjs';
+
+let server;
+before(async () => {
+  server = await startServer();
+});
+after(() => server?.stop());
+
+const put = (context, etag) => server.request('PUT', '/api/company/context', {
+  body: context,
+  headers: etag ? { 'If-Match': etag } : {}
+});
+
+test('edits carry the version they were based on and stale ones are refused', async () => {
+  const { data: context, headers } = await server.request('GET', '/api/company/context');
+  const etag = headers.get('etag');
+  assert.equal(etag, '"1"');
+  
+  const renamed = { ...context, company: { ...context.company, name: 'ClearHive Health' } };
+  const first = await put(renamed, etag);
+  assert.equal(first.status, 200);
+  assert.equal(first.data.version, 2);
+  assert.deepEqual(first.data.diff, [{ path: 'company.name', op: 'changed', from: context.company.name, to: 'ClearHive Health' }]);
+  
+  // A second editor still holding version 1
+  const stale = await put({ ...context, company: { ...context.company, stage: 'Series A' } }, etag);
+  assert.equal(stale.status, 412);
+  
+  const { headers: current } = await server.request('GET', '/api/company/context');
+  assert.equal(current.get('etag'), '"2"');
+  const same = await put(renamed, '"2"');
+  assert.deepEqual(same.data, { version: 2, diff: [], unchanged: true });
+});
+
+test('versions can be listed, read and compared', async () => {
+  const { data: listing } = await server.request('GET', '/api/company/context/versions');
+  assert.equal(listing.current, 2);
+  assert.deepEqual(listing.versions.map(v => [v.version, v.changes]), [[1, 0], [2, 1]]);
+  
+  const { data: original } = await server.request('GET', '/api/company/context/versions/1');
+  assert.notEqual(original.context.company.name, 'ClearHive Health');
+  
+  const { data: diff } = await server.request('GET', '/api/company/context/diff?from=1');
+  assert.deepEqual(diff.diff.map(change => change.path), ['company.name']);
+  assert.equal((await server.request('GET', '/api/company/context/diff?from=9')).status, 400);
+  assert.equal((await server.request('GET', '/api/company/context/versions/9')).status, 404);
+});
+
+test('a context that breaks the schema is refused without a new version', async () => {
+  const { data: context } = await server.request('GET', '/api/company/context');
+  const { status } = await put({ ...context, company: 'ClearHive' });
+  assert.equal(status, 400);
+  const { headers } = await server.request('GET', '/api/company/context');
+  assert.equal(headers.get('etag'), '"2"');
+});
@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { startServer } from './helpers.mjs';
+
+const API_KEY = 'sk-test-abcd1234';
+
+async function restart(server, env) {
+  await server.stop({ keepData: true });
+  return startServer(env, { cwd: server.cwd });
+}
+
+async function openai(server) {
+  const { data } = await server.request('GET', '/api/credentials/openai');
+  return data;
+}
+
+test('without ENCRYPTION_KEY a generated key keeps saved keys readable across restarts', async () => {
+  let server = await startServer({ ENCRYPTION_KEY: '' });
+  try {
+    const saved = await server.request('PUT', '/api/credentials/openai', { body: { apiKey: API_KEY } });
+    assert.equal(saved.status, 200);
+    assert.equal(saved.data.hint, '…1234');
+    
+    const keyFile = path.join(server.cwd, 'decision-os-data', 'secrets', 'encryption.key');
+    assert.equal((await fs.stat(keyFile)).mode & 0o777, 0o600);
+    
+    server = await restart(server, { ENCRYPTION_KEY: '' });
+    assert.equal((await openai(server)).readable, true);
+    
+    // Setting ENCRYPTION_KEY later moves the stored key over to it
+    server = await restart(server, { ENCRYPTION_KEY: 'chosen-later' });
+    assert.equal((await openai(server)).readable, true);
+    const { data: rotated } = await server.request('POST', '/api/credentials/rotate');
+    assert.deepEqual({ rotated: rotated.rotated, unreadable: rotated.unreadable }, { rotated: 1, unreadable: 0 });
+  } finally {
+    await server.stop();
+  }
+});
+
+test('a wrong key leaves saved keys unreadable until the old one is listed as previous', async () => {
+  let server = await startServer({ ENCRYPTION_KEY: 'first-key' });
+  try {
+    await server.request('PUT', '/api/credentials/openai', { body: { apiKey: API_KEY } });
+    
+    server = await restart(server, { ENCRYPTION_KEY: 'second-key' });
+    const lost = await openai(server);
+    assert.deepEqual({ readable: lost.readable, configured: lost.configured, hint: lost.hint }, { readable: false, configured: false, hint: '…1234' });
+    const { data: rotated } = await server.request('POST', '/api/credentials/rotate');
+    assert.equal(rotated.unreadable, 1);
+    
+    server = await restart(server, { ENCRYPTION_KEY: 'second-key', ENCRYPTION_KEY_PREVIOUS: 'first-key' });
+    assert.equal((await openai(server)).readable, true);
+    
+    // Re-encrypted on that start, so the previous key is no longer needed
+    server = await restart(server, { ENCRYPTION_KEY: 'second-key' });
+    assert.equal((await openai(server)).readable, true);
+  } finally {
+    await server.stop();
+  }
+});
+
+test('stored keys are never returned', async () => {
+  const server = await startServer();
+  try {
+    await server.request('PUT', '/api/credentials/gemini', { body: { apiKey: API_KEY } });
+    const { data } = await server.request('GET', '/api/credentials');
+    assert.ok(!JSON.stringify(data).includes(API_KEY));
+    assert.equal((await server.request('PUT', '/api/credentials/gemini', { body: { apiKey: 'has space' } })).status, 400);
+  } finally {
+    await server.stop();
+  }
+});
@@ -0,0 +1,55 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, createSession } from './helpers.mjs';
+
+let server;
+before(async () => {
+  server = await startServer();
+});
+after(() => server?.stop());
+
+const BASE_CASE = { revenue: 20000, costs: 45000, growth: 0.15, periods: 12, startingCash: 500000 };
+
+async function scenarioEvents(sessionId) {
+  const { data } = await server.request('GET', `/api/audit?event=scenarios_created&sessionId=${sessionId}`);
+  return data.total;
+}
+
+test('saved scenarios are stored on the session and audited', async () => {
+  const sessionId = await createSession(server);
+  const { status, data } = await server.request('POST', '/api/financial/scenarios', {
+    body: { sessionId, ...BASE_CASE, variations: { premium: { revenue: 30000 } } }
+  });
+  assert.equal(status, 200);
+  assert.ok(data.premium && data.conservative);
+  
+  const stored = await server.request('GET', `/api/financial/scenarios?sessionId=${sessionId}`);
+  assert.deepEqual(Object.keys(stored.data).sort(), Object.keys(data).sort());
+  assert.equal(await scenarioEvents(sessionId), 1);
+});
+
+test('previews are computed without saving, auditing or resuming the session', async () => {
+  const sessionId = await createSession(server);
+  await server.request('POST', `/api/session/${sessionId}/state`, { body: { state: 'paused' } });
+  
+  const { status, data } = await server.request('POST', '/api/financial/scenarios', {
+    body: { sessionId, ...BASE_CASE, preview: true }
+  });
+  assert.equal(status, 200);
+  assert.ok(data.optimistic);
+  
+  const stored = await server.request('GET', `/api/financial/scenarios?sessionId=${sessionId}`);
+  assert.deepEqual(stored.data, {});
+  assert.equal(await scenarioEvents(sessionId), 0);
+  const paused = await server.request('GET', '/api/session?state=paused');
+  assert.ok(paused.data.sessions.some(s => s.id === sessionId));
+});
+
+test('scenario inputs are validated', async () => {
+  const sessionId = await createSession(server);
+  const { status, data } = await server.request('POST', '/api/financial/scenarios', {
+    body: { sessionId, revenue: -1, costs: 'a lot', growth: 0.1 }
+  });
+  assert.equal(status, 400);
+  assert.equal(data.details.length, 2);
+});
@@ -0,0 +1,81 @@
+// Starts decision-os-pro.mjs in a throwaway data directory on a free port,
+// answering from the mock provider, and stops it again when done. Pass
+// `cwd` to start on an existing server's data, e.g. after stop({ keepData }).
+import { spawn } from 'node:child_process';
+import fs from 'node:fs/promises';
+import net from 'node:net';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const SERVER = fileURLToPath(new URL('../decision-os-pro.mjs', import.meta.url));
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.once('error', reject);
+    probe.listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+export async function startServer(env = {}, { cwd } = {}) {
+  cwd = cwd || await fs.mkdtemp(path.join(os.tmpdir(), 'decision-os-test-'));
+  const port = await freePort();
+  const child = spawn(process.execPath, [SERVER], {
+    cwd,
+    env: { ...process.env, MOCK_AI: 'true', MOCK_AI_LATENCY_MS: '0', PORT: String(port), ...env },
+    stdio: ['ignore', 'ignore', 'pipe']
+  });
+  let stderr = '';
+  child.stderr.on('data', chunk => { stderr += chunk; });
+  
+  const url = `http://127.0.0.1:${port}`;
+  const server = {
+    url,
+    cwd,
+    async request(method, pathname, { body, token, headers = {} } = {}) {
+      const response = await fetch(url + pathname, {
+        method,
+        headers: {
+          ...(body !== undefined && { 'Content-Type': 'application/json' }),
+          ...(token && { Authorization: `Bearer ${token}` }),
+          ...headers
+        },
+        body: body === undefined ? undefined : JSON.stringify(body)
+      });
+      const text = await response.text();
+      let data = text;
+      try { data = JSON.parse(text); } catch { /* HTML or plain text */ }
+      return { status: response.status, data, headers: response.headers };
+    },
+    async stop({ keepData = false } = {}) {
+      if (child.exitCode === null) {
+        child.kill();
+        await new Promise(resolve => child.once('exit', resolve));
+      }
+      if (!keepData) await fs.rm(cwd, { recursive: true, force: true });
+    }
+  };
+  
+  // Wait for the workspaces to finish loading
+  const deadline = Date.now() + 15000;
+  while (Date.now() < deadline) {
+    if (child.exitCode !== null) break;
+    try {
+      const { status } = await server.request('GET', '/api/workspaces');
+      if (status < 500) return server;
+    } catch { /* not listening yet */ }
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  await server.stop();
+  throw new Error(`Server did not start:\n${stderr}`);
+}
+
+export async function createSession(server, title = 'Test session', token) {
+  const { status, data } = await server.request('POST', '/api/session', { body: { title }, token });
+  if (status !== 200) throw new Error(`Could not create a session: ${JSON.stringify(data)}`);
+  return data.sessionId;
+}
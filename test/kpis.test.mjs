@@ -0,0 +1,36 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from './helpers.mjs';
+
+let server;
+before(async () => {
+  server = await startServer();
+});
+after(() => server?.stop());
+
+const today = new Date().toISOString().slice(0, 10);
+const report = values => server.request('POST', '/api/metrics/entries', { body: { date: today, values } });
+
+test('reports need real calendar dates and tracked metrics', async () => {
+  for (const date of ['2025-02-30', '2025-13-01', '2025-2-1']) {
+    const { status } = await server.request('POST', '/api/metrics/entries', { body: { date, values: { mrr: 1 } } });
+    assert.equal(status, 400, date);
+  }
+  assert.equal((await report({ toString: 1 })).status, 400);
+  assert.equal((await report({ constructor: 1 })).status, 400);
+});
+
+test('runway is based on net burn after MRR', async () => {
+  const { data: context } = await server.request('GET', '/api/company/context');
+  const costs = Object.values(context.businessModel.costs).reduce((sum, cost) => sum + cost.monthly, 0);
+  
+  assert.equal((await report({ cash: costs * 6, mrr: costs / 2 })).status, 201);
+  let { data } = await server.request('GET', '/api/metrics');
+  assert.equal(data.netBurn, costs / 2);
+  assert.equal(data.runwayMonths, 12);
+  
+  assert.equal((await report({ mrr: costs * 2 })).status, 201);
+  ({ data } = await server.request('GET', '/api/metrics'));
+  assert.ok(data.netBurn < 0);
+  assert.equal(data.runwayMonths, null);
+});
@@ -0,0 +1,57 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, createSession } from './helpers.mjs';
+
+let server;
+let sessionId;
+
+before(async () => {
+  server = await startServer();
+  sessionId = await createSession(server);
+});
+after(() => server?.stop());
+
+function parseEvents(text) {
+  return text.trim().split('\n\n').map(block => {
+    const [, event] = block.match(/^event: (.+)$/m);
+    const [, data] = block.match(/^data: (.+)$/m);
+    return { event, data: JSON.parse(data) };
+  });
+}
+
+test('streamed replies arrive as message, start, token and reply events, then done', async () => {
+  const { status, data, headers } = await server.request('POST', `/api/session/${sessionId}/messages/stream`, {
+    body: { content: 'Should we hire a head of sales?', agents: ['cfo', 'cto'] }
+  });
+  assert.equal(status, 200);
+  assert.match(headers.get('content-type'), /text\/event-stream/);
+  
+  const events = parseEvents(data);
+  assert.equal(events[0].event, 'message');
+  assert.equal(events[0].data.content, 'Should we hire a head of sales?');
+  assert.equal(events.at(-1).event, 'done');
+  assert.deepEqual(Object.keys(events.at(-1).data.byAgent).sort(), ['cfo', 'cto']);
+  
+  for (const agentId of ['cfo', 'cto']) {
+    const own = events.filter(e => e.data.agentId === agentId).map(e => e.event);
+    assert.equal(own[0], 'start');
+    assert.equal(own.at(-1), 'reply');
+    assert.ok(own.slice(1, -1).length > 0 && own.slice(1, -1).every(e => e === 'token'), own.join(','));
+    
+    const streamed = events.filter(e => e.event === 'token' && e.data.agentId === agentId).map(e => e.data.text).join('');
+    const reply = events.find(e => e.event === 'reply' && e.data.agentId === agentId);
+    assert.equal(streamed, reply.data.content);
+  }
+  
+  // Streamed replies are stored like any other
+  const { data: stored } = await server.request('GET', `/api/session/${sessionId}/messages`);
+  assert.equal(stored.messages.length, 3);
+});
+
+test('a bad message is refused with a JSON error before streaming starts', async () => {
+  const { status, data } = await server.request('POST', `/api/session/${sessionId}/messages/stream`, {
+    body: { content: 'Hello', agents: ['ghost'] }
+  });
+  assert.equal(status, 400);
+  assert.equal(data.error, 'Invalid message');
+});
@@ -0,0 +1,78 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, createSession } from './helpers.mjs';
+
+let server;
+let sessionId;
+
+before(async () => {
+  server = await startServer();
+  sessionId = await createSession(server);
+});
+after(() => server?.stop());
+
+const daysFromNow = days => new Date(Date.now() + days * 86400000).toISOString().slice(0, 10);
+
+async function addMilestone(fields) {
+  const { status, data } = await server.request('POST', '/api/milestones', { body: fields });
+  assert.equal(status, 201, JSON.stringify(data));
+  return data;
+}
+
+test('impossible and out-of-order dates are refused', async () => {
+  const create = body => server.request('POST', '/api/milestones', { body });
+  const invalid = await create({ title: 'Pilot live', dueDate: '2031-02-30', startDate: '1' });
+  assert.equal(invalid.status, 400);
+  assert.deepEqual(invalid.data.details, [
+    'startDate must be a calendar date (YYYY-MM-DD)',
+    'dueDate must be a calendar date (YYYY-MM-DD)'
+  ]);
+  
+  const reversed = await create({ title: 'Pilot live', startDate: '2031-03-01', dueDate: '2031-02-01' });
+  assert.deepEqual(reversed.data.details, ['startDate must be on or before dueDate']);
+  
+  // Edits are checked against the date they leave alone
+  const milestone = await addMilestone({ title: 'Pilot live', startDate: '2031-01-01', dueDate: '2031-02-01' });
+  const moved = await server.request('PUT', `/api/milestones/${milestone.id}`, { body: { dueDate: '2030-12-01' } });
+  assert.equal(moved.status, 400);
+  assert.equal((await server.request('PUT', `/api/milestones/${milestone.id}`, { body: { dueDate: '2031-01-01' } })).status, 200);
+});
+
+test('linked work that runs past the due date makes a milestone slip', async () => {
+  const { data: build } = await server.request('POST', `/api/action/${sessionId}`, { body: { title: 'Build the EHR integration', estimate: 10 } });
+  const { data: train } = await server.request('POST', `/api/action/${sessionId}`, {
+    body: { title: 'Train pilot staff', estimate: 2, dueDate: daysFromNow(30), dependencies: [build.id] }
+  });
+  
+  const milestone = await addMilestone({
+    title: 'Hospital pilot live',
+    dueDate: daysFromNow(5),
+    actions: [{ sessionId, actionId: build.id }, { sessionId, actionId: train.id }]
+  });
+  assert.equal(milestone.health, 'slipping');
+  assert.equal(milestone.forecastDate, daysFromNow(30));
+  assert.equal(milestone.slipDays, 25);
+  assert.deepEqual(milestone.issues.map(issue => [issue.actionId, issue.reason]), [
+    [train.id, 'due_after_milestone'],
+    [train.id, 'blocked']
+  ]);
+  
+  const { data: timeline } = await server.request('GET', '/api/milestones/timeline');
+  const row = timeline.rows.find(r => r.id === milestone.id);
+  assert.deepEqual([row.end, row.forecastEnd, row.actions.length], [daysFromNow(5), daysFromNow(30), 2]);
+  
+  // Finishing the work brings it back on track
+  for (const action of [build, train]) {
+    await server.request('POST', `/api/action/${sessionId}/${action.id}/status`, { body: { status: 'done' } });
+  }
+  const { data: done } = await server.request('GET', `/api/milestones/${milestone.id}`);
+  assert.deepEqual([done.health, done.slipDays, done.progress], ['on_track', 0, { done: 2, total: 2 }]);
+});
+
+test('links must name an action in this workspace', async () => {
+  const { status, data } = await server.request('POST', '/api/milestones', {
+    body: { title: 'Board meeting', dueDate: daysFromNow(10), actions: [{ sessionId, actionId: 'nope' }] }
+  });
+  assert.equal(status, 400);
+  assert.deepEqual(data.details, [`action nope was not found in session ${sessionId}`]);
+});
@@ -0,0 +1,67 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { callMock, MockScript } from '../ai-integration.mjs';
+import { startServer } from './helpers.mjs';
+
+const QUESTION = [
+  { role: 'system', content: 'You are the CFO.\nYour focus: runway, unit economics, and pricing' },
+  { role: 'user', content: 'Should we raise prices next quarter?' }
+];
+
+test('mock replies are deterministic and report usage', async () => {
+  const first = await callMock('cfo', QUESTION);
+  const second = await callMock('cfo', QUESTION);
+  assert.equal(first.content, second.content);
+  assert.match(first.content, /runway|unit economics|pricing/);
+  assert.ok(first.usage.prompt_tokens > 0 && first.usage.completion_tokens > 0);
+});
+
+test('fixtures replay once per entry unless they repeat', async () => {
+  const script = new MockScript([{ role: 'cfo', content: 'Scripted answer' }]);
+  assert.equal((await callMock('cfo', QUESTION, 'mock-advisor', { script })).content, 'Scripted answer');
+  assert.notEqual((await callMock('cfo', QUESTION, 'mock-advisor', { script })).content, 'Scripted answer');
+  assert.equal(script.remaining, 0);
+});
+
+test('injected failures surface as errors', async () => {
+  const limited = await callMock('cfo', QUESTION, 'mock-advisor', { failure: '429' });
+  assert.equal(limited.status, 429);
+  
+  // The truncated body goes through the real response parser
+  const malformed = await callMock('cfo', QUESTION, 'mock-advisor', { failure: 'malformed' });
+  assert.ok(malformed.error);
+  assert.equal(malformed.content, undefined);
+});
+
+test('structured replies match the requested schema', async () => {
+  const schema = {
+    type: 'object',
+    properties: { summary: { type: 'string' }, risks: { type: 'array', items: { type: 'string' } } }
+  };
+  const reply = await callMock('cfo', QUESTION, 'mock-advisor', { schema });
+  const parsed = JSON.parse(reply.content);
+  assert.equal(typeof parsed.summary, 'string');
+  assert.ok(Array.isArray(parsed.risks));
+});
+
+test('server answers a discussion from the mock provider', async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+  
+  const created = await server.request('POST', '/api/session', { body: { title: 'Pricing review' } });
+  assert.equal(created.status, 200);
+  const { sessionId } = created.data;
+  
+  const reply = await server.request('POST', `/api/session/${sessionId}/messages`, {
+    body: { content: 'Should we raise prices next quarter?' }
+  });
+  assert.equal(reply.status, 200);
+  assert.ok(reply.data.responses.length > 0);
+  for (const response of reply.data.responses) {
+    assert.ok(response.content, `${response.agentId} answered`);
+  }
+  
+  const audit = await server.request('GET', '/api/audit/verify');
+  assert.equal(audit.status, 200);
+  assert.equal(audit.data.valid, true);
+});
@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, createSession } from './helpers.mjs';
+
+test('sessions and their records reload after a restart', async (t) => {
+  let server = await startServer();
+  t.after(() => server.stop());
+  
+  const sessionId = await createSession(server, 'Series A prep');
+  const decision = await server.request('POST', `/api/decision/${sessionId}`, {
+    body: { title: 'Hire a VP of Sales', category: 'personnel', timeline: '2026-03-01' }
+  });
+  assert.equal(decision.status, 201);
+  await server.request('POST', `/api/session/${sessionId}/messages`, { body: { content: 'Who should we hire first?' } });
+  await server.request('POST', `/api/session/${sessionId}/state`, { body: { state: 'paused', reason: 'waiting on board' } });
+  
+  await server.stop({ keepData: true });
+  server = await startServer({}, { cwd: server.cwd });
+  
+  const { data } = await server.request('GET', '/api/session?state=paused');
+  const listing = data.sessions.find(s => s.id === sessionId);
+  assert.equal(listing.title, 'Series A prep');
+  assert.equal(listing.counts.decisions, 1);
+  assert.ok(listing.counts.messages > 1);
+  
+  const decisions = await server.request('GET', `/api/decision/${sessionId}`);
+  assert.equal(decisions.data.decisions[0].id, decision.data.id);
+  assert.equal(decisions.data.decisions[0].timeline, '2026-03-01');
+});
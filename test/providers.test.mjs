@@ -0,0 +1,32 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { callOpenAI, callAnthropic, callGemini } from '../ai-integration.mjs';
+
+const MESSAGES = [{ role: 'user', content: 'Should we raise prices?' }];
+const realFetch = globalThis.fetch;
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+});
+
+test('network failures come back as retryable errors', async () => {
+  globalThis.fetch = async () => { throw new TypeError('fetch failed'); };
+  assert.deepEqual(await callOpenAI('key', MESSAGES), { error: 'fetch failed', retryable: true });
+});
+
+test('non-JSON error pages keep their status', async () => {
+  globalThis.fetch = async () => new Response('<html>Bad gateway</html>', { status: 502 });
+  assert.deepEqual(await callGemini('key', MESSAGES), { error: 'Gemini API error', status: 502 });
+});
+
+test('provider error messages are passed through', async () => {
+  globalThis.fetch = async () => Response.json({ error: { message: 'Invalid API key' } }, { status: 401 });
+  assert.deepEqual(await callAnthropic('key', MESSAGES), { error: 'Invalid API key', status: 401 });
+});
+
+test('a truncated success body is reported as a 502', async () => {
+  globalThis.fetch = async () => new Response('{"content":[', { status: 200 });
+  const result = await callAnthropic('key', MESSAGES);
+  assert.equal(result.status, 502);
+  assert.match(result.error, /unreadable response/);
+});
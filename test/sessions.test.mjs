@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, createSession } from './helpers.mjs';
+
+test('sessions move through their lifecycle and can be searched', async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+  
+  const pricing = await createSession(server, 'Pricing review');
+  const hiring = await createSession(server, 'Hiring plan');
+  await server.request('POST', `/api/decision/${pricing}`, { body: { title: 'Move to per-seat pricing' } });
+  
+  const found = await server.request('GET', '/api/session?q=per-seat');
+  assert.deepEqual(found.data.sessions.map(s => s.id), [pricing]);
+  assert.ok(found.data.sessions[0].matches.length > 0);
+  
+  const transition = (id, state) => server.request('POST', `/api/session/${id}/state`, { body: { state } });
+  assert.equal((await transition(hiring, 'archived')).status, 200);
+  assert.equal((await transition(hiring, 'active')).status, 409);
+  assert.equal((await transition(hiring, 'completed')).status, 200);
+  
+  // Completed sessions refuse changes until reopened
+  const blocked = await server.request('POST', `/api/decision/${hiring}`, { body: { title: 'Too late' } });
+  assert.equal(blocked.status, 409);
+  
+  const completed = await server.request('GET', '/api/session?state=completed');
+  assert.deepEqual(completed.data.sessions.map(s => s.id), [hiring]);
+  assert.equal((await server.request('GET', '/api/session?state=bogus')).status, 400);
+});
+
+test('each workspace only sees its own sessions', async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+  
+  const { data: context } = await server.request('GET', '/api/company/context');
+  const created = await server.request('POST', '/api/workspaces', {
+    body: { id: 'acme', name: 'Acme Robotics', context: { ...context, company: { ...context.company, name: 'Acme Robotics' } } }
+  });
+  assert.equal(created.status, 201);
+  
+  const clearhive = await createSession(server, 'ClearHive only');
+  const acme = await server.request('POST', '/api/workspaces/acme/session', { body: { title: 'Acme only' } });
+  
+  const acmeSessions = await server.request('GET', '/api/workspaces/acme/session');
+  assert.deepEqual(acmeSessions.data.sessions.map(s => s.id), [acme.data.sessionId]);
+  const defaultSessions = await server.request('GET', '/api/session');
+  assert.deepEqual(defaultSessions.data.sessions.map(s => s.id), [clearhive]);
+  
+  assert.equal((await server.request('GET', `/api/workspaces/acme/decision/${clearhive}`)).status, 404);
+  const acmeContext = await server.request('GET', '/api/workspaces/acme/company/context');
+  assert.equal(acmeContext.data.company.name, 'Acme Robotics');
+});
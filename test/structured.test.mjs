@@ -0,0 +1,69 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { validateAgainstSchema } from '../ai-integration.mjs';
+import { startServer, createSession } from './helpers.mjs';
+
+const reply = due => JSON.stringify({
+  summary: 'Hire after the pilot',
+  recommendations: [],
+  risks: [],
+  actions: [{ title: 'Draft the sales hire plan', owner: 'CFO', due }],
+  claims: []
+});
+
+// The CFO gets it right on the second repair; the CTO never does
+const FIXTURES = [
+  { role: 'cfo', content: 'Happy to help! Here are my thoughts.' },
+  { role: 'cfo', content: reply('2025-02-30') },
+  { role: 'cfo', content: reply('2031-03-01') },
+  { role: 'cto', content: reply('next week'), repeat: true }
+];
+
+let server;
+let sessionId;
+let fixtures;
+
+before(async () => {
+  fixtures = path.join(await fs.mkdtemp(path.join(os.tmpdir(), 'decision-os-fixtures-')), 'fixtures.json');
+  await fs.writeFile(fixtures, JSON.stringify(FIXTURES));
+  server = await startServer({ MOCK_AI_FIXTURES: fixtures });
+  sessionId = await createSession(server);
+});
+after(async () => {
+  await server?.stop();
+  await fs.rm(path.dirname(fixtures), { recursive: true, force: true });
+});
+
+test('schema dates must be real YYYY-MM-DD days', () => {
+  const schema = { type: 'string', format: 'date' };
+  assert.deepEqual(validateAgainstSchema('2028-02-29', schema), []);
+  for (const value of ['2025-02-30', '1', '2025-1-5', 'March 3, 2025']) {
+    assert.equal(validateAgainstSchema(value, schema).length, 1, value);
+  }
+});
+
+test('advisors are re-asked until their reply matches the schema', async () => {
+  const { status, data } = await server.request('POST', `/api/session/${sessionId}/messages`, {
+    body: { content: 'Should we hire a head of sales?', agents: ['cfo'], structured: true }
+  });
+  assert.equal(status, 200);
+  const [cfo] = data.responses;
+  assert.equal(cfo.structured.actions[0].due, '2031-03-01');
+  assert.equal(cfo.created.actions.length, 1);
+  
+  const { data: actions } = await server.request('GET', `/api/action/${sessionId}`);
+  assert.equal(actions.actions.find(a => a.id === cfo.created.actions[0]).dueDate, '2031-03-01');
+});
+
+test('a reply still invalid after the last repair keeps its errors and adds nothing', async () => {
+  const { data } = await server.request('POST', `/api/session/${sessionId}/messages`, {
+    body: { content: 'And the engineering side?', agents: ['cto'], structured: true }
+  });
+  const [cto] = data.responses;
+  assert.equal(cto.structured, null);
+  assert.deepEqual(cto.schemaErrors, ['response.actions[0].due must be a date (YYYY-MM-DD)']);
+  assert.equal(cto.created, undefined);
+});
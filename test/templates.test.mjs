@@ -0,0 +1,69 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, createSession } from './helpers.mjs';
+
+let server;
+before(async () => {
+  server = await startServer();
+});
+after(() => server?.stop());
+
+async function waitForRun(sessionId, runId) {
+  for (let i = 0; i < 100; i++) {
+    const { data } = await server.request('GET', `/api/template/${sessionId}/runs/${runId}`);
+    if (data.status !== 'running') return data;
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  throw new Error('Template run did not finish');
+}
+
+test('a template runs each phase in order with its advisors', async () => {
+  const sessionId = await createSession(server);
+  const started = await server.request('POST', `/api/template/${sessionId}/run`, {
+    body: { templateId: 'compliance-review', brief: 'Are we ready for a hospital pilot?' }
+  });
+  assert.equal(started.status, 202);
+  assert.deepEqual(started.data.phases.map(p => p.type), ['regulatory', 'assessment', 'gaps', 'remediation']);
+
+  const again = await server.request('POST', `/api/template/${sessionId}/run`, { body: { templateId: 'compliance-review' } });
+  assert.equal(again.status, 409);
+
+  const run = await waitForRun(sessionId, started.data.id);
+  assert.equal(run.status, 'completed');
+  for (const phase of run.phases) {
+    assert.equal(phase.status, 'completed');
+    assert.deepEqual(phase.outputs.map(o => o.agentId), phase.agents);
+    assert.ok(phase.outputs.every(o => o.content && !o.error));
+  }
+
+  // The last phase asks for structured output, which lands in the session
+  const remediation = run.phases[3];
+  assert.ok(remediation.outputs.every(o => o.structured));
+  const { data: actions } = await server.request('GET', `/api/action/${sessionId}`);
+  assert.ok(actions.actions.some(a => a.source?.runId === run.id));
+
+  const { data: audit } = await server.request('GET', `/api/audit?sessionId=${sessionId}&event=template_phase_completed`);
+  assert.equal(audit.total, 4);
+});
+
+test("'all' phases use only the advisors chosen for the run", async () => {
+  const sessionId = await createSession(server);
+  const started = await server.request('POST', `/api/template/${sessionId}/run`, {
+    body: { templateId: 'risk-assessment', agents: ['cfo', 'legal'] }
+  });
+  const run = await waitForRun(sessionId, started.data.id);
+  assert.equal(run.status, 'completed');
+  assert.deepEqual(run.phases[0].agents, ['cfo', 'legal']);
+  assert.deepEqual(run.phases[1].agents, ['cfo', 'coo', 'legal']);
+});
+
+test('unknown templates, agenda templates and unknown advisors are refused', async () => {
+  const sessionId = await createSession(server);
+  const { data } = await server.request('GET', '/api/template');
+  const agenda = data.templates.find(t => !t.phases);
+
+  const run = body => server.request('POST', `/api/template/${sessionId}/run`, { body });
+  assert.equal((await run({ templateId: 'nope' })).status, 404);
+  if (agenda) assert.equal((await run({ templateId: agenda.id })).status, 400);
+  assert.equal((await run({ templateId: 'compliance-review', agents: ['ghost'] })).status, 400);
+});
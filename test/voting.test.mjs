@@ -0,0 +1,68 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, createSession } from './helpers.mjs';
+
+let server;
+let sessionId;
+
+before(async () => {
+  server = await startServer();
+  sessionId = await createSession(server);
+});
+after(() => server?.stop());
+
+async function propose(fields) {
+  const { status, data } = await server.request('POST', `/api/decision/${sessionId}`, { body: { title: 'Raise prices', ...fields } });
+  assert.equal(status, 201, JSON.stringify(data));
+  return data;
+}
+
+const vote = (decision, body) => server.request('POST', `/api/decision/${sessionId}/${decision.id}/votes`, { body });
+
+test('a decision resolves once quorum and threshold are met', async () => {
+  const approved = await propose({ quorum: 1 });
+  const { data } = await vote(approved, { vote: 'approve', confidence: 0.8 });
+  assert.equal(data.decision.status, 'approved');
+  assert.equal(data.tally.approvalShare, 1);
+  assert.equal((await vote(approved, { vote: 'reject' })).status, 409);
+  
+  const rejected = await propose({ quorum: 1 });
+  assert.equal((await vote(rejected, { vote: 'reject' })).data.decision.status, 'rejected');
+  
+  // Abstentions count towards quorum but can't decide on their own
+  const undecided = await propose({ quorum: 1 });
+  const abstained = await vote(undecided, { vote: 'abstain' });
+  assert.equal(abstained.data.tally.quorumMet, true);
+  assert.equal(abstained.data.decision.status, 'proposed');
+});
+
+test('voting again replaces the earlier ballot', async () => {
+  const decision = await propose({ quorum: 2 });
+  await vote(decision, { vote: 'approve' });
+  const { data } = await vote(decision, { vote: 'reject', rationale: 'Churn risk' });
+  
+  assert.equal(data.tally.votes, 1);
+  assert.deepEqual(data.tally.weights, { approve: 0, reject: 1, abstain: 0 });
+  assert.equal(data.decision.status, 'proposed');
+  assert.equal((await vote(decision, { vote: 'maybe' })).status, 400);
+});
+
+test('advisors cast structured ballots weighted by their domain', async () => {
+  const decision = await propose({ category: 'financial', quorum: 50 });
+  const { status, data } = await server.request('POST', `/api/decision/${sessionId}/${decision.id}/agent-votes`, {
+    body: { agents: ['cfo', 'cto'] }
+  });
+  assert.equal(status, 200);
+  for (const result of data.results) {
+    assert.equal(result.error, undefined, result.error);
+    assert.ok(['approve', 'reject', 'abstain'].includes(result.vote));
+    assert.ok(result.confidence >= 0 && result.confidence <= 1);
+  }
+  
+  const { data: ballots } = await server.request('GET', `/api/decision/${sessionId}/${decision.id}/votes`);
+  const weights = Object.fromEntries(ballots.votes.map(b => [b.voterId, b.weight]));
+  assert.deepEqual(weights, { cfo: 2, cto: 1 });
+  
+  const unknown = await server.request('POST', `/api/decision/${sessionId}/${decision.id}/agent-votes`, { body: { agents: ['ghost'] } });
+  assert.equal(unknown.status, 400);
+});